@@ -0,0 +1,46 @@
+const ordersService = require('./ordersService');
+const productsService = require('./productsService');
+const { NEWEST_FIRST, sendPage } = require('./pagination');
+const { ValidationError } = require('./errors');
+
+// Audited resources and the filter naming their entity id
+const AUDIT_SOURCES = {
+  orders: { service: ordersService, entityKey: 'orderId' },
+  products: { service: productsService, entityKey: 'productId' },
+};
+
+// ?resource=orders|products, defaulting to orders
+function auditSource(req) {
+  const resource = req.query.resource || 'orders';
+  const source = AUDIT_SOURCES[resource];
+  if (!source) {
+    const allowed = Object.keys(AUDIT_SOURCES).join(', ');
+    throw new ValidationError(`Invalid resource. Must be one of: ${allowed}`, [
+      { field: 'resource', message: `must be one of: ${allowed}` },
+    ]);
+  }
+  return source;
+}
+
+const AuditController = {
+  getAll(req, res) {
+    const { service, entityKey } = auditSource(req);
+    const { action, userId, startDate, endDate } = req.query;
+    const entries = service.getAllAuditLogs({
+      [entityKey]: req.query[entityKey],
+      action,
+      userId,
+      startDate,
+      endDate,
+    });
+    sendPage(req, res, entries, NEWEST_FIRST);
+  },
+
+  getStats(req, res) {
+    const { service } = auditSource(req);
+    const stats = service.getAuditStats();
+    res.json(stats);
+  },
+};
+
+module.exports = AuditController;
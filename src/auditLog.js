@@ -0,0 +1,121 @@
+// Append-only audit trail shared by the services. Each entry names the entity
+// it belongs to under `entityKey` (e.g. "orderId", "productId").
+
+const { ValidationError } = require("./errors");
+
+const MAX_ENTRIES = 10000;
+
+class AuditLog {
+  constructor(entityKey, { entries = [], nextId = 1 } = {}) {
+    this.entityKey = entityKey;
+    this.entries = entries;
+    // Never reuse an id, even if the stored counter was lost
+    const maxId = entries.reduce((max, e) => Math.max(max, e.id), 0);
+    this.nextId = Math.max(nextId, maxId + 1);
+  }
+
+  // Append an entry
+  record(action, entityId, details, userId = "system") {
+    const entry = {
+      id: this.nextId++,
+      action, // 'create', 'update', 'delete', 'status_change', etc.
+      [this.entityKey]: entityId,
+      userId,
+      timestamp: new Date().toISOString(),
+      details,
+    };
+    this.entries.push(entry);
+
+    // Keep only the most recent entries to prevent memory issues
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+
+    return entry;
+  }
+
+  _parseEntityId(value) {
+    const id = Number(value);
+    if (Number.isNaN(id)) {
+      throw new ValidationError(`Invalid ${this.entityKey}: ${value}`);
+    }
+    return id;
+  }
+
+  // Entries for one entity, oldest first
+  forEntity(entityId) {
+    const id = this._parseEntityId(entityId);
+    return this.entries.filter((entry) => entry[this.entityKey] === id);
+  }
+
+  // Filter by entity id, action, userId and an optionally open date range;
+  // newest first
+  query(filters = {}) {
+    let logs = [...this.entries];
+
+    if (filters[this.entityKey] !== undefined) {
+      const id = this._parseEntityId(filters[this.entityKey]);
+      logs = logs.filter((entry) => entry[this.entityKey] === id);
+    }
+
+    if (filters.action) {
+      logs = logs.filter((entry) => entry.action === filters.action);
+    }
+
+    if (filters.userId) {
+      // User ids are numbers, or "system" for internal changes
+      logs = logs.filter((entry) => String(entry.userId) === String(filters.userId));
+    }
+
+    const start = filters.startDate ? new Date(filters.startDate) : null;
+    const end = filters.endDate ? new Date(filters.endDate) : null;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      throw new ValidationError("Invalid date format");
+    }
+    if (start && end && start > end) {
+      throw new ValidationError("Start date cannot be after end date");
+    }
+    if (start || end) {
+      logs = logs.filter((entry) => {
+        const entryDate = new Date(entry.timestamp);
+        return (!start || entryDate >= start) && (!end || entryDate <= end);
+      });
+    }
+
+    // Newest first, newest id first within the same instant
+    logs.sort(
+      (a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id
+    );
+
+    if (filters.limit) {
+      const limit = Number(filters.limit);
+      if (!Number.isNaN(limit) && limit > 0) {
+        logs = logs.slice(0, limit);
+      }
+    }
+
+    return logs;
+  }
+
+  stats() {
+    const stats = {
+      totalEntries: this.entries.length,
+      byAction: {},
+      byUser: {},
+      recentActivity: this.entries.slice(-100).map((entry) => ({
+        action: entry.action,
+        [this.entityKey]: entry[this.entityKey],
+        timestamp: entry.timestamp,
+      })),
+    };
+
+    for (const entry of this.entries) {
+      stats.byAction[entry.action] = (stats.byAction[entry.action] || 0) + 1;
+      stats.byUser[entry.userId] = (stats.byUser[entry.userId] || 0) + 1;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,10 @@
+const express = require('express');
+const AuditController = require('./auditController');
+const { authorize } = require('./auth');
+
+const router = express.Router();
+
+router.get('/', authorize('audit:read'), AuditController.getAll);
+router.get('/stats', authorize('audit:read'), AuditController.getStats);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const usersService = require('./usersService');
+const { AuthenticationError, ForbiddenError } = require('./errors');
+
+// Bearer token from "Authorization: Bearer <token>"
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// EventSource cannot set headers, so event streams may pass the token as
+// ?access_token=. Only mount this where it is needed: query strings end up
+// in server logs and browser history.
+function allowQueryToken(req, res, next) {
+  if (!req.get('Authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// Require a valid session and attach the user as req.user
+function authenticate(req, res, next) {
+  try {
+    req.user = usersService.authenticate(bearerToken(req));
+    req.token = bearerToken(req);
+  } catch (err) {
+    return next(err);
+  }
+  next();
+}
+
+// Throw unless the user's role grants a permission. For checks that depend
+// on the request body; routes use authorize().
+function requirePermission(user, permission) {
+  if (!user) {
+    throw new AuthenticationError();
+  }
+  if (!usersService.hasPermission(user, permission)) {
+    throw new ForbiddenError(`Role "${user.role}" lacks permission "${permission}"`);
+  }
+}
+
+// Require the authenticated user's role to grant a permission. The
+// permission is kept on the middleware for the OpenAPI document.
+function authorize(permission) {
+  const middleware = (req, res, next) => {
+    try {
+      requirePermission(req.user, permission);
+    } catch (err) {
+      return next(err);
+    }
+    next();
+  };
+  middleware.permission = permission;
+  return middleware;
+}
+
+module.exports = { allowQueryToken, authenticate, authorize, bearerToken, requirePermission };
@@ -0,0 +1,12 @@
+const express = require('express');
+const UsersController = require('./usersController');
+const { authenticate } = require('./auth');
+const { validateBody } = require('./validation');
+
+const router = express.Router();
+
+router.post('/login', validateBody('LoginRequest'), UsersController.login);
+router.post('/logout', authenticate, UsersController.logout);
+router.get('/me', authenticate, UsersController.me);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// Running many operations as one request (POST /api/products/bulk and
+// friends).
+//
+//   atomic       all or nothing: the first failure rolls every operation
+//                back and the batch fails with that operation's problem
+//   best-effort  each operation succeeds or fails on its own; the response
+//                lists a result per operation
+//
+// Rollback rides on storage transactions: writes are held back until the
+// work finishes, and on failure the services involved reload their state
+// from storage, discarding whatever they changed in memory. Events are
+// only published for work that is kept.
+
+const { storage: defaultStorage } = require("./storage");
+const { events: defaultEvents } = require("./events");
+const { AppError } = require("./errors");
+const { problemFor, toAppError } = require("./errorHandler");
+
+// Run `fn` so that either all of its changes are kept or none are.
+// `services` are reloaded from storage when it throws.
+function transaction(
+  fn,
+  { services, storage = defaultStorage, events = defaultEvents }
+) {
+  try {
+    return events.deferred(() => storage.transaction(fn));
+  } catch (err) {
+    services.forEach((service) => service._load());
+    throw err;
+  }
+}
+
+// Run `runItem(item, index)` for every item. It returns
+// { status, id, result } for an operation that succeeded and throws for one
+// that did not. Returns { mode, summary, results }.
+function runBatch(items, runItem, { mode = "atomic", ...context }) {
+  const results = [];
+  const succeed = (index, outcome) =>
+    results.push({
+      index,
+      ok: true,
+      status: outcome.status || 200,
+      id: outcome.id === undefined ? null : outcome.id,
+      // Later operations may change the same resource again
+      result: outcome.result ? structuredClone(outcome.result) : null,
+    });
+
+  if (mode === "atomic") {
+    transaction(() => {
+      items.forEach((item, index) => {
+        try {
+          succeed(index, runItem(item, index));
+        } catch (err) {
+          throw failedOperation(err, index);
+        }
+      });
+    }, context);
+  } else {
+    items.forEach((item, index) => {
+      try {
+        succeed(index, transaction(() => runItem(item, index), context));
+      } catch (err) {
+        const error = problemFor(err);
+        if (error.status >= 500) {
+          console.error(`Batch operation ${index} failed:`, err);
+        }
+        results.push({ index, ok: false, status: error.status, error });
+      }
+    });
+  }
+
+  const succeeded = results.filter((result) => result.ok).length;
+  return {
+    mode,
+    summary: { total: items.length, succeeded, failed: items.length - succeeded },
+    results,
+  };
+}
+
+// The error an atomic batch fails with: the operation's own problem, naming
+// the operation by its index
+function failedOperation(err, index) {
+  const cause = toAppError(err);
+  const error = new AppError(
+    `Operation ${index} failed: ${cause.message}; no changes were made`,
+    {
+      statusCode: cause.statusCode,
+      type: cause.type,
+      title: cause.title,
+      details: { ...cause.details, operationIndex: index },
+    }
+  );
+  error.errors = cause.errors;
+  error.cause = err;
+  return error;
+}
+
+module.exports = {
+  transaction,
+  runBatch,
+};
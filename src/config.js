@@ -0,0 +1,80 @@
+const path = require("path");
+
+const env = process.env;
+
+const config = {
+  port: Number(env.PORT) || 4000,
+  storage: {
+    // "memory" keeps data in the process only (used by tests),
+    // "file" persists each collection as a JSON file under dataDir
+    driver: env.STORAGE_DRIVER || (env.NODE_ENV === "test" ? "memory" : "file"),
+    dataDir: env.DATA_DIR || path.join(__dirname, "..", "data"),
+  },
+  auth: {
+    // Session tokens expire this long after login
+    sessionTtlHours: Number(env.SESSION_TTL_HOURS) || 12,
+    // First admin account, created when no users exist yet. Without a
+    // password one is generated and printed once at startup.
+    adminUsername: env.ADMIN_USERNAME || "admin",
+    adminPassword: env.ADMIN_PASSWORD || null,
+  },
+  idempotency: {
+    // How long an Idempotency-Key and its stored response are kept
+    ttlHours: Number(env.IDEMPOTENCY_TTL_HOURS) || 24,
+  },
+  inventory: {
+    // Reorder point of products that do not set their own
+    lowStockThreshold: Number(env.LOW_STOCK_THRESHOLD) || 5,
+    // Sales velocity is averaged over this many days of orders
+    salesWindowDays: Number(env.SALES_WINDOW_DAYS) || 30,
+    // Days a reorder takes to arrive; the stock selling in that time raises
+    // a product's threshold above its reorder point
+    leadTimeDays: Number(env.REORDER_LEAD_TIME_DAYS) || 7,
+  },
+  currency: {
+    // Currency of catalog prices and promotion amounts
+    base: (env.BASE_CURRENCY || "USD").toUpperCase(),
+    // Currency that order revenue is reported in; defaults to the base
+    reporting: (env.REPORTING_CURRENCY || env.BASE_CURRENCY || "USD").toUpperCase(),
+    // Rate of the reporting currency, stored at startup if it has none yet
+    reportingRate: env.REPORTING_RATE ? Number(env.REPORTING_RATE) : null,
+  },
+  tax: {
+    // Whether catalog prices already include tax; if not, tax is added on top
+    pricesIncludeTax: env.PRICES_INCLUDE_TAX === "true",
+    // Tax region of orders whose customer has no address to take it from
+    defaultRegion: env.TAX_DEFAULT_REGION || null,
+  },
+  webhooks: {
+    // Attempts per delivery, including the first
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    // Delay before the first retry; doubles after every failed attempt
+    retryBaseMs: Number(env.WEBHOOK_RETRY_BASE_MS) || 10000,
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || 10000,
+  },
+};
+
+// Settings that would otherwise only fail deep inside startup, e.g. while
+// creating the first admin account. Exits with a message naming each one.
+function checkConfig({ auth, currency }) {
+  const problems = [];
+  if (!/^[a-zA-Z0-9._-]{3,50}$/.test(auth.adminUsername)) {
+    problems.push("ADMIN_USERNAME must be 3-50 letters, digits, dots, dashes or underscores");
+  }
+  const password = auth.adminPassword;
+  if (password !== null && (password.length < 8 || password.length > 200)) {
+    problems.push("ADMIN_PASSWORD must be 8-200 characters long");
+  }
+  const rate = currency.reportingRate;
+  if (rate !== null && !(rate >= 0.000001 && rate <= 1000000)) {
+    problems.push("REPORTING_RATE must be a number from 0.000001 to 1000000");
+  }
+  if (problems.length > 0) {
+    console.error(`Invalid configuration:\n${problems.map((problem) => `  ${problem}`).join("\n")}`);
+    process.exit(1);
+  }
+}
+
+checkConfig(config);
+
+module.exports = config;
@@ -0,0 +1,116 @@
+// Minimal RFC 4180 CSV support: comma separated, fields optionally quoted
+// with double quotes ("" inside quotes is a literal quote), CRLF or LF
+// line endings.
+
+const { ValidationError } = require("./errors");
+
+// Split CSV text into rows of raw string cells
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let quoteStartLine = 1;
+
+  // A leading byte order mark is not part of the first header
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      inQuotes = true;
+      quoteStartLine = line;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ValidationError(`Unterminated quoted field starting on line ${quoteStartLine}`);
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== "");
+}
+
+// Parse CSV with a header row into one object per data row, keyed by the
+// (trimmed) header names
+function parseCsv(text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    throw new ValidationError("CSV data is empty");
+  }
+
+  const [header, ...rows] = parseRows(text);
+  const columns = header.map((name) => name.trim());
+  if (columns.some((name) => name === "")) {
+    throw new ValidationError("CSV header contains an empty column name");
+  }
+
+  return rows.map((cells) => {
+    const record = {};
+    columns.forEach((name, index) => {
+      record[name] = cells[index] !== undefined ? cells[index].trim() : undefined;
+    });
+    return record;
+  });
+}
+
+// Spreadsheet apps treat cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One CSV line (with CRLF) from a list of values. Text that a spreadsheet
+// would run as a formula is prefixed with a quote so it stays text.
+function formatCsvRow(values) {
+  const cells = values.map((value) => {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    let text = String(value);
+    if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  });
+  return `${cells.join(",")}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
@@ -0,0 +1,52 @@
+const customersService = require('./customersService');
+const ordersService = require('./ordersService');
+const { sendPage } = require('./pagination');
+const { ConflictError } = require('./errors');
+
+const CustomersController = {
+  getAll(req, res) {
+    const { status, q } = req.query;
+    const customers = customersService.getAll(status || null, q || null);
+    sendPage(req, res, customers);
+  },
+
+  getById(req, res) {
+    const { id } = req.params;
+    const customer = customersService.getById(id);
+    res.json(customer);
+  },
+
+  getOrders(req, res) {
+    const { id } = req.params;
+    const customer = customersService.getById(id);
+    const orders = ordersService.getByCustomerId(customer.id);
+    sendPage(req, res, orders);
+  },
+
+  create(req, res) {
+    const { name, email, addresses, status } = req.body;
+    const customer = customersService.create({ name, email, addresses, status });
+    res.status(201).json(customer);
+  },
+
+  update(req, res) {
+    const { id } = req.params;
+    const updates = req.body;
+    const customer = customersService.update(id, updates);
+    res.json(customer);
+  },
+
+  delete(req, res) {
+    const customer = customersService.getById(req.params.id);
+    // Orders keep pointing at their customer; deactivate instead
+    if (ordersService.getByCustomerId(customer.id).length > 0) {
+      throw new ConflictError(
+        `Customer ${customer.id} has orders and cannot be deleted; set status to inactive instead`
+      );
+    }
+    customersService.delete(customer.id);
+    res.status(204).send();
+  },
+};
+
+module.exports = CustomersController;
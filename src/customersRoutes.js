@@ -0,0 +1,16 @@
+const express = require('express');
+const CustomersController = require('./customersController');
+const { authorize } = require('./auth');
+const { validateBody } = require('./validation');
+
+const router = express.Router();
+
+router.get('/', authorize('customers:read'), CustomersController.getAll);
+router.get('/:id', authorize('customers:read'), CustomersController.getById);
+router.get('/:id/orders', authorize('customers:read'), CustomersController.getOrders);
+router.post('/', authorize('customers:write'), validateBody('CustomerCreate'), CustomersController.create);
+router.put('/:id', authorize('customers:write'), validateBody('CustomerUpdate'), CustomersController.update);
+router.patch('/:id', authorize('customers:write'), validateBody('CustomerUpdate'), CustomersController.update);
+router.delete('/:id', authorize('customers:delete'), CustomersController.delete);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const { storage: defaultStorage } = require("./storage");
+const { assertValid } = require("./validation");
+const { NotFoundError, ValidationError } = require("./errors");
+
+// Custom error classes
+class CustomerNotFoundError extends NotFoundError {
+  constructor(id) {
+    super(`Customer with id ${id} not found`);
+  }
+}
+
+class CustomersService {
+  constructor(storage = defaultStorage) {
+    this.storage = storage;
+    this._load();
+  }
+
+  // Restore state from storage. Customers start empty; existing orders are
+  // migrated into customers by OrdersService.
+  _load() {
+    const saved = this.storage.load("customers");
+    if (saved) {
+      this.customers = saved.customers;
+      // Never hand out an id that is already taken, even if nextId was lost
+      const maxId = this.customers.reduce((max, c) => Math.max(max, c.id), 0);
+      this.nextId = Math.max(saved.nextId || 1, maxId + 1);
+      return;
+    }
+    this.customers = [];
+    this.nextId = 1;
+    this._persist();
+  }
+
+  // Write the current state to storage
+  _persist() {
+    this.storage.save("customers", {
+      customers: this.customers,
+      nextId: this.nextId,
+    });
+  }
+
+  // Matching key for names: case, surrounding and repeated whitespace ignored
+  normalizeName(name) {
+    return String(name).trim().replace(/\s+/g, " ").toLowerCase();
+  }
+
+  // Names are kept with surrounding and repeated whitespace removed
+  _cleanName(name) {
+    return name.trim().replace(/\s+/g, " ");
+  }
+
+  // Emails are kept lower case; an empty one clears it
+  _cleanEmail(email) {
+    return email === null || email === "" ? null : email.trim().toLowerCase();
+  }
+
+  // Addresses with text trimmed, blank optional fields as null and the
+  // type defaulting to shipping
+  _cleanAddresses(addresses) {
+    const text = (value) =>
+      value === undefined || value === null || value.trim() === "" ? null : value.trim();
+    return addresses.map((address) => ({
+      type: address.type || "shipping",
+      line1: text(address.line1),
+      line2: text(address.line2),
+      city: text(address.city),
+      region: text(address.region),
+      postalCode: text(address.postalCode),
+      country: text(address.country),
+    }));
+  }
+
+  _assertUniqueEmail(email, exceptId = null) {
+    if (!email) {
+      return;
+    }
+    const duplicate = this.customers.find(
+      (c) => c.id !== exceptId && c.email === email
+    );
+    if (duplicate) {
+      throw new ValidationError(`Customer with email "${email}" already exists`);
+    }
+  }
+
+  // Get all customers with optional filtering by status and name/email text
+  getAll(status = null, query = null) {
+    let result = [...this.customers];
+    if (status) {
+      result = result.filter((customer) => customer.status === status);
+    }
+    if (query) {
+      const lowerQuery = query.toLowerCase();
+      result = result.filter(
+        (customer) =>
+          customer.name.toLowerCase().includes(lowerQuery) ||
+          (customer.email && customer.email.includes(lowerQuery))
+      );
+    }
+    return result;
+  }
+
+  // Get customer by ID
+  getById(id) {
+    const customerId = Number(id);
+    if (Number.isNaN(customerId)) {
+      throw new ValidationError(`Invalid id: ${id}`);
+    }
+    const customer = this.customers.find((c) => c.id === customerId);
+    if (!customer) {
+      throw new CustomerNotFoundError(customerId);
+    }
+    return customer;
+  }
+
+  // Find a customer by name, ignoring case and whitespace differences
+  findByName(name) {
+    const key = this.normalizeName(name);
+    return this.customers.find((c) => this.normalizeName(c.name) === key) || null;
+  }
+
+  // Resolve a free-text name to a customer, creating one if none matches.
+  // Used to migrate orders that only carry a customerName.
+  findOrCreateByName(name) {
+    return this.findByName(name) || this.create({ name });
+  }
+
+  // Create new customer with validation
+  create(data) {
+    assertValid("CustomerCreate", data);
+    const name = this._cleanName(data.name);
+    const email = data.email !== undefined ? this._cleanEmail(data.email) : null;
+    const addresses = data.addresses !== undefined ? this._cleanAddresses(data.addresses) : [];
+    const status = data.status !== undefined ? data.status : "active";
+    this._assertUniqueEmail(email);
+
+    const customer = {
+      id: this.nextId++,
+      name,
+      email,
+      addresses,
+      status,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.customers.push(customer);
+    this._persist();
+    return customer;
+  }
+
+  // Update existing customer. All fields are validated before any is applied.
+  update(id, updates) {
+    const customer = this.getById(id);
+    assertValid("CustomerUpdate", updates);
+    const next = { ...customer };
+
+    if (updates.name !== undefined) {
+      next.name = this._cleanName(updates.name);
+    }
+    if (updates.email !== undefined) {
+      next.email = this._cleanEmail(updates.email);
+      this._assertUniqueEmail(next.email, customer.id);
+    }
+    if (updates.addresses !== undefined) {
+      next.addresses = this._cleanAddresses(updates.addresses);
+    }
+    if (updates.status !== undefined) {
+      next.status = updates.status;
+    }
+
+    Object.assign(customer, next);
+    customer.updatedAt = new Date().toISOString();
+    this._persist();
+    return customer;
+  }
+
+  // Delete customer (throws error if not found)
+  delete(id) {
+    const customer = this.getById(id);
+    this.customers = this.customers.filter((c) => c.id !== customer.id);
+    this._persist();
+    return { success: true, deletedId: customer.id };
+  }
+}
+
+module.exports = new CustomersService();
@@ -0,0 +1,81 @@
+const http = require('http');
+const { AppError, NotFoundError } = require('./errors');
+
+// Problem types are identified by relative URIs such as
+// "/problems/validation-error"; README.md lists them
+const PROBLEM_TYPE_BASE = '/problems/';
+
+// Failures raised by express.json() / express.text() before a route runs
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': { type: 'malformed-body', title: 'Malformed request body' },
+  'entity.too.large': { type: 'payload-too-large', title: 'Request body too large' },
+  'encoding.unsupported': { type: 'unsupported-encoding', title: 'Unsupported encoding' },
+  'charset.unsupported': { type: 'unsupported-encoding', title: 'Unsupported encoding' },
+  'request.aborted': { type: 'request-aborted', title: 'Request aborted' },
+};
+
+// Map any thrown value to an AppError. Unexpected errors become a generic
+// 500 so internals are not leaked to the client.
+function toAppError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+  const bodyError = err && BODY_PARSER_ERRORS[err.type];
+  if (bodyError) {
+    const message =
+      err.type === 'entity.parse.failed' ? `Request body is not valid JSON: ${err.message}` : err.message;
+    return new AppError(message, { statusCode: err.status, ...bodyError });
+  }
+  if (err && err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, {
+      statusCode: err.status,
+      type: 'bad-request',
+      title: http.STATUS_CODES[err.status],
+    });
+  }
+  return new AppError('An unexpected error occurred');
+}
+
+// 404 for any request no route handled
+function notFound(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`, { type: 'route-not-found' }));
+}
+
+// Problem details for an error, less the request-specific members:
+// { type, title, status, detail, errors?, ...details }
+function problemFor(err) {
+  const error = toAppError(err);
+  const problem = {
+    type: `${PROBLEM_TYPE_BASE}${error.type}`,
+    title: error.title,
+    status: error.statusCode,
+    detail: error.message,
+  };
+  if (Array.isArray(error.errors) && error.errors.length > 0) {
+    problem.errors = error.errors;
+  }
+  return Object.assign(problem, error.details);
+}
+
+// Render errors as RFC 7807 application/problem+json:
+// { type, title, status, detail, instance, requestId, errors?, ...details }
+// (Express recognizes an error handler by its four parameters.)
+function errorHandler(err, req, res, next) {
+  const problem = problemFor(err);
+  if (problem.status >= 500) {
+    console.error(`Request ${req.id} failed:`, err);
+  }
+  // A streamed response that fails midway can only be cut off
+  if (res.headersSent) {
+    return res.destroy(err);
+  }
+
+  problem.instance = req.originalUrl;
+  problem.requestId = req.id;
+  if (problem.status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  res.status(problem.status).type('application/problem+json').json(problem);
+}
+
+module.exports = { errorHandler, notFound, problemFor, toAppError };
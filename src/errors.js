@@ -0,0 +1,120 @@
+// Error hierarchy shared by the services, middleware and controllers. Every
+// error carries its HTTP status plus a problem type and title, which the
+// central error handler (errorHandler.js) turns into an RFC 7807
+// application/problem+json response. `details` are extra members added to
+// that response, such as an order's allowed transitions.
+
+class AppError extends Error {
+  constructor(
+    message,
+    { statusCode = 500, type = "internal-error", title = "Internal server error", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.type = type;
+    this.title = title;
+    this.details = details;
+  }
+}
+
+// A request that is malformed or breaks a rule. `errors` lists the
+// offending fields as { field, message } when known.
+class ValidationError extends AppError {
+  constructor(message, errors = [], options = {}) {
+    super(message, {
+      statusCode: 400,
+      type: "validation-error",
+      title: "Invalid request",
+      ...options,
+    });
+    this.errors = errors;
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message = "Authentication required", options = {}) {
+    super(message, {
+      statusCode: 401,
+      type: "authentication-required",
+      title: "Authentication required",
+      ...options,
+    });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      statusCode: 403,
+      type: "forbidden",
+      title: "Permission denied",
+      ...options,
+    });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      statusCode: 404,
+      type: "not-found",
+      title: "Not found",
+      ...options,
+    });
+  }
+}
+
+// The request clashes with the current state of a resource
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      statusCode: 409,
+      type: "conflict",
+      title: "Conflict",
+      ...options,
+    });
+  }
+}
+
+class PreconditionFailedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      statusCode: 412,
+      type: "precondition-failed",
+      title: "Precondition failed",
+      ...options,
+    });
+  }
+}
+
+// Well-formed and valid on its own, but cannot be applied
+class UnprocessableError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      statusCode: 422,
+      type: "unprocessable",
+      title: "Unprocessable request",
+      ...options,
+    });
+  }
+}
+
+// Data store could not be read or written
+class StorageError extends AppError {
+  constructor(message) {
+    super(message, { statusCode: 500, type: "storage-error", title: "Storage error" });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnprocessableError,
+  StorageError,
+};
@@ -0,0 +1,71 @@
+// Optimistic concurrency for versioned resources (products and orders).
+// Each resource carries a `version` counter that every change increments;
+// it is exposed as a strong ETag such as "3".
+//
+//   GET                  If-None-Match: "3"  -> 304 when still at version 3
+//   PUT/PATCH/DELETE and
+//   order actions        If-Match: "3"       -> 412 when it has moved on
+//   bulk operations      "version": 3        -> 412 for that operation
+
+const { PreconditionFailedError } = require("./errors");
+
+function etagFor(resource) {
+  return `"${resource.version}"`;
+}
+
+// Entity tags listed in an If-Match / If-None-Match header
+function parseTags(header) {
+  return header.split(",").map((tag) => tag.trim()).filter((tag) => tag !== "");
+}
+
+// Throw unless the request's If-Match (when given) names the current version.
+// The refusal carries the current ETag so the client knows what it missed.
+function assertIfMatch(req, res, resource) {
+  const header = req.get("If-Match");
+  if (header === undefined) {
+    return;
+  }
+  const tags = parseTags(header);
+  // Strong comparison: weak tags never match
+  if (tags.includes("*") || tags.includes(etagFor(resource))) {
+    return;
+  }
+  res.set("ETag", etagFor(resource));
+  throw new PreconditionFailedError(
+    `Precondition failed: the resource is now at ETag ${etagFor(resource)}; fetch it again and retry`
+  );
+}
+
+// Body counterpart of If-Match for bulk operations: throw unless `version`
+// (when given) is the resource's current version
+function assertVersion(resource, version) {
+  if (version === undefined || version === resource.version) {
+    return;
+  }
+  throw new PreconditionFailedError(
+    `Precondition failed: the resource is now at version ${resource.version}; fetch it again and retry`
+  );
+}
+
+// Send a resource with its ETag, or 304 if the client already has this version
+function sendVersioned(req, res, resource, statusCode = 200) {
+  const etag = etagFor(resource);
+  res.set("ETag", etag);
+
+  const header = req.get("If-None-Match");
+  if (header !== undefined && (req.method === "GET" || req.method === "HEAD")) {
+    // Weak comparison: W/"3" matches "3"
+    const tags = parseTags(header).map((tag) => tag.replace(/^W\//, ""));
+    if (tags.includes("*") || tags.includes(etag)) {
+      return res.status(304).end();
+    }
+  }
+  res.status(statusCode).json(resource);
+}
+
+module.exports = {
+  etagFor,
+  assertIfMatch,
+  assertVersion,
+  sendVersioned,
+};
@@ -0,0 +1,60 @@
+const { events: defaultEvents } = require("./events");
+
+// Events kept for clients that reconnect with Last-Event-ID
+const BUFFER_SIZE = 1000;
+
+// Numbers published events for Server-Sent Events streams and keeps the most
+// recent ones so a reconnecting client can catch up. Ids look like
+// "<epoch>-<seq>"; the epoch changes on every start, so ids from before a
+// restart are recognised as unknown rather than matched to new events.
+class EventStreamService {
+  constructor(events = defaultEvents, bufferSize = BUFFER_SIZE) {
+    this.epoch = Date.now().toString(36);
+    this.nextSeq = 1;
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.listeners = new Set();
+    events.on("event", (event) => this._append(event));
+  }
+
+  _append(event) {
+    const seq = this.nextSeq++;
+    const entry = { id: `${this.epoch}-${seq}`, seq, event };
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    for (const listener of this.listeners) {
+      listener(entry);
+    }
+  }
+
+  // Id of the newest event, so a client that resyncs can resume from here
+  latestId() {
+    return `${this.epoch}-${this.nextSeq - 1}`;
+  }
+
+  // Events published after `lastEventId`, oldest first. Returns null when
+  // the stream cannot be resumed from there: the id is unknown, from before
+  // a restart, or older than the buffer.
+  since(lastEventId) {
+    const [epoch, seqText] = String(lastEventId).split("-");
+    const seq = Number(seqText);
+    if (epoch !== this.epoch || !Number.isInteger(seq) || seq < 0 || seq >= this.nextSeq) {
+      return null;
+    }
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.nextSeq;
+    if (seq < oldest - 1) {
+      return null;
+    }
+    return this.buffer.filter((entry) => entry.seq > seq);
+  }
+
+  // Call `listener` with every new entry; returns the unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+module.exports = new EventStreamService();
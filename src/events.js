@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// Domain events published by the services once a change is stored
+const EVENT_TYPES = [
+  "order.created",
+  "order.updated",
+  "order.status_changed",
+  "order.deleted",
+  "product.created",
+  "product.updated",
+  "product.deleted",
+  "product.stock_low",
+  "product.stock_replenished",
+];
+
+// In-process event bus. Every published event is emitted as "event" with
+// the envelope { id, type, createdAt, data }; `data` is a snapshot, so
+// listeners may keep it without seeing later changes.
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.held = null;
+  }
+
+  publish(type, data) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      data: structuredClone(data),
+    };
+    if (this.held) {
+      this.held.push(event);
+    } else {
+      this.emit("event", event);
+    }
+    return event;
+  }
+
+  // Hold back events published while `fn` runs: they are emitted once it
+  // returns and dropped if it throws, so work that is rolled back is never
+  // announced. Nested calls join the outer one.
+  deferred(fn) {
+    if (this.held) {
+      return fn();
+    }
+    this.held = [];
+    let held;
+    let result;
+    try {
+      result = fn();
+    } finally {
+      held = this.held;
+      this.held = null;
+    }
+    held.forEach((event) => this.emit("event", event));
+    return result;
+  }
+}
+
+const events = new EventBus();
+
+module.exports = {
+  EVENT_TYPES,
+  EventBus,
+  events,
+};
@@ -0,0 +1,71 @@
+const eventStreamService = require('./eventStreamService');
+const usersService = require('./usersService');
+
+// Comment line sent this often keeps proxies from closing an idle stream;
+// the session is re-checked at the same time
+const HEARTBEAT_MS = 25000;
+
+// Permission needed to receive each kind of event
+const EVENT_PERMISSIONS = {
+  order: 'orders:read',
+  product: 'products:read',
+};
+
+function formatEvent(entry) {
+  return `id: ${entry.id}\nevent: ${entry.event.type}\ndata: ${JSON.stringify(entry.event)}\n\n`;
+}
+
+const EventsController = {
+  // Server-Sent Events stream of order and product changes. A client that
+  // reconnects with Last-Event-ID receives what it missed, or a "resync"
+  // event when that is no longer possible and it should refetch.
+  stream(req, res) {
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const missed = lastEventId ? eventStreamService.since(lastEventId) : [];
+
+    const canSee = (entry) => {
+      const permission = EVENT_PERMISSIONS[entry.event.type.split('.')[0]];
+      return permission && usersService.hasPermission(req.user, permission);
+    };
+    const send = (entry) => {
+      if (!res.writableEnded && canSee(entry)) {
+        res.write(formatEvent(entry));
+      }
+    };
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    if (missed === null) {
+      res.write(`id: ${eventStreamService.latestId()}\nevent: resync\ndata: {}\n\n`);
+    } else {
+      missed.forEach(send);
+    }
+    const unsubscribe = eventStreamService.subscribe(send);
+    const heartbeat = setInterval(() => {
+      try {
+        usersService.authenticate(req.token);
+        res.write(': keep-alive\n\n');
+      } catch (err) {
+        // Session expired or was ended; the client has to sign in again
+        stop();
+        res.end();
+      }
+    }, HEARTBEAT_MS);
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    res.on('close', stop);
+  },
+};
+
+module.exports = EventsController;
@@ -0,0 +1,8 @@
+const express = require('express');
+const EventsController = require('./eventsController');
+
+const router = express.Router();
+
+router.get('/stream', EventsController.stream);
+
+module.exports = router;
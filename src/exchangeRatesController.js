@@ -0,0 +1,29 @@
+const exchangeRatesService = require('./exchangeRatesService');
+const { sendPage } = require('./pagination');
+
+const ExchangeRatesController = {
+  getAll(req, res) {
+    const rates = exchangeRatesService.getAll();
+    sendPage(req, res, rates, [['currency', 'asc']]);
+  },
+
+  getByCurrency(req, res) {
+    const { currency } = req.params;
+    const rate = exchangeRatesService.getByCurrency(currency);
+    res.json(rate);
+  },
+
+  set(req, res) {
+    const { currency } = req.params;
+    const { rate, created } = exchangeRatesService.set(currency, { rate: req.body.rate }, req.user.id);
+    res.status(created ? 201 : 200).json(rate);
+  },
+
+  delete(req, res) {
+    const { currency } = req.params;
+    exchangeRatesService.delete(currency);
+    res.status(204).send();
+  },
+};
+
+module.exports = ExchangeRatesController;
@@ -0,0 +1,13 @@
+const express = require('express');
+const ExchangeRatesController = require('./exchangeRatesController');
+const { authorize } = require('./auth');
+const { validateBody } = require('./validation');
+
+const router = express.Router();
+
+router.get('/', authorize('currencies:read'), ExchangeRatesController.getAll);
+router.get('/:currency', authorize('currencies:read'), ExchangeRatesController.getByCurrency);
+router.put('/:currency', authorize('currencies:write'), validateBody('ExchangeRateUpdate'), ExchangeRatesController.set);
+router.delete('/:currency', authorize('currencies:delete'), ExchangeRatesController.delete);
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const { storage: defaultStorage } = require("./storage");
+const config = require("./config");
+const { CURRENCIES, convertMinor } = require("./money");
+const { assertValid } = require("./validation");
+const { ConflictError, NotFoundError, ValidationError } = require("./errors");
+
+// Custom error classes
+class ExchangeRateNotFoundError extends NotFoundError {
+  constructor(currency) {
+    super(`No exchange rate for ${currency}`);
+  }
+}
+
+// Locally maintained exchange rates: how many units of each currency one
+// unit of the base currency buys. The base currency's own rate is always 1
+// and is not stored. Orders record the rate they were placed at, so
+// changing a rate never changes an existing order. Every revenue figure is
+// converted into the reporting currency, so its rate cannot be removed and
+// can be given at startup (REPORTING_RATE); without one, stats and revenue
+// requests fail with 409.
+class ExchangeRatesService {
+  constructor(
+    storage = defaultStorage,
+    baseCurrency = config.currency.base,
+    reportingCurrency = config.currency.reporting,
+    reportingRate = config.currency.reportingRate
+  ) {
+    this.storage = storage;
+    this.baseCurrency = baseCurrency;
+    this.reportingCurrency = reportingCurrency;
+    this._load();
+    this._seedReportingRate(reportingRate);
+  }
+
+  // Restore state from storage. There are no rates to begin with.
+  _load() {
+    const saved = this.storage.load("exchangeRates");
+    if (saved) {
+      this.rates = saved.rates;
+      return;
+    }
+    this.rates = [];
+    this._persist();
+  }
+
+  // Write the current state to storage
+  _persist() {
+    this.storage.save("exchangeRates", { rates: this.rates });
+  }
+
+  // Store the reporting currency's rate if it has none yet. A stored rate
+  // wins, so one changed through the API survives a restart.
+  _seedReportingRate(rate) {
+    if (rate === null || this.isAvailable(this.reportingCurrency)) {
+      return;
+    }
+    this.set(this.reportingCurrency, { rate });
+  }
+
+  // Currency codes are matched ignoring case and kept upper case
+  _parseCurrency(currency) {
+    const code = String(currency).trim().toUpperCase();
+    if (CURRENCIES[code] === undefined) {
+      throw new ValidationError(
+        `Invalid currency. Must be one of: ${Object.keys(CURRENCIES).join(", ")}`
+      );
+    }
+    return code;
+  }
+
+  // Get all exchange rates, by currency code
+  getAll() {
+    return [...this.rates].sort((a, b) => a.currency.localeCompare(b.currency));
+  }
+
+  // Get the exchange rate of a currency
+  getByCurrency(currency) {
+    const code = this._parseCurrency(currency);
+    const rate = this.rates.find((r) => r.currency === code);
+    if (!rate) {
+      throw new ExchangeRateNotFoundError(code);
+    }
+    return rate;
+  }
+
+  // Set a currency's rate, adding it to the table if it is not there yet.
+  // Returns the rate and whether it was created.
+  set(currency, data, userId = "system") {
+    const code = this._parseCurrency(currency);
+    if (code === this.baseCurrency) {
+      throw new ValidationError(`${code} is the base currency; its rate is always 1`);
+    }
+    assertValid("ExchangeRateUpdate", data);
+    let rate = this.rates.find((r) => r.currency === code);
+    const created = !rate;
+    if (created) {
+      rate = { currency: code };
+      this.rates.push(rate);
+    }
+    rate.rate = data.rate;
+    rate.updatedAt = new Date().toISOString();
+    rate.updatedBy = userId;
+    this._persist();
+    return { rate, created };
+  }
+
+  // Remove a currency's rate. Orders already placed in it keep theirs.
+  delete(currency) {
+    const rate = this.getByCurrency(currency);
+    if (rate.currency === this.reportingCurrency) {
+      throw new ConflictError(
+        `${rate.currency} is the reporting currency; its rate cannot be removed`
+      );
+    }
+    this.rates = this.rates.filter((r) => r !== rate);
+    this._persist();
+    return { success: true, deletedCurrency: rate.currency };
+  }
+
+  // Whether amounts can be converted into and out of a currency
+  isAvailable(currency) {
+    return currency === this.baseCurrency || this.rates.some((r) => r.currency === currency);
+  }
+
+  // Units of `currency` that one unit of the base currency buys
+  rateOf(currency) {
+    if (currency === this.baseCurrency) {
+      return 1;
+    }
+    const rate = this.rates.find((r) => r.currency === currency);
+    if (!rate) {
+      throw new ConflictError(
+        `No exchange rate for ${currency}; set one under /api/exchange-rates/${currency}`
+      );
+    }
+    return rate.rate;
+  }
+
+  // Convert minor units of the base currency into `currency` at its
+  // current rate
+  fromBase(minor, currency) {
+    return convertMinor(minor, this.baseCurrency, currency, this.rateOf(currency));
+  }
+}
+
+module.exports = new ExchangeRatesService();
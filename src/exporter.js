@@ -0,0 +1,137 @@
+// Shared export contract for list endpoints.
+//
+// Query: ?format=csv|ndjson|xlsx (default csv) and ?columns=a,b,c to pick
+// and order columns (default: all). The response is streamed as a file
+// download named "<name>-<YYYY-MM-DD>.<ext>".
+//
+// Columns are described per resource as { key: { value(record), text(value)? } }.
+// NDJSON keeps each value as is; CSV and XLSX cells use `text` when given,
+// so nested data such as order line items can be flattened.
+
+const { formatCsvRow } = require("./csv");
+const { writeXlsx } = require("./xlsx");
+const { ValidationError } = require("./errors");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+function parseFormat(format) {
+  if (format === undefined || format === "") {
+    return "csv";
+  }
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationError(
+      `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    );
+  }
+  return format;
+}
+
+// Accepts ?columns=a,b or repeated ?columns=a&columns=b
+function parseColumns(available, columns) {
+  const keys = Object.keys(available);
+  if (columns === undefined || columns === "") {
+    return keys;
+  }
+  const requested = [...new Set(
+    [].concat(columns).flatMap((value) => String(value).split(",")).map((key) => key.trim())
+  )].filter((key) => key !== "");
+  const unknown = requested.filter((key) => !available[key]);
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown columns: ${unknown.join(", ")}. Available: ${keys.join(", ")}`
+    );
+  }
+  if (requested.length === 0) {
+    throw new ValidationError("At least one column is required");
+  }
+  return requested;
+}
+
+// Write to the response, waiting while its buffer is full. Fails if the
+// client goes away mid-download.
+function writeChunk(res, chunk) {
+  if (res.destroyed) {
+    return Promise.reject(new Error("Export aborted: connection closed"));
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off("close", onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off("drain", onDrain);
+      reject(new Error("Export aborted: connection closed"));
+    };
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+  });
+}
+
+function* tableRows(records, columns, available) {
+  for (const record of records) {
+    yield columns.map((key) => {
+      const column = available[key];
+      const value = column.value(record);
+      return column.text ? column.text(value) : value;
+    });
+  }
+}
+
+async function writeBody(res, format, records, columns, available, name) {
+  if (format === "ndjson") {
+    for (const record of records) {
+      const row = {};
+      for (const key of columns) {
+        row[key] = available[key].value(record);
+      }
+      await writeChunk(res, `${JSON.stringify(row)}\n`);
+    }
+  } else if (format === "csv") {
+    await writeChunk(res, formatCsvRow(columns));
+    for (const values of tableRows(records, columns, available)) {
+      await writeChunk(res, formatCsvRow(values));
+    }
+  } else {
+    await writeXlsx((chunk) => writeChunk(res, chunk), {
+      sheetName: name,
+      headers: columns,
+      rows: tableRows(records, columns, available),
+    });
+  }
+}
+
+// Stream `records` as a download in the format and columns the request asks
+// for. Invalid format or columns throw a ValidationError before anything is
+// sent; later failures abort the response.
+function sendExport(req, res, records, { name, columns: available }) {
+  const format = parseFormat(req.query.format);
+  const columns = parseColumns(available, req.query.columns);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.status(200);
+  res.set("Content-Type", contentType);
+  res.set("Content-Disposition", `attachment; filename="${name}-${date}.${extension}"`);
+
+  writeBody(res, format, records, columns, available, name)
+    .then(() => res.end())
+    .catch((err) => {
+      console.error(`Export of ${name} failed:`, err.message);
+      res.destroy(err);
+    });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  sendExport,
+};
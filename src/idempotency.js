@@ -0,0 +1,74 @@
+const idempotencyService = require('./idempotencyService');
+
+// Make a create endpoint safe to retry. A request with an Idempotency-Key
+// header runs once; repeating the key with the same body replays the stored
+// response (marked "Idempotent-Replayed: true"), and reusing it with a
+// different body is refused with 422. Server errors (5xx) are not stored,
+// so the request can be retried with the same key.
+
+// Response headers sent again on replay, besides the body
+const REPLAYED_HEADERS = ['ETag', 'Location'];
+
+function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  const userId = req.user.id;
+  let record;
+  try {
+    idempotencyService.validateKey(key);
+    const fingerprint = idempotencyService.fingerprint(
+      req.method,
+      req.baseUrl + req.path,
+      req.body
+    );
+    record = idempotencyService.begin(userId, key, fingerprint);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (record) {
+    const { statusCode, headers = {}, body } = record.response;
+    res.set(headers);
+    res.set('Idempotent-Replayed', 'true');
+    if (statusCode >= 400) {
+      res.type('application/problem+json');
+    }
+    return res.status(statusCode).json(body);
+  }
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    if (res.statusCode < 500 && responseBody !== undefined) {
+      const headers = {};
+      for (const name of REPLAYED_HEADERS) {
+        if (res.get(name) !== undefined) {
+          headers[name] = res.get(name);
+        }
+      }
+      idempotencyService.complete(userId, key, {
+        statusCode: res.statusCode,
+        headers,
+        body: responseBody,
+      });
+    } else {
+      idempotencyService.release(userId, key);
+    }
+  });
+  // A dropped connection before the response was sent leaves nothing to replay
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      idempotencyService.release(userId, key);
+    }
+  });
+  next();
+}
+
+module.exports = { idempotent };
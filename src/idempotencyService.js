@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { storage: defaultStorage } = require("./storage");
+const config = require("./config");
+const { ConflictError, UnprocessableError, ValidationError } = require("./errors");
+
+// JSON with object keys sorted, so equal bodies fingerprint the same
+// regardless of key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Remembers the response to each Idempotency-Key so a retried request gets
+// the original answer instead of being run twice. Keys belong to the user
+// that sent them.
+class IdempotencyService {
+  constructor(storage = defaultStorage, idempotencyConfig = config.idempotency) {
+    this.storage = storage;
+    this.ttlMs = idempotencyConfig.ttlHours * 60 * 60 * 1000;
+    this._load();
+  }
+
+  // Restore state from storage. A request still in progress when the
+  // process stopped will never complete, so its key is released for retries.
+  _load() {
+    const saved = this.storage.load("idempotency");
+    const records = saved ? saved.records : [];
+    this.records = records.filter((r) => r.status !== "in_progress");
+    if (this.records.length !== records.length) {
+      this._persist();
+    }
+  }
+
+  // Write the current state to storage
+  _persist() {
+    this.storage.save("idempotency", { records: this.records });
+  }
+
+  validateKey(key) {
+    if (typeof key !== "string" || !/^[\x21-\x7e]{1,255}$/.test(key)) {
+      throw new ValidationError(
+        "Idempotency-Key must be 1-255 printable characters without spaces"
+      );
+    }
+    return key;
+  }
+
+  fingerprint(method, path, body) {
+    return crypto
+      .createHash("sha256")
+      .update(`${method} ${path}\n${canonicalJson(body)}`)
+      .digest("hex");
+  }
+
+  _dropExpired() {
+    const now = Date.now();
+    this.records = this.records.filter((r) => new Date(r.expiresAt).getTime() > now);
+  }
+
+  // Claim a key for a request. Returns the stored record when the request
+  // was already answered (replay it), or null when it should run now.
+  begin(userId, key, fingerprint) {
+    this._dropExpired();
+    const existing = this.records.find((r) => r.userId === userId && r.key === key);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        throw new UnprocessableError(
+          "Idempotency-Key was already used for a different request",
+          { type: "idempotency-key-reused", title: "Idempotency key reused" }
+        );
+      }
+      if (existing.status === "in_progress") {
+        throw new ConflictError(
+          "A request with this Idempotency-Key is still being processed",
+          { type: "idempotency-key-in-use", title: "Idempotency key in use" }
+        );
+      }
+      return existing;
+    }
+
+    const now = Date.now();
+    this.records.push({
+      userId,
+      key,
+      fingerprint,
+      status: "in_progress",
+      response: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+    });
+    this._persist();
+    return null;
+  }
+
+  // Store the response ({ statusCode, headers, body }) for a claimed key
+  complete(userId, key, response) {
+    const record = this.records.find((r) => r.userId === userId && r.key === key);
+    if (!record) {
+      return;
+    }
+    record.status = "completed";
+    record.response = response;
+    this._persist();
+  }
+
+  // Give a claimed key up, so the request can be retried with it
+  release(userId, key) {
+    this.records = this.records.filter((r) => !(r.userId === userId && r.key === key));
+    this._persist();
+  }
+}
+
+module.exports = new IdempotencyService();
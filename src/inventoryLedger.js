@@ -0,0 +1,186 @@
+// Append-only record of every stock movement. A product's stock (or a
+// variant's, for products that have them) is derived from it:
+//
+//   onHand    = receipts + returns - sales - damage +/- adjustments
+//   reserved  = units held by pending orders (reservation movements)
+//   stock     = onHand - reserved, what can still be sold
+//
+// Each movement's `quantity` is signed: the change to onHand, or for
+// reservations the change to reserved (negative releases a reservation).
+// Unlike the audit log, movements are never trimmed.
+
+const { ValidationError } = require("./errors");
+
+// Which way each movement type may go
+const MOVEMENT_TYPES = {
+  receipt: "in",
+  return: "in",
+  sale: "out",
+  damage: "out",
+  adjustment: "either",
+  reservation: "either",
+};
+
+// Movements people post by hand; sales and reservations come from orders
+const MANUAL_MOVEMENT_TYPES = ["receipt", "return", "adjustment", "damage"];
+
+// Stock is kept per product, or per variant for products that have them.
+// Keys look like "3" or "3:2" (product 3, variant 2).
+function stockKey(productId, variantId) {
+  return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+function parseStockKey(key) {
+  const [productId, variantId] = key.split(":").map(Number);
+  return { productId, variantId: variantId || null };
+}
+
+class InventoryLedger {
+  constructor({ entries = [], nextId = 1 } = {}) {
+    this.entries = entries;
+    // Never reuse an id, even if the stored counter was lost
+    const maxId = entries.reduce((max, e) => Math.max(max, e.id), 0);
+    this.nextId = Math.max(nextId, maxId + 1);
+    this.balances = this.computeBalances();
+  }
+
+  // Balances summed from every movement: key -> { onHand, reserved }
+  computeBalances() {
+    const balances = new Map();
+    for (const entry of this.entries) {
+      this._apply(balances, entry);
+    }
+    return balances;
+  }
+
+  _apply(balances, entry) {
+    const key = stockKey(entry.productId, entry.variantId);
+    const balance = balances.get(key) || { onHand: 0, reserved: 0 };
+    if (entry.type === "reservation") {
+      balance.reserved += entry.quantity;
+    } else {
+      balance.onHand += entry.quantity;
+    }
+    balances.set(key, balance);
+  }
+
+  // Current { onHand, reserved } of a product or variant
+  balance(productId, variantId = null) {
+    const balance = this.balances.get(stockKey(productId, variantId));
+    return balance ? { ...balance } : { onHand: 0, reserved: 0 };
+  }
+
+  // Append a movement. Throws if its sign does not suit its type, or if it
+  // would take more than is available or release more than is reserved.
+  record({ productId, variantId = null, type, quantity, orderId = null, reason = null, userId = "system" }) {
+    const direction = MOVEMENT_TYPES[type];
+    if (!direction) {
+      throw new ValidationError(
+        `Invalid movement type. Must be one of: ${Object.keys(MOVEMENT_TYPES).join(", ")}`
+      );
+    }
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      throw new ValidationError("Movement quantity must be a non-zero integer");
+    }
+    if ((direction === "in" && quantity < 0) || (direction === "out" && quantity > 0)) {
+      throw new ValidationError(`A ${type} movement must ${direction === "in" ? "add" : "remove"} stock`);
+    }
+
+    const { onHand, reserved } = this.balance(productId, variantId);
+    if (type === "reservation" && reserved + quantity < 0) {
+      throw new ValidationError(`Cannot release ${-quantity} units: only ${reserved} are reserved`);
+    }
+    const taken = type === "reservation" ? quantity : -quantity;
+    if (taken > 0 && onHand - reserved < taken) {
+      throw new ValidationError(`Cannot take ${taken} units: only ${onHand - reserved} are available`);
+    }
+
+    const entry = {
+      id: this.nextId++,
+      productId,
+      variantId,
+      type,
+      quantity,
+      orderId,
+      reason,
+      userId,
+      timestamp: new Date().toISOString(),
+    };
+    this.entries.push(entry);
+    this._apply(this.balances, entry);
+    return entry;
+  }
+
+  // Movements of a product, newest first. Filters: variantId, type, orderId
+  // and an optionally open startDate/endDate range.
+  forProduct(productId, filters = {}) {
+    let movements = this.entries.filter((entry) => entry.productId === productId);
+    if (filters.variantId !== undefined) {
+      const variantId = Number(filters.variantId);
+      movements = movements.filter((entry) => entry.variantId === variantId);
+    }
+    if (filters.type) {
+      movements = movements.filter((entry) => entry.type === filters.type);
+    }
+    if (filters.orderId !== undefined) {
+      const orderId = Number(filters.orderId);
+      movements = movements.filter((entry) => entry.orderId === orderId);
+    }
+    const start = filters.startDate ? new Date(filters.startDate) : null;
+    const end = filters.endDate ? new Date(filters.endDate) : null;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      throw new ValidationError("Invalid date format");
+    }
+    if (start || end) {
+      movements = movements.filter((entry) => {
+        const entryDate = new Date(entry.timestamp);
+        return (!start || entryDate >= start) && (!end || entryDate <= end);
+      });
+    }
+    // Entries are appended in time order
+    return movements.reverse();
+  }
+
+  // Ids of orders that have ever reserved stock
+  reservingOrders() {
+    return new Set(
+      this.entries
+        .filter((entry) => entry.type === "reservation" && entry.orderId !== null)
+        .map((entry) => entry.orderId)
+    );
+  }
+
+  // Units each order still has reserved: orderId -> Map(key -> quantity),
+  // leaving out what has been released in full
+  reservationsByOrder() {
+    const reservations = new Map();
+    for (const entry of this.entries) {
+      if (entry.type !== "reservation" || entry.orderId === null) {
+        continue;
+      }
+      const held = reservations.get(entry.orderId) || new Map();
+      const key = stockKey(entry.productId, entry.variantId);
+      held.set(key, (held.get(key) || 0) + entry.quantity);
+      reservations.set(entry.orderId, held);
+    }
+    for (const [orderId, held] of reservations) {
+      for (const [key, quantity] of held) {
+        if (quantity <= 0) {
+          held.delete(key);
+        }
+      }
+      if (held.size === 0) {
+        reservations.delete(orderId);
+      }
+    }
+    return reservations;
+  }
+}
+
+module.exports = {
+  InventoryLedger,
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  stockKey,
+  parseStockKey,
+};
@@ -0,0 +1,72 @@
+// Money amounts. The API and stored records give amounts as decimal numbers
+// in a currency's major unit (12.34 EUR), but every sum, product and
+// rounding is done on integer minor units (1234 cents) so that amounts
+// never drift: 0.1 + 0.2 is 0.3, and 1.005 rounds to 1.01.
+
+// Supported ISO 4217 currencies and the decimal places of their minor unit
+const CURRENCIES = {
+  AUD: 2,
+  CAD: 2,
+  CHF: 2,
+  CZK: 2,
+  DKK: 2,
+  EUR: 2,
+  GBP: 2,
+  HUF: 2,
+  JPY: 0,
+  NOK: 2,
+  NZD: 2,
+  PLN: 2,
+  SEK: 2,
+  USD: 2,
+};
+
+function decimals(currency) {
+  const places = CURRENCIES[currency];
+  if (places === undefined) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return places;
+}
+
+// `value` times 10^places, done on the decimal digits so no binary
+// fraction creeps in (1.005 * 100 is 100.49999999999999)
+function shift(value, places) {
+  const [mantissa, exponent = "0"] = String(value).split("e");
+  return Number(`${mantissa}e${Number(exponent) + places}`);
+}
+
+// Whole minor units in an amount, rounded half up
+function toMinor(amount, currency) {
+  return Math.round(shift(amount, decimals(currency)));
+}
+
+// Amount in the major unit for a whole number of minor units
+function fromMinor(minor, currency) {
+  return shift(minor, -decimals(currency));
+}
+
+// A number rounded half up to some decimal places, such as a percentage
+function roundTo(value, places) {
+  return shift(Math.round(shift(value, places)), -places);
+}
+
+// An amount rounded to the currency's minor unit
+function roundAmount(amount, currency) {
+  return roundTo(amount, decimals(currency));
+}
+
+// Convert minor units of one currency into another, given how many units
+// of `to` one unit of `from` buys
+function convertMinor(minor, from, to, rate) {
+  return Math.round(shift(minor * rate, decimals(to) - decimals(from)));
+}
+
+module.exports = {
+  CURRENCIES,
+  toMinor,
+  fromMinor,
+  roundAmount,
+  roundTo,
+  convertMinor,
+};
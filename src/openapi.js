@@ -0,0 +1,518 @@
+// OpenAPI 3.0 document describing the API, served at /api/openapi.json.
+//
+// Paths, methods, request bodies and required permissions are read from the
+// mounted routers, so the document follows the routes as they change:
+// validateBody(name) middleware supplies the request schema, authorize()
+// the permission, idempotent the Idempotency-Key header. OPERATIONS adds
+// what the routers cannot tell: a summary, the response and query
+// parameters.
+
+const { authenticate } = require("./auth");
+const { idempotent } = require("./idempotency");
+const { EXPORT_FORMATS } = require("./exporter");
+const { MOVEMENT_TYPES } = require("./inventoryLedger");
+const { schemas } = require("./schemas");
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function listOf(name) {
+  return { type: "array", items: ref(name) };
+}
+
+function query(name, description, schema = { type: "string" }) {
+  return { name, in: "query", required: false, description, schema };
+}
+
+const statsObject = { type: "object", additionalProperties: true };
+
+const historyQuery = [
+  query("action", "Only entries with this action"),
+  query("userId", "Only changes made by this user"),
+  query("startDate", "Entries at or after this time", { type: "string", format: "date-time" }),
+  query("endDate", "Entries at or before this time", { type: "string", format: "date-time" }),
+];
+
+const exportQuery = [
+  query("format", "File format (default csv)", {
+    type: "string",
+    enum: Object.keys(EXPORT_FORMATS),
+  }),
+  query("columns", "Comma-separated columns to include, in order (default: all)"),
+];
+
+const orderFilterQuery = [
+  query("status", "Comma-separated statuses"),
+  query("customerName", "Customer name contains"),
+  query("customers", "Comma-separated customer names"),
+  query("customerId", "Customer id", { type: "integer" }),
+  query("productId", "Orders containing this product", { type: "integer" }),
+  query("productIds", "Comma-separated product ids"),
+  query("minTotal", "Minimum order total", { type: "number" }),
+  query("maxTotal", "Maximum order total", { type: "number" }),
+  query("minQuantity", "Minimum total units", { type: "integer" }),
+  query("maxQuantity", "Maximum total units", { type: "integer" }),
+  query("startDate", "Created at or after", { type: "string", format: "date-time" }),
+  query("endDate", "Created at or before", { type: "string", format: "date-time" }),
+  query("sortBy", "Field to sort by"),
+  query("sortOrder", "asc or desc", { type: "string", enum: ["asc", "desc"] }),
+];
+
+const OPERATIONS = {
+  "POST /api/auth/login": { summary: "Log in and start a session", response: ref("Session") },
+  "POST /api/auth/logout": { summary: "End the current session", status: 204 },
+  "GET /api/auth/me": { summary: "The logged-in user and their permissions", response: ref("User") },
+
+  "GET /api/users": { summary: "List users", response: listOf("User"), paginated: true },
+  "GET /api/users/{id}": { summary: "Get a user", response: ref("User") },
+  "POST /api/users": { summary: "Create a user", response: ref("User"), status: 201 },
+  "PUT /api/users/{id}": { summary: "Update a user", response: ref("User") },
+  "PATCH /api/users/{id}": { summary: "Update a user", response: ref("User") },
+  "DELETE /api/users/{id}": { summary: "Delete a user", status: 204 },
+
+  "GET /api/products": {
+    summary: "List products",
+    response: listOf("Product"),
+    paginated: true,
+    query: [query("status", "Only this status"), query("category", "Only this category")],
+  },
+  "GET /api/products/export": {
+    summary: "Download products as CSV, NDJSON or XLSX",
+    export: true,
+    query: exportQuery,
+  },
+  "GET /api/products/stats": { summary: "Catalog statistics", response: statsObject },
+  "GET /api/products/alerts": {
+    summary: "Products at or below their reorder threshold, soonest to run out first",
+    response: listOf("StockAlert"),
+    paginated: true,
+  },
+  "GET /api/products/search": {
+    summary: "Search products by name or category",
+    response: listOf("Product"),
+    paginated: true,
+    query: [query("q", "Search text")],
+  },
+  "GET /api/products/category/{category}": {
+    summary: "List products in a category",
+    response: listOf("Product"),
+    paginated: true,
+  },
+  "GET /api/products/{id}": { summary: "Get a product", response: ref("Product"), versioned: true },
+  "GET /api/products/{id}/variants": { summary: "Variants of a product", response: listOf("Variant") },
+  "GET /api/products/{id}/variants/{variantId}": { summary: "Get a variant", response: ref("Variant") },
+  "POST /api/products/{id}/variants": {
+    summary: "Add a variant to a product",
+    response: ref("Variant"),
+    status: 201,
+  },
+  "PUT /api/products/{id}/variants/{variantId}": { summary: "Update a variant", response: ref("Variant") },
+  "PATCH /api/products/{id}/variants/{variantId}": { summary: "Update a variant", response: ref("Variant") },
+  "DELETE /api/products/{id}/variants/{variantId}": { summary: "Delete a variant", status: 204 },
+  "GET /api/products/{id}/history": {
+    summary: "Audit history of a product",
+    response: listOf("AuditEntry"),
+    paginated: true,
+    query: historyQuery,
+  },
+  "GET /api/products/{id}/price-history": {
+    summary: "Price changes of a product",
+    response: { type: "array", items: { type: "object" } },
+  },
+  "GET /api/products/{id}/stock-history": {
+    summary: "Stock changes of a product",
+    response: { type: "array", items: { type: "object" } },
+  },
+  "GET /api/products/{id}/stock-movements": {
+    summary: "Inventory ledger movements of a product, newest first",
+    response: listOf("StockMovement"),
+    paginated: true,
+    query: [
+      query("type", "Only this movement type", { type: "string", enum: Object.keys(MOVEMENT_TYPES) }),
+      query("variantId", "Only this variant", { type: "integer" }),
+      query("orderId", "Only movements made by this order", { type: "integer" }),
+      query("startDate", "Movements at or after this time", { type: "string", format: "date-time" }),
+      query("endDate", "Movements at or before this time", { type: "string", format: "date-time" }),
+    ],
+  },
+  "POST /api/products/{id}/stock-movements": {
+    summary: "Record a receipt, return, adjustment or damage",
+    response: ref("StockMovement"),
+    status: 201,
+  },
+  "POST /api/products": {
+    summary: "Create a product",
+    response: ref("Product"),
+    status: 201,
+    versioned: true,
+  },
+  "POST /api/products/import": {
+    summary: "Create or update products from CSV or a JSON array",
+    response: ref("ProductImportResult"),
+    requestBody: {
+      required: true,
+      content: {
+        "text/csv": { schema: { type: "string" } },
+        "application/json": { schema: { type: "array", items: ref("ProductCreate") } },
+      },
+    },
+    query: [
+      query("dryRun", "Report what would happen without saving", { type: "boolean" }),
+      query("upsert", "Update products whose name already exists", { type: "boolean" }),
+    ],
+  },
+  "POST /api/products/bulk": {
+    summary: "Create, update and delete products in one request",
+    response: ref("BatchResult"),
+  },
+  "POST /api/products/bulk/reprice": {
+    summary: "Change every price in a category by a percentage",
+    response: ref("BatchResult"),
+  },
+  "PUT /api/products/{id}": { summary: "Update a product", response: ref("Product"), ifMatch: true },
+  "PATCH /api/products/{id}": { summary: "Update a product", response: ref("Product"), ifMatch: true },
+  "DELETE /api/products/{id}": { summary: "Delete a product", status: 204, ifMatch: true },
+
+  "GET /api/orders": {
+    summary: "List and filter orders",
+    response: listOf("Order"),
+    paginated: true,
+    query: orderFilterQuery,
+  },
+  "GET /api/orders/export": {
+    summary: "Download orders as CSV, NDJSON or XLSX",
+    export: true,
+    query: [...orderFilterQuery, ...exportQuery],
+  },
+  "GET /api/orders/stats": { summary: "Order statistics", response: statsObject },
+  "GET /api/orders/customer/{customerName}": {
+    summary: "Orders of a customer",
+    response: listOf("Order"),
+    paginated: true,
+  },
+  "GET /api/orders/product/{productId}": {
+    summary: "Orders containing a product",
+    response: listOf("Order"),
+    paginated: true,
+  },
+  "GET /api/orders/{id}": { summary: "Get an order", response: ref("Order"), versioned: true },
+  "GET /api/orders/{id}/history": {
+    summary: "Audit history of an order",
+    response: listOf("AuditEntry"),
+    paginated: true,
+    query: historyQuery,
+  },
+  "GET /api/orders/{id}/transitions": {
+    summary: "Statuses the order can move to next",
+    response: {
+      type: "object",
+      properties: { allowedTransitions: { type: "array", items: { type: "string" } } },
+    },
+  },
+  "POST /api/orders": { summary: "Place an order", response: ref("Order"), status: 201, versioned: true },
+  "POST /api/orders/bulk": {
+    summary: "Create, update and delete orders in one request",
+    response: ref("BatchResult"),
+  },
+  "POST /api/orders/bulk/status": { summary: "Move many orders to a status", response: ref("BatchResult") },
+  "PUT /api/orders/{id}": { summary: "Update an order", response: ref("Order"), ifMatch: true },
+  "PATCH /api/orders/{id}": { summary: "Update an order", response: ref("Order"), ifMatch: true },
+  "DELETE /api/orders/{id}": { summary: "Delete an order", status: 204, ifMatch: true },
+  "POST /api/orders/{id}/process": { summary: "Start processing an order", response: ref("Order"), ifMatch: true },
+  "POST /api/orders/{id}/ship": { summary: "Mark an order shipped", response: ref("Order"), ifMatch: true },
+  "POST /api/orders/{id}/complete": { summary: "Complete an order", response: ref("Order"), ifMatch: true },
+  "POST /api/orders/{id}/cancel": { summary: "Cancel an order", response: ref("Order"), ifMatch: true },
+
+  "GET /api/customers": {
+    summary: "List customers",
+    response: listOf("Customer"),
+    paginated: true,
+    query: [query("status", "Only this status"), query("q", "Name or email contains")],
+  },
+  "GET /api/customers/{id}": { summary: "Get a customer", response: ref("Customer") },
+  "GET /api/customers/{id}/orders": {
+    summary: "Orders of a customer",
+    response: listOf("Order"),
+    paginated: true,
+  },
+  "POST /api/customers": { summary: "Create a customer", response: ref("Customer"), status: 201 },
+  "PUT /api/customers/{id}": { summary: "Update a customer", response: ref("Customer") },
+  "PATCH /api/customers/{id}": { summary: "Update a customer", response: ref("Customer") },
+  "DELETE /api/customers/{id}": { summary: "Delete a customer", status: 204 },
+
+  "GET /api/promotions": {
+    summary: "List promotions",
+    response: listOf("Promotion"),
+    paginated: true,
+    query: [query("active", "Only active (true) or inactive (false) promotions", { type: "boolean" })],
+  },
+  "GET /api/promotions/{id}": { summary: "Get a promotion", response: ref("Promotion") },
+  "POST /api/promotions": { summary: "Create a promotion", response: ref("Promotion"), status: 201 },
+  "PUT /api/promotions/{id}": { summary: "Update a promotion", response: ref("Promotion") },
+  "PATCH /api/promotions/{id}": { summary: "Update a promotion", response: ref("Promotion") },
+  "DELETE /api/promotions/{id}": { summary: "Delete a promotion that has not been used", status: 204 },
+
+  "GET /api/tax-rules": {
+    summary: "List tax rules",
+    response: listOf("TaxRule"),
+    paginated: true,
+    query: [query("region", "Only rules of this region", { type: "string" })],
+  },
+  "GET /api/tax-rules/{id}": { summary: "Get a tax rule", response: ref("TaxRule") },
+  "POST /api/tax-rules": { summary: "Create a tax rule", response: ref("TaxRule"), status: 201 },
+  "PUT /api/tax-rules/{id}": { summary: "Update a tax rule", response: ref("TaxRule") },
+  "PATCH /api/tax-rules/{id}": { summary: "Update a tax rule", response: ref("TaxRule") },
+  "DELETE /api/tax-rules/{id}": { summary: "Delete a tax rule", status: 204 },
+
+  "GET /api/exchange-rates": {
+    summary: "Exchange rates from the base currency",
+    response: listOf("ExchangeRate"),
+    paginated: true,
+  },
+  "GET /api/exchange-rates/{currency}": { summary: "Get a currency's exchange rate", response: ref("ExchangeRate") },
+  "PUT /api/exchange-rates/{currency}": {
+    summary: "Set a currency's exchange rate (201 when it is new)",
+    response: ref("ExchangeRate"),
+  },
+  "DELETE /api/exchange-rates/{currency}": { summary: "Remove a currency's exchange rate", status: 204 },
+
+  "GET /api/audit": {
+    summary: "Audit log across orders or products",
+    response: listOf("AuditEntry"),
+    paginated: true,
+    query: [
+      query("resource", "Audited resource (default orders)", {
+        type: "string",
+        enum: ["orders", "products"],
+      }),
+      query("orderId", "Only this order", { type: "integer" }),
+      query("productId", "Only this product", { type: "integer" }),
+      ...historyQuery,
+    ],
+  },
+  "GET /api/audit/stats": { summary: "Audit log statistics", response: statsObject },
+
+  "GET /api/webhooks/events": {
+    summary: "Event types a webhook can subscribe to",
+    response: { type: "array", items: { type: "string" } },
+  },
+  "GET /api/webhooks/deliveries": {
+    summary: "Delivery log",
+    response: listOf("WebhookDelivery"),
+    paginated: true,
+    query: [
+      query("webhookId", "Only this webhook", { type: "integer" }),
+      query("status", "pending, succeeded or failed"),
+      query("eventType", "Only this event type"),
+    ],
+  },
+  "GET /api/webhooks/deliveries/{id}": { summary: "Get a delivery", response: ref("WebhookDelivery") },
+  "POST /api/webhooks/deliveries/{id}/redeliver": {
+    summary: "Send a delivery's event again",
+    response: ref("WebhookDelivery"),
+    status: 202,
+  },
+  "GET /api/webhooks": { summary: "List webhooks", response: listOf("Webhook"), paginated: true },
+  "GET /api/webhooks/{id}": { summary: "Get a webhook", response: ref("Webhook") },
+  "POST /api/webhooks": { summary: "Subscribe a URL to events", response: ref("Webhook"), status: 201 },
+  "PUT /api/webhooks/{id}": { summary: "Update a webhook", response: ref("Webhook") },
+  "PATCH /api/webhooks/{id}": { summary: "Update a webhook", response: ref("Webhook") },
+  "DELETE /api/webhooks/{id}": { summary: "Delete a webhook", status: 204 },
+  "POST /api/webhooks/{id}/ping": {
+    summary: "Send a test event",
+    response: ref("WebhookDelivery"),
+    status: 202,
+  },
+
+  "GET /api/events/stream": {
+    summary: "Server-sent events for order and product changes",
+    response: { type: "string" },
+    contentType: "text/event-stream",
+    query: [
+      query("access_token", "Session token, for clients that cannot send headers"),
+      query("lastEventId", "Resume after this event id"),
+    ],
+  },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/problem+json": { schema: ref("Problem") } },
+});
+
+const PAGE_HEADERS = {
+  "X-Total-Count": { description: "Items across all pages", schema: { type: "integer" } },
+  "X-Next-Cursor": { description: "Cursor for the next page", schema: { type: "string" } },
+  Link: { description: "first, next and prev page links", schema: { type: "string" } },
+};
+
+const PAGE_QUERY = [
+  query("limit", "Page size", { type: "integer", minimum: 1 }),
+  query("cursor", "X-Next-Cursor from the previous page"),
+  query("offset", "Items to skip, instead of a cursor", { type: "integer", minimum: 0 }),
+];
+
+function successResponse(operation) {
+  const status = operation.status || 200;
+  if (status === 204) {
+    return { 204: { description: "No content" } };
+  }
+  const response = { description: "OK" };
+  if (operation.export) {
+    response.content = {};
+    for (const { contentType } of Object.values(EXPORT_FORMATS)) {
+      response.content[contentType.split(";")[0]] = {
+        schema: { type: "string", format: "binary" },
+      };
+    }
+  } else if (operation.response) {
+    response.content = {
+      [operation.contentType || "application/json"]: { schema: operation.response },
+    };
+  }
+  if (operation.paginated) {
+    response.headers = { ...PAGE_HEADERS };
+  }
+  if (operation.versioned) {
+    response.headers = {
+      ...response.headers,
+      ETag: { description: "Current version", schema: { type: "string" } },
+    };
+  }
+  return { [status]: response };
+}
+
+// Describe one route given what its middleware revealed
+function buildOperation(method, path, { tag, bodySchema, permission, secured, idempotency }) {
+  const operation = OPERATIONS[`${method.toUpperCase()} ${path}`] || {};
+  const parameters = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: name === "id" || name.endsWith("Id") ? { type: "integer" } : { type: "string" },
+  }));
+  parameters.push(...(operation.query || []));
+  if (operation.paginated) {
+    parameters.push(...PAGE_QUERY);
+  }
+  if (operation.ifMatch) {
+    parameters.push({
+      name: "If-Match",
+      in: "header",
+      required: false,
+      description: "Only apply the change if the ETag still matches",
+      schema: { type: "string" },
+    });
+  }
+  if (idempotency) {
+    parameters.push({
+      name: "Idempotency-Key",
+      in: "header",
+      required: false,
+      description: "Repeat the request safely: the first response is replayed",
+      schema: { type: "string", maxLength: 255 },
+    });
+  }
+
+  const result = {
+    tags: [tag],
+    summary: operation.summary || `${method.toUpperCase()} ${path}`,
+    parameters,
+    responses: successResponse(operation),
+  };
+  if (permission) {
+    result.description = `Requires the \`${permission}\` permission.`;
+    result["x-permission"] = permission;
+  }
+  if (bodySchema) {
+    result.requestBody = {
+      required: true,
+      content: { "application/json": { schema: ref(bodySchema) } },
+    };
+  } else if (operation.requestBody) {
+    result.requestBody = operation.requestBody;
+  }
+
+  if (bodySchema || operation.requestBody || operation.query || parameters.length > 0) {
+    result.responses[400] = errorResponse("Invalid request");
+  }
+  if (secured) {
+    result.security = [{ bearerAuth: [] }];
+    result.responses[401] = errorResponse("Not logged in or session expired");
+  } else {
+    result.security = [];
+  }
+  if (permission) {
+    result.responses[403] = errorResponse("Role lacks the required permission");
+  }
+  if (path.includes("{")) {
+    result.responses[404] = errorResponse("Not found");
+  }
+  if (idempotency) {
+    result.responses[409] = errorResponse("A request with this key is still in progress");
+    result.responses[422] = errorResponse("Key reused with a different request");
+  }
+  if (operation.ifMatch) {
+    result.responses[412] = errorResponse("If-Match did not match the current version");
+  }
+  return result;
+}
+
+// Build the document from [{ path, router, tag, public }] mount entries.
+// Routes under a public mount need no session unless they use authenticate.
+function buildOpenApiSpec(mounts, { title, version }) {
+  const paths = {};
+
+  for (const mount of mounts) {
+    let routerPermission = null;
+    for (const layer of mount.router.stack) {
+      if (!layer.route) {
+        if (layer.handle.permission) {
+          routerPermission = layer.handle.permission;
+        }
+        continue;
+      }
+      const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+      const guard = handlers.find((handle) => handle.permission);
+      const body = handlers.find((handle) => handle.bodySchema);
+      const path = `${mount.path}${layer.route.path === "/" ? "" : layer.route.path}`
+        .replace(/:(\w+)/g, "{$1}");
+
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = buildOperation(method, path, {
+          tag: mount.tag,
+          bodySchema: body ? body.bodySchema : null,
+          permission: guard ? guard.permission : routerPermission,
+          secured: !mount.public || handlers.includes(authenticate),
+          idempotency: handlers.includes(idempotent),
+        });
+      }
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title,
+      version,
+      description:
+        "Log in with POST /api/auth/login and send the token as " +
+        "`Authorization: Bearer <token>`. Errors are RFC 7807 " +
+        "application/problem+json; validation errors list every invalid " +
+        "field as { field, message }.",
+    },
+    servers: [{ url: "/" }],
+    tags: mounts.map((mount) => ({ name: mount.tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer" },
+      },
+      schemas,
+    },
+  };
+}
+
+module.exports = { buildOpenApiSpec };
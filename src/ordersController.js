@@ -1,94 +1,210 @@
 const ordersService = require('./ordersService');
+const { NEWEST_FIRST, sendPage } = require('./pagination');
+const { sendExport } = require('./exporter');
+const { assertIfMatch, sendVersioned } = require('./etag');
+const { requirePermission } = require('./auth');
+
+// Columns available to GET /api/orders/export. Line items stay structured
+// in NDJSON and are flattened to "2 x Laptop; 1 x Mouse" in CSV and XLSX.
+const EXPORT_COLUMNS = {
+  id: { value: (order) => order.id },
+  customerId: { value: (order) => order.customerId },
+  customerName: { value: (order) => order.customerName },
+  status: { value: (order) => order.status },
+  items: {
+    value: (order) => order.items,
+    text: (items) =>
+      items
+        .map((item) => `${item.quantity} x ${item.productName}${item.sku ? ` (${item.sku})` : ''}`)
+        .join('; '),
+  },
+  quantity: { value: (order) => order.quantity },
+  subtotal: { value: (order) => order.subtotal },
+  discountTotal: { value: (order) => order.discountTotal },
+  couponCode: { value: (order) => order.couponCode },
+  currency: { value: (order) => order.currency },
+  taxRegion: { value: (order) => order.taxRegion },
+  taxTotal: { value: (order) => order.taxTotal },
+  total: { value: (order) => order.total },
+  createdAt: { value: (order) => order.createdAt },
+  updatedAt: { value: (order) => order.updatedAt },
+};
+
+// Filters shared by the order list and export, passed to advancedQuery
+function queryFilters(query) {
+  const {
+    status,
+    customerName,
+    customers,
+    customerId,
+    productId,
+    productIds,
+    minTotal,
+    maxTotal,
+    minQuantity,
+    maxQuantity,
+    startDate,
+    endDate,
+    sortBy,
+    sortOrder,
+  } = query;
+  return {
+    status,
+    customerName,
+    customers,
+    customerId,
+    productId,
+    productIds,
+    minTotal,
+    maxTotal,
+    minQuantity,
+    maxQuantity,
+    startDate,
+    endDate,
+    sortBy,
+    sortOrder,
+  };
+}
+
+// Handler for a lifecycle action such as POST /api/orders/:id/ship
+function transition(action) {
+  return (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+    assertIfMatch(req, res, ordersService.getById(id));
+    const order = ordersService.transition(id, action, {
+      reason,
+      userId: req.user.id,
+    });
+    sendVersioned(req, res, order);
+  };
+}
 
 const OrdersController = {
   getAll(req, res) {
-    try {
-      const { status } = req.query;
-      const orders = ordersService.getAll(status || null);
-      res.json(orders);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const filters = queryFilters(req.query);
+    const orders = ordersService.advancedQuery(filters);
+    sendPage(req, res, orders, ordersService.pageOrder(filters.sortBy, filters.sortOrder));
+  },
+
+  export(req, res) {
+    const orders = ordersService.advancedQuery(queryFilters(req.query));
+    sendExport(req, res, orders, { name: 'orders', columns: EXPORT_COLUMNS });
   },
 
   getById(req, res) {
-    try {
-      const { id } = req.params;
-      const order = ordersService.getById(id);
-      res.json(order);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const { id } = req.params;
+    const order = ordersService.getById(id);
+    sendVersioned(req, res, order);
   },
 
   create(req, res) {
-    try {
-      const { customerName, productId, quantity, price } = req.body;
-      if (!customerName || !productId || !quantity || price === undefined) {
-        return res.status(400).json({
-          error: 'customerName, productId, quantity, and price are required',
-        });
-      }
-      const order = ordersService.create({
+    const {
+      customerId,
+      customerName,
+      items,
+      productId,
+      variantId,
+      quantity,
+      priceOverride,
+      priceOverrideReason,
+      couponCode,
+      taxRegion,
+      currency,
+    } = req.body;
+    const order = ordersService.create(
+      {
+        customerId,
         customerName,
+        items,
         productId,
+        variantId,
         quantity,
-        price,
-      });
-      res.status(201).json(order);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
+        priceOverride,
+        priceOverrideReason,
+        couponCode,
+        taxRegion,
+        currency,
+      },
+      req.user.id
+    );
+    sendVersioned(req, res, order, 201);
+  },
+
+  // Create, update and delete operations in one request
+  bulk(req, res) {
+    const { mode, operations } = req.body;
+    if (operations.some((operation) => operation.op === 'delete')) {
+      requirePermission(req.user, 'orders:delete');
     }
+    const result = ordersService.bulk(operations, { mode, userId: req.user.id });
+    res.json(result);
+  },
+
+  setStatus(req, res) {
+    const { ids, status, reason, mode } = req.body;
+    const result = ordersService.setStatus(ids, status, { mode, reason, userId: req.user.id });
+    res.json(result);
   },
 
   update(req, res) {
-    try {
-      const { id } = req.params;
-      const updates = req.body;
-      const order = ordersService.update(id, updates);
-      res.json(order);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
+    const { id } = req.params;
+    const updates = req.body;
+    assertIfMatch(req, res, ordersService.getById(id));
+    const order = ordersService.update(id, updates, { userId: req.user.id });
+    sendVersioned(req, res, order);
+  },
+
+  getHistory(req, res) {
+    const { id } = req.params;
+    const { action, userId, startDate, endDate } = req.query;
+    const entries = ordersService.getAllAuditLogs({
+      orderId: id,
+      action,
+      userId,
+      startDate,
+      endDate,
+    });
+    // History outlives a deleted order, so only 404 when nothing is recorded
+    if (ordersService.getAuditLog(id).length === 0) {
+      ordersService.getById(id);
     }
+    sendPage(req, res, entries, NEWEST_FIRST);
+  },
+
+  getTransitions(req, res) {
+    const { id } = req.params;
+    const allowedTransitions = ordersService.getAllowedTransitions(id);
+    res.json({ allowedTransitions });
   },
 
+  process: transition('process'),
+  ship: transition('ship'),
+  complete: transition('complete'),
+  cancel: transition('cancel'),
+
   delete(req, res) {
-    try {
-      const id = Number(req.params.id);
-      ordersService.delete(id);
-      res.status(204).send();
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const id = Number(req.params.id);
+    assertIfMatch(req, res, ordersService.getById(id));
+    ordersService.delete(id, req.user.id);
+    res.status(204).send();
   },
 
   getStats(req, res) {
-    try {
-      const stats = ordersService.getStats();
-      res.json(stats);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const stats = ordersService.getStats();
+    res.json(stats);
   },
 
   getByCustomer(req, res) {
-    try {
-      const { customerName } = req.params;
-      const orders = ordersService.getByCustomer(customerName);
-      res.json(orders);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const { customerName } = req.params;
+    const orders = ordersService.getByCustomer(customerName);
+    sendPage(req, res, orders);
   },
 
   getByProduct(req, res) {
-    try {
-      const { productId } = req.params;
-      const orders = ordersService.getByProduct(productId);
-      res.json(orders);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const { productId } = req.params;
+    const orders = ordersService.getByProduct(productId);
+    sendPage(req, res, orders);
   },
 };
 
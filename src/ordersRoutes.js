@@ -1,17 +1,47 @@
 const express = require('express');
 const OrdersController = require('./ordersController');
+const { authorize } = require('./auth');
+const { idempotent } = require('./idempotency');
+const { validateBody } = require('./validation');
 
 const router = express.Router();
 
-router.get('/', OrdersController.getAll);
-router.get('/stats', OrdersController.getStats);
-router.get('/customer/:customerName', OrdersController.getByCustomer);
-router.get('/product/:productId', OrdersController.getByProduct);
-router.get('/:id', OrdersController.getById);
-router.post('/', OrdersController.create);
-router.put('/:id', OrdersController.update);
-router.patch('/:id', OrdersController.update);
-router.delete('/:id', OrdersController.delete);
+router.get('/', authorize('orders:read'), OrdersController.getAll);
+router.get('/export', authorize('orders:read'), OrdersController.export);
+router.get('/stats', authorize('orders:read'), OrdersController.getStats);
+router.get('/customer/:customerName', authorize('orders:read'), OrdersController.getByCustomer);
+router.get('/product/:productId', authorize('orders:read'), OrdersController.getByProduct);
+router.get('/:id', authorize('orders:read'), OrdersController.getById);
+router.get('/:id/history', authorize('orders:read'), OrdersController.getHistory);
+router.get('/:id/transitions', authorize('orders:read'), OrdersController.getTransitions);
+router.post(
+  '/',
+  authorize('orders:write'),
+  idempotent,
+  validateBody('OrderCreate'),
+  OrdersController.create
+);
+router.post(
+  '/bulk',
+  authorize('orders:write'),
+  idempotent,
+  validateBody('OrderBatch'),
+  OrdersController.bulk
+);
+router.post(
+  '/bulk/status',
+  authorize('orders:write'),
+  idempotent,
+  validateBody('OrderStatusBatch'),
+  OrdersController.setStatus
+);
+router.put('/:id', authorize('orders:write'), validateBody('OrderUpdate'), OrdersController.update);
+router.patch('/:id', authorize('orders:write'), validateBody('OrderUpdate'), OrdersController.update);
+router.delete('/:id', authorize('orders:delete'), OrdersController.delete);
+router.post('/:id/process', authorize('orders:write'), validateBody('OrderAction'), OrdersController.process);
+router.post('/:id/ship', authorize('orders:write'), validateBody('OrderAction'), OrdersController.ship);
+router.post('/:id/complete', authorize('orders:write'), validateBody('OrderAction'), OrdersController.complete);
+router.post('/:id/cancel', authorize('orders:write'), validateBody('OrderAction'), OrdersController.cancel);
 
 module.exports = router;
 
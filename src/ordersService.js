@@ -1,27 +1,187 @@
+const { storage: defaultStorage } = require("./storage");
+const defaultProductsService = require("./productsService");
+const defaultCustomersService = require("./customersService");
+const defaultPromotionsService = require("./promotionsService");
+const defaultTaxRulesService = require("./taxRulesService");
+const defaultExchangeRatesService = require("./exchangeRatesService");
+const { events: defaultEvents } = require("./events");
+const AuditLog = require("./auditLog");
+const config = require("./config");
+const { runBatch, transaction } = require("./batch");
+const { assertVersion } = require("./etag");
+const { stockKey, parseStockKey } = require("./inventoryLedger");
+const { BY_ID } = require("./pagination");
+const { convertMinor, fromMinor, roundAmount, toMinor } = require("./money");
+const { ORDER_STATUSES } = require("./schemas");
+const { assertValid } = require("./validation");
+const { ConflictError, NotFoundError, ValidationError } = require("./errors");
+
 // Custom error classes
-class OrderNotFoundError extends Error {
+class OrderNotFoundError extends NotFoundError {
   constructor(id) {
     super(`Order with id ${id} not found`);
-    this.name = "OrderNotFoundError";
-    this.statusCode = 404;
   }
 }
 
-class ValidationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = "ValidationError";
-    this.statusCode = 400;
+class InvalidTransitionError extends ConflictError {
+  constructor(order, to, reason, allowedTransitions) {
+    super(`Cannot move order ${order.id} from ${order.status} to ${to}: ${reason}`, {
+      type: "invalid-transition",
+      title: "Invalid status transition",
+      details: { allowedTransitions },
+    });
   }
 }
 
+// Order lifecycle: the statuses each status may move to next
+const STATUS_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+// Guard rules explaining why a move is refused. The first rule matching the
+// current and target status wins; `to` omitted matches any target.
+const TRANSITION_GUARDS = [
+  { from: ["cancelled"], reason: "a cancelled order cannot be reopened, shipped or completed" },
+  { from: ["completed"], reason: "a completed order is final" },
+  { from: ["shipped"], to: ["cancelled"], reason: "cannot cancel an order once it has shipped" },
+  { from: ["shipped"], to: ["pending", "processing"], reason: "a shipped order cannot go back" },
+  { from: ["processing"], to: ["pending"], reason: "an order cannot go back to pending once processing" },
+  { from: ["pending"], to: ["shipped", "completed"], reason: "an order must be processed before it ships" },
+  { from: ["processing"], to: ["completed"], reason: "an order must ship before it is completed" },
+];
+
+// Named actions exposed as POST /api/orders/:id/<action>
+const STATUS_ACTIONS = {
+  process: "processing",
+  ship: "shipped",
+  complete: "completed",
+  cancel: "cancelled",
+};
+
 class OrdersService {
-  constructor() {
-    this.orders = [
+  constructor(
+    storage = defaultStorage,
+    productsService = defaultProductsService,
+    customersService = defaultCustomersService,
+    events = defaultEvents,
+    promotionsService = defaultPromotionsService,
+    taxRulesService = defaultTaxRulesService,
+    taxConfig = config.tax,
+    exchangeRatesService = defaultExchangeRatesService,
+    currencyConfig = config.currency
+  ) {
+    this.storage = storage;
+    this.productsService = productsService;
+    this.customersService = customersService;
+    this.events = events;
+    this.promotionsService = promotionsService;
+    this.taxRulesService = taxRulesService;
+    this.taxConfig = taxConfig;
+    this.exchangeRatesService = exchangeRatesService;
+    this.currencyConfig = currencyConfig;
+    this._load();
+  }
+
+  // Restore state from storage, seeding the default orders on first run
+  _load() {
+    const saved = this.storage.load("orders");
+    if (saved) {
+      this.orders = saved.orders.map((order) => this._normalizeOrder(order));
+      // Never hand out an id that is already taken, even if nextId was lost
+      const maxId = this.orders.reduce((max, o) => Math.max(max, o.id), 0);
+      this.nextId = Math.max(saved.nextId || 1, maxId + 1);
+      this.audit = new AuditLog("orderId", {
+        entries: saved.auditLog,
+        nextId: saved.nextAuditId,
+      });
+      this._reserveLegacyHoldings();
+      this._releaseOrphanReservations();
+      // Keep any migration done by _normalizeOrder
+      this._persist();
+      return;
+    }
+    this.orders = this._seedOrders().map((order) => this._normalizeOrder(order));
+    this.nextId = 3;
+    // Audit log for tracking all changes
+    this.audit = new AuditLog("orderId");
+    this._reserveLegacyHoldings();
+    this._releaseOrphanReservations();
+    this._persist();
+  }
+
+  // Pending orders from before the inventory ledger took their stock
+  // outright; turn what they hold into reservations
+  _reserveLegacyHoldings() {
+    const reserving = this.productsService.reservingOrders();
+    for (const order of this.orders) {
+      if (order.status !== "pending" || reserving.has(order.id)) {
+        continue;
+      }
+      for (const [key, quantity] of this._holdings(order.status, order.items).reservation) {
+        const { productId, variantId } = parseStockKey(key);
+        try {
+          this.productsService.openReservation(productId, { variantId, quantity, orderId: order.id });
+        } catch (err) {
+          // The product or variant is gone; there is nothing to reserve
+          if (err.statusCode >= 500) {
+            throw err;
+          }
+        }
+      }
+    }
+  }
+
+  // Reservations kept for orders that are gone or no longer pending, e.g.
+  // when the ledger was written but the orders were not; give them back
+  _releaseOrphanReservations() {
+    const pending = new Set(
+      this.orders.filter((order) => order.status === "pending").map((order) => order.id)
+    );
+    for (const [orderId, held] of this.productsService.reservationsByOrder()) {
+      if (pending.has(orderId)) {
+        continue;
+      }
+      for (const [key, quantity] of held) {
+        this._moveStock(key, "reservation", -quantity, {
+          orderId,
+          reason: `Order ${orderId} holds no stock; reservation released`,
+          userId: "system",
+        });
+      }
+    }
+  }
+
+  // Write the current state to storage
+  _persist() {
+    this.storage.save("orders", {
+      orders: this.orders,
+      nextId: this.nextId,
+      auditLog: this.audit.entries,
+      nextAuditId: this.audit.nextId,
+    });
+  }
+
+  // Default orders for a fresh data store
+  _seedOrders() {
+    return [
       {
         id: 1,
         customerName: "Alice Johnson",
-        productId: 1,
+        items: [
+          {
+            lineId: 1,
+            productId: 1,
+            productName: "Laptop",
+            quantity: 2,
+            unitPrice: 999.99,
+            lineTotal: 1999.98,
+          },
+        ],
+        nextLineId: 2,
         quantity: 2,
         total: 1999.98,
         status: "pending",
@@ -31,7 +191,17 @@ class OrdersService {
       {
         id: 2,
         customerName: "Bob Smith",
-        productId: 2,
+        items: [
+          {
+            lineId: 1,
+            productId: 2,
+            productName: "Coffee Maker",
+            quantity: 1,
+            unitPrice: 49.99,
+            lineTotal: 49.99,
+          },
+        ],
+        nextLineId: 2,
         quantity: 1,
         total: 49.99,
         status: "completed",
@@ -39,29 +209,11 @@ class OrdersService {
         updatedAt: new Date().toISOString(),
       },
     ];
-    this.nextId = 3;
-    // Audit log for tracking all changes
-    this.auditLog = [];
   }
 
   // Log audit entry
   _logAudit(action, orderId, details, userId = "system") {
-    const auditEntry = {
-      id: this.auditLog.length + 1,
-      action, // 'create', 'update', 'delete', 'status_change', etc.
-      orderId,
-      userId,
-      timestamp: new Date().toISOString(),
-      details,
-    };
-    this.auditLog.push(auditEntry);
-    
-    // Keep only last 10000 audit entries to prevent memory issues
-    if (this.auditLog.length > 10000) {
-      this.auditLog.shift();
-    }
-    
-    return auditEntry;
+    return this.audit.record(action, orderId, details, userId);
   }
 
   // Validation helpers
@@ -109,95 +261,977 @@ class OrdersService {
     return order;
   }
 
-  // Create new order with validation
-  create(data) {
-    const customerName = this.validateCustomerName(data.customerName);
-    const productId = Number(data.productId);
-    const quantity = this.validateQuantity(data.quantity);
-    const price = Number(data.price);
-
-    if (Number.isNaN(productId) || productId < 1) {
+  // Look up a product that can currently be ordered
+  _getOrderableProduct(productId) {
+    const pid = Number(productId);
+    if (Number.isNaN(pid) || pid < 1) {
       throw new ValidationError("Valid productId is required");
     }
+    let product;
+    try {
+      product = this.productsService.getById(pid);
+    } catch (err) {
+      if (err.statusCode === 404) {
+        throw new ValidationError(`Product with id ${pid} does not exist`);
+      }
+      throw err;
+    }
+    if (product.status !== "active") {
+      throw new ValidationError(
+        `Product "${product.name}" is ${product.status} and cannot be ordered`
+      );
+    }
+    return product;
+  }
+
+  // The variant a line orders. Products with variants need one, others
+  // must not be given one.
+  _getOrderableVariant(product, variantId) {
+    try {
+      return this.productsService.resolveVariant(product, variantId);
+    } catch (err) {
+      if (err.statusCode === 404) {
+        throw new ValidationError(err.message);
+      }
+      throw err;
+    }
+  }
+
+  // Build a priced line item from client input; unit price comes from the
+  // catalog (the variant's price, if it has one) in the order's currency
+  // unless explicitly overridden with a reason
+  _buildLine(lineId, input, currency) {
+    if (!input || typeof input !== "object") {
+      throw new ValidationError("Each line item must be an object");
+    }
+    const product = this._getOrderableProduct(input.productId);
+    const variant = this._getOrderableVariant(product, input.variantId);
+    const quantity = this.validateQuantity(input.quantity);
+    const catalogPrice = this.productsService.priceIn(product, variant, currency);
+
+    const line = {
+      lineId,
+      productId: product.id,
+      productName: product.name,
+      quantity,
+      unitPrice: catalogPrice,
+      lineTotal: 0,
+    };
+    if (variant) {
+      line.variantId = variant.id;
+      line.sku = variant.sku;
+      line.attributes = { ...variant.attributes };
+    }
+
+    if (input.priceOverride !== undefined && input.priceOverride !== null) {
+      const price = Number(input.priceOverride);
+      if (Number.isNaN(price) || price < 0) {
+        throw new ValidationError("priceOverride must be a non-negative number");
+      }
+      const reason =
+        typeof input.priceOverrideReason === "string"
+          ? input.priceOverrideReason.trim()
+          : "";
+      if (!reason) {
+        throw new ValidationError(
+          "priceOverrideReason is required when priceOverride is given"
+        );
+      }
+      line.unitPrice = roundAmount(price, currency);
+      line.priceOverride = { catalogPrice, reason };
+    }
+
+    return line;
+  }
+
+  // Validate a list of line item inputs, numbering them from order.nextLineId
+  _buildLines(order, inputs) {
+    if (!Array.isArray(inputs)) {
+      throw new ValidationError("items must be an array");
+    }
+    return inputs.map((input) => this._buildLine(order.nextLineId++, input, order.currency));
+  }
+
+  // Derive line totals, total units, discounts, tax and the order totals
+  // from the lines. Amounts are added up in minor units of the order's
+  // currency (see money.js).
+  _recalculate(order) {
+    const currency = order.currency;
+    let subtotal = 0;
+    let quantity = 0;
+    for (const line of order.items) {
+      const lineTotal = toMinor(line.unitPrice, currency) * line.quantity;
+      line.lineTotal = fromMinor(lineTotal, currency);
+      subtotal += lineTotal;
+      quantity += line.quantity;
+    }
+    order.quantity = quantity;
+    order.subtotal = fromMinor(subtotal, currency);
+    this._applyDiscounts(order);
+    this._applyTax(order);
+    const total =
+      subtotal -
+      toMinor(order.discountTotal, currency) +
+      (order.pricesIncludeTax ? 0 : toMinor(order.taxTotal, currency));
+    order.total = fromMinor(total, currency);
+  }
+
+  // Work out what each of the order's promotions takes off. They apply one
+  // after another, each to what earlier ones left of the lines in its
+  // scope, and are spread over those lines in proportion. Amounts are
+  // worked in minor units so the lines add up to the discount exactly.
+  _applyDiscounts(order) {
+    const currency = order.currency;
+    const left = new Map(order.items.map((line) => [line.lineId, toMinor(line.lineTotal, currency)]));
+    let discountTotal = 0;
+    for (const discount of order.discounts) {
+      const lines = order.items.filter(
+        (line) => left.get(line.lineId) > 0 && this._inScope(discount, line)
+      );
+      const base = lines.reduce((sum, line) => sum + left.get(line.lineId), 0);
+      let amount = 0;
+      if (discount.minOrderValue === null || order.subtotal >= discount.minOrderValue) {
+        amount =
+          discount.type === "percentage"
+            ? Math.round((base * discount.value) / 100)
+            : Math.min(toMinor(discount.value, currency), base);
+      }
+
+      // Whole minor units in proportion, those left over going to the
+      // lines with the largest remainders
+      const shares = lines.map((line) => {
+        const exact = base > 0 ? (amount * left.get(line.lineId)) / base : 0;
+        return { line, units: Math.floor(exact), remainder: exact - Math.floor(exact) };
+      });
+      let leftover = amount - shares.reduce((sum, share) => sum + share.units, 0);
+      for (const share of [...shares].sort((a, b) => b.remainder - a.remainder)) {
+        if (leftover === 0) {
+          break;
+        }
+        share.units++;
+        leftover--;
+      }
+
+      discount.lines = [];
+      for (const { line, units } of shares) {
+        if (units > 0) {
+          left.set(line.lineId, left.get(line.lineId) - units);
+          discount.lines.push({ lineId: line.lineId, amount: fromMinor(units, currency) });
+        }
+      }
+      discount.amount = fromMinor(amount, currency);
+      discountTotal += amount;
+    }
+    for (const line of order.items) {
+      line.discount = fromMinor(toMinor(line.lineTotal, currency) - left.get(line.lineId), currency);
+    }
+    order.discountTotal = fromMinor(discountTotal, currency);
+  }
+
+  // Work out each line's tax on what is left of it after discounts, at the
+  // rate for its category in the order's tax region. A line keeps the rate
+  // it was first taxed at. With prices that include tax, the tax is the
+  // part of that amount above its value before tax; otherwise it is added
+  // on top.
+  _applyTax(order) {
+    const currency = order.currency;
+    let taxTotal = 0;
+    for (const line of order.items) {
+      if (line.taxRate === undefined) {
+        line.taxRate = this.taxRulesService.rateFor(order.taxRegion, this._categoryOf(line));
+      }
+      const amount = toMinor(line.lineTotal, currency) - toMinor(line.discount, currency);
+      const tax = order.pricesIncludeTax
+        ? amount - Math.round(amount / (1 + line.taxRate / 100))
+        : Math.round((amount * line.taxRate) / 100);
+      line.tax = fromMinor(tax, currency);
+      taxTotal += tax;
+    }
+    order.taxTotal = fromMinor(taxTotal, currency);
+  }
+
+  // Category of a line's product, or null once the product is gone
+  _categoryOf(line) {
+    try {
+      return this.productsService.getById(line.productId).category;
+    } catch (err) {
+      if (err.statusCode === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // Currency of a new order: the one given, or the base currency. Other
+  // currencies need an exchange rate, to price the order and report on it.
+  _resolveCurrency(currency) {
+    if (currency === undefined || currency === null) {
+      return this.exchangeRatesService.baseCurrency;
+    }
+    if (!this.exchangeRatesService.isAvailable(currency)) {
+      throw new ValidationError("Validation failed", [
+        { field: "currency", message: `${currency} has no exchange rate; set one under /api/exchange-rates` },
+      ]);
+    }
+    return currency;
+  }
+
+  // Tax region of a new order: the one given, else the region (or else the
+  // country) of the customer's shipping address, else the default region
+  _resolveTaxRegion(taxRegion, customer) {
+    if (taxRegion !== undefined && taxRegion !== null) {
+      return taxRegion.trim();
+    }
+    const addresses = customer ? customer.addresses : [];
+    const address = addresses.find((a) => a.type === "shipping") || addresses[0];
+    if (address) {
+      return address.region || address.country;
+    }
+    return this.taxConfig.defaultRegion;
+  }
+
+  // Whether a promotion's scope takes in a line. With no products or
+  // categories named it takes in every line.
+  _inScope(discount, line) {
+    if (discount.productIds.length === 0 && discount.categories.length === 0) {
+      return true;
+    }
+    if (discount.productIds.includes(line.productId)) {
+      return true;
+    }
+    const category = this._categoryOf(line);
+    if (category === null) {
+      return false;
+    }
+    return discount.categories.some((name) => name.toLowerCase() === category.toLowerCase());
+  }
+
+  // Attach the promotions a new order gets: every automatic promotion that
+  // discounts it, and the coupon it names, which must discount it
+  _applyPromotions(order, customer, couponCode) {
+    const promotions = this.promotionsService
+      .getAutomatic()
+      .filter((promotion) => this._underCustomerLimit(promotion, customer));
+    let coupon = null;
+    if (couponCode !== undefined && couponCode !== null) {
+      coupon = this.promotionsService.getCoupon(couponCode);
+      if (!this._underCustomerLimit(coupon, customer)) {
+        throw this._couponError(`${coupon.code} has already been used by this customer`);
+      }
+      promotions.push(coupon);
+    }
+
+    order.discounts = promotions.map((promotion) => ({
+      promotionId: promotion.id,
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type,
+      // Amounts are kept in the order's currency
+      value: promotion.type === "fixed" ? this._fromBase(promotion.value, order) : promotion.value,
+      categories: [...promotion.categories],
+      productIds: [...promotion.productIds],
+      minOrderValue:
+        promotion.minOrderValue !== null ? this._fromBase(promotion.minOrderValue, order) : null,
+      amount: 0,
+      lines: [],
+    }));
+    this._recalculate(order);
+
+    if (coupon) {
+      const applied = order.discounts.find((discount) => discount.promotionId === coupon.id);
+      if (applied.amount === 0) {
+        throw this._couponError(
+          applied.minOrderValue !== null && order.subtotal < applied.minOrderValue
+            ? `${coupon.code} needs an order of at least ${applied.minOrderValue} ${order.currency}`
+            : `${coupon.code} does not apply to any item in this order`
+        );
+      }
+      order.couponCode = coupon.code;
+    }
+    // Automatic promotions that take nothing off are not kept
+    order.discounts = order.discounts.filter((discount) => discount.amount > 0);
+    this._recalculate(order);
+  }
+
+  // Whether a customer may use a promotion again. A customer who does not
+  // exist yet has no orders.
+  _underCustomerLimit(promotion, customer) {
+    if (promotion.perCustomerLimit === null || !customer) {
+      return true;
+    }
+    const uses = this.orders.filter(
+      (order) =>
+        order.customerId === customer.id &&
+        order.status !== "cancelled" &&
+        order.discounts.some((discount) => discount.promotionId === promotion.id)
+    ).length;
+    return uses < promotion.perCustomerLimit;
+  }
+
+  // An amount in the base currency converted at the order's exchange rate
+  _fromBase(amount, order) {
+    const baseCurrency = this.exchangeRatesService.baseCurrency;
+    const minor = convertMinor(toMinor(amount, baseCurrency), baseCurrency, order.currency, order.exchangeRate);
+    return fromMinor(minor, order.currency);
+  }
+
+  _couponError(message) {
+    return new ValidationError("Validation failed", [{ field: "couponCode", message }]);
+  }
+
+  // Ids of the promotions an order uses
+  _promotionIds(order) {
+    return order.discounts.map((discount) => discount.promotionId);
+  }
+
+  // Bring a stored order up to the current shape: line items, and a
+  // customerId resolved from the free-text customerName
+  _normalizeOrder(order) {
+    // Orders from before multi-currency support were in the base currency
+    if (order.currency === undefined) {
+      order.currency = this.exchangeRatesService.baseCurrency;
+      order.exchangeRate = 1;
+    }
+    if (order.discounts === undefined) {
+      order.discounts = [];
+      order.couponCode = null;
+    }
+    // Orders from before taxes were never taxed
+    if (order.taxRegion === undefined) {
+      order.taxRegion = null;
+      order.pricesIncludeTax = false;
+    }
+    if (!Array.isArray(order.items)) {
+      this._migrateToLineItems(order);
+    }
+    if (order.customerId === undefined) {
+      order.customerId = this.customersService.findOrCreateByName(order.customerName).id;
+    }
+    // Version counter for optimistic concurrency (exposed as the ETag)
+    if (order.version === undefined) {
+      order.version = 1;
+    }
+    // Work out the totals that orders from before promotions or taxes lack
+    if (order.taxTotal === undefined) {
+      this._recalculate(order);
+    }
+    return order;
+  }
 
-    if (Number.isNaN(price) || price < 0) {
-      throw new ValidationError("Valid price is required");
+  // Convert a legacy single-product order into the line item shape
+  _migrateToLineItems(order) {
+    const unitPrice =
+      order.price !== undefined
+        ? order.price
+        : roundAmount(order.total / order.quantity, order.currency);
+    const line = {
+      lineId: 1,
+      productId: order.productId,
+      quantity: order.quantity,
+      unitPrice,
+      lineTotal: order.total,
+    };
+    if (order.priceOverride) {
+      line.priceOverride = order.priceOverride;
+    }
+    delete order.productId;
+    delete order.price;
+    delete order.priceOverride;
+    order.items = [line];
+    order.nextLineId = 2;
+    this._recalculate(order);
+  }
+
+  // Resolve the customer an order is for, from customerId or (legacy)
+  // customerName. A name with no matching customer yields `customer: null`
+  // and the cleaned name, so the caller can create it once the order is valid.
+  _resolveCustomer(data) {
+    let customer;
+    if (data.customerId !== undefined && data.customerId !== null) {
+      try {
+        customer = this.customersService.getById(data.customerId);
+      } catch (err) {
+        if (err.statusCode === 404) {
+          throw new ValidationError(`Customer with id ${data.customerId} does not exist`);
+        }
+        throw err;
+      }
+    } else {
+      const name = this.validateCustomerName(data.customerName);
+      customer = this.customersService.findByName(name);
+      if (!customer) {
+        return { customer: null, name };
+      }
+    }
+    if (customer.status !== "active") {
+      throw new ValidationError(
+        `Customer "${customer.name}" is ${customer.status} and cannot place orders`
+      );
     }
+    return { customer, name: customer.name };
+  }
 
-    const total = Math.round(price * quantity * 100) / 100;
+  // Whether an update names another customer than the order's. A fetched
+  // order gives its own customerId and customerName back.
+  _customerChanged(order, updates) {
+    if (updates.customerId !== undefined && updates.customerId !== null) {
+      return Number(updates.customerId) !== order.customerId;
+    }
+    return updates.customerName !== undefined && updates.customerName !== order.customerName;
+  }
+
+  // Customer for a resolved reference, creating it from the name if needed
+  _ensureCustomer({ customer, name }) {
+    return customer || this.customersService.create({ name });
+  }
+
+  // Units an order in `status` holds per product or variant (by stock key):
+  // pending orders reserve them, orders being processed or later have sold
+  // them, and cancelled orders hold nothing
+  _holdings(status, items) {
+    const holdings = { reservation: new Map(), sale: new Map() };
+    if (status === "cancelled") {
+      return holdings;
+    }
+    const held = status === "pending" ? holdings.reservation : holdings.sale;
+    for (const line of items) {
+      const key = stockKey(line.productId, line.variantId);
+      held.set(key, (held.get(key) || 0) + line.quantity);
+    }
+    return holdings;
+  }
+
+  // Post the stock movements taking an order from what it held before to
+  // what it holds after (see _holdings). Every take is checked first so a
+  // shortfall changes nothing. `context` (orderId, reason, userId) is
+  // recorded on each movement.
+  _reconcileStock(before, after, context) {
+    const deltas = new Map();
+    for (const type of ["reservation", "sale"]) {
+      for (const [key, qty] of after[type]) {
+        const delta = deltas.get(key) || { reservation: 0, sale: 0 };
+        delta[type] += qty;
+        deltas.set(key, delta);
+      }
+      for (const [key, qty] of before[type]) {
+        const delta = deltas.get(key) || { reservation: 0, sale: 0 };
+        delta[type] -= qty;
+        deltas.set(key, delta);
+      }
+    }
+
+    // Units released by one movement are available to the next, so only
+    // the net take needs to be there
+    for (const [key, delta] of deltas) {
+      const taken = delta.reservation + delta.sale;
+      if (taken > 0) {
+        const { productId, variantId } = parseStockKey(key);
+        this._getOrderableVariant(this._getOrderableProduct(productId), variantId);
+        this.productsService.ensureStock(productId, taken, variantId);
+      }
+    }
+
+    for (const [key, delta] of deltas) {
+      if (delta.reservation < 0) {
+        this._moveStock(key, "reservation", delta.reservation, context);
+      }
+      if (delta.sale < 0) {
+        this._moveStock(key, "return", -delta.sale, context);
+      }
+    }
+    for (const [key, delta] of deltas) {
+      if (delta.reservation > 0) {
+        this._moveStock(key, "reservation", delta.reservation, context);
+      }
+      if (delta.sale > 0) {
+        this._moveStock(key, "sale", -delta.sale, context);
+      }
+    }
+  }
+
+  // Post one movement; units going back to a product or variant that is
+  // gone are skipped
+  _moveStock(key, type, quantity, context) {
+    const { productId, variantId } = parseStockKey(key);
+    try {
+      this.productsService.postMovement(productId, { ...context, type, quantity, variantId });
+    } catch (err) {
+      if (err.statusCode !== 404) {
+        throw err;
+      }
+    }
+  }
+
+  // Check that a product (or variant) appears on at most one line of an order
+  _assertUniqueProducts(items) {
+    const seen = new Set();
+    for (const line of items) {
+      const key = stockKey(line.productId, line.variantId);
+      if (seen.has(key)) {
+        const what = line.variantId ? `Variant ${line.sku}` : `Product ${line.productId}`;
+        throw new ValidationError(
+          `${what} appears on more than one line; change the quantity instead`
+        );
+      }
+      seen.add(key);
+    }
+  }
+
+  // Summary of lines for audit entries
+  _describeLines(items) {
+    return items.map((line) => ({
+      lineId: line.lineId,
+      productId: line.productId,
+      ...(line.variantId ? { variantId: line.variantId } : {}),
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+    }));
+  }
+
+  // Create new order with validation. Accepts either an items array or the
+  // single-product shape (productId, variantId, quantity, priceOverride),
+  // a couponCode, a taxRegion and a currency.
+  create(data, userId = "system") {
+    return this._transaction(() => this._create(data, userId));
+  }
+
+  _create(data, userId) {
+    const customerRef = this._resolveCustomer(data);
+    const currency = this._resolveCurrency(data.currency);
+    const inputs =
+      data.items !== undefined
+        ? data.items
+        : [
+            {
+              productId: data.productId,
+              variantId: data.variantId,
+              quantity: data.quantity,
+              priceOverride: data.priceOverride,
+              priceOverrideReason: data.priceOverrideReason,
+            },
+          ];
 
     const order = {
-      id: this.nextId++,
-      customerName,
-      productId,
-      quantity,
-      price,
-      total,
+      id: null,
+      customerId: null,
+      customerName: customerRef.name,
+      items: [],
+      nextLineId: 1,
+      quantity: 0,
+      subtotal: 0,
+      discountTotal: 0,
+      taxTotal: 0,
+      total: 0,
+      couponCode: null,
+      discounts: [],
+      taxRegion: this._resolveTaxRegion(data.taxRegion, customerRef.customer),
+      pricesIncludeTax: this.taxConfig.pricesIncludeTax,
+      currency,
+      exchangeRate: this.exchangeRatesService.rateOf(currency),
       status: "pending",
+      version: 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
+    order.items = this._buildLines(order, inputs);
+    if (order.items.length === 0) {
+      throw new ValidationError("An order needs at least one line item");
+    }
+    this._assertUniqueProducts(order.items);
+    this._recalculate(order);
+    this._applyPromotions(order, customerRef.customer, data.couponCode);
+
+    // Throws before anything is written if there is not enough stock
+    order.id = this.nextId;
+    this._reconcileStock(
+      this._holdings("cancelled", []),
+      this._holdings(order.status, order.items),
+      { orderId: order.id, reason: `Order ${order.id} created`, userId }
+    );
 
+    const customer = this._ensureCustomer(customerRef);
+    order.customerId = customer.id;
+    order.customerName = customer.name;
+
+    this.nextId++;
     this.orders.push(order);
+    this.promotionsService.recordUse(this._promotionIds(order));
     
     // Log audit entry
     this._logAudit("create", order.id, {
+      customerId: order.customerId,
       customerName: order.customerName,
-      productId: order.productId,
-      quantity: order.quantity,
+      currency: order.currency,
+      items: this._describeLines(order.items),
+      subtotal: order.subtotal,
+      discounts: order.discounts.map(({ promotionId, code, amount }) => ({
+        promotionId,
+        code,
+        amount,
+      })),
+      taxRegion: order.taxRegion,
+      taxTotal: order.taxTotal,
       total: order.total,
       status: order.status,
-    });
+    }, userId);
+    for (const line of order.items) {
+      if (line.priceOverride) {
+        this._logAudit("price_override", order.id, {
+          lineId: line.lineId,
+          productId: line.productId,
+          catalogPrice: line.priceOverride.catalogPrice,
+          price: line.unitPrice,
+          reason: line.priceOverride.reason,
+        }, userId);
+      }
+    }
+    this._persist();
+    this.events.publish("order.created", { order });
     
     return order;
   }
 
-  // Update existing order
-  update(id, updates) {
+  // Apply line item edits to a copy of the order's lines. Supports replacing
+  // all lines (items), addItems, updateItems ({ lineId, quantity }),
+  // removeItems (line ids) and, for single-line orders, a plain quantity.
+  _applyLineChanges(order, updates) {
+    // With items, quantity is the order's total as a fetched order gives it,
+    // not a change of its own
+    const revised = updates.items !== undefined ? this._reviseLines(order, updates.items) : null;
+    const hasLineChanges =
+      (revised !== null &&
+        (revised.added.length > 0 ||
+          JSON.stringify(this._describeLines(revised.items)) !==
+            JSON.stringify(this._describeLines(order.items)))) ||
+      updates.addItems !== undefined ||
+      updates.updateItems !== undefined ||
+      updates.removeItems !== undefined ||
+      (revised === null && updates.quantity !== undefined);
+    if (!hasLineChanges) {
+      return { items: order.items, added: [] };
+    }
+    if (order.status !== "pending") {
+      throw new ValidationError(
+        `Line items can only be changed while an order is pending (currently ${order.status})`
+      );
+    }
+
+    let items = revised ? revised.items : order.items.map((line) => ({ ...line }));
+    const added = revised ? revised.added : [];
+    const findLine = (lineId) => {
+      const line = items.find((l) => l.lineId === Number(lineId));
+      if (!line) {
+        throw new ValidationError(`Order ${order.id} has no line ${lineId}`);
+      }
+      return line;
+    };
+
+    if (revised === null && updates.quantity !== undefined) {
+      if (items.length !== 1) {
+        throw new ValidationError(
+          "quantity can only be set directly on single-line orders; use updateItems"
+        );
+      }
+      items[0].quantity = this.validateQuantity(updates.quantity);
+    }
+
+    if (updates.updateItems !== undefined) {
+      if (!Array.isArray(updates.updateItems)) {
+        throw new ValidationError("updateItems must be an array");
+      }
+      for (const change of updates.updateItems) {
+        const line = findLine(change && change.lineId);
+        line.quantity = this.validateQuantity(change.quantity);
+      }
+    }
+
+    if (updates.removeItems !== undefined) {
+      if (!Array.isArray(updates.removeItems)) {
+        throw new ValidationError("removeItems must be an array of line ids");
+      }
+      for (const lineId of updates.removeItems) {
+        const line = findLine(lineId);
+        items = items.filter((l) => l !== line);
+      }
+    }
+
+    if (updates.addItems !== undefined) {
+      const newLines = this._buildLines(order, updates.addItems);
+      items.push(...newLines);
+      added.push(...newLines);
+    }
+
+    if (items.length === 0) {
+      throw new ValidationError("An order needs at least one line item");
+    }
+    this._assertUniqueProducts(items);
+    return { items, added };
+  }
+
+  // Lines for a new items array. A line sent back with its lineId and the
+  // same product and variant is kept, price, override and tax rate
+  // included, with the quantity given; only lines that are new, for another
+  // product, or given a new priceOverride are priced from the catalog.
+  _reviseLines(order, inputs) {
+    if (!Array.isArray(inputs)) {
+      throw new ValidationError("items must be an array");
+    }
+    const added = [];
+    const used = new Set();
+    const items = inputs.map((input) => {
+      const current =
+        input && typeof input === "object" && !used.has(input.lineId)
+          ? order.items.find((line) => line.lineId === input.lineId)
+          : undefined;
+      if (current) {
+        used.add(current.lineId);
+        if (this._keepsPrice(current, input)) {
+          return { ...current, quantity: this.validateQuantity(input.quantity) };
+        }
+      }
+      const line = this._buildLine(
+        current ? current.lineId : order.nextLineId++,
+        input,
+        order.currency
+      );
+      added.push(line);
+      return line;
+    });
+    return { items, added };
+  }
+
+  // Whether a line sent back keeps its price: same product and variant,
+  // and priceOverride left out, given back as the stored override, or null
+  // on a line without one
+  _keepsPrice(line, input) {
+    if (
+      Number(input.productId) !== line.productId ||
+      (input.variantId ? Number(input.variantId) : null) !== (line.variantId || null)
+    ) {
+      return false;
+    }
+    const override = input.priceOverride;
+    if (override === undefined || (override !== null && typeof override === "object")) {
+      return true;
+    }
+    return override === null && !line.priceOverride;
+  }
+
+  // Throw unless the order may move to the given status
+  _assertTransition(order, to) {
+    if (!ORDER_STATUSES.includes(to)) {
+      throw new ValidationError(
+        `Invalid status. Must be one of: ${ORDER_STATUSES.join(", ")}`
+      );
+    }
+    if (to === order.status) {
+      return;
+    }
+    const allowed = STATUS_TRANSITIONS[order.status] || [];
+    if (!allowed.includes(to)) {
+      const guard = TRANSITION_GUARDS.find(
+        (rule) =>
+          rule.from.includes(order.status) && (!rule.to || rule.to.includes(to))
+      );
+      throw new InvalidTransitionError(
+        order,
+        to,
+        guard ? guard.reason : "transition not allowed",
+        allowed
+      );
+    }
+  }
+
+  // Statuses the order may move to next
+  getAllowedTransitions(id) {
     const order = this.getById(id);
+    return STATUS_TRANSITIONS[order.status] || [];
+  }
 
-    if (updates.customerName !== undefined) {
-      order.customerName = this.validateCustomerName(updates.customerName);
+  // Run a named lifecycle action (process, ship, complete, cancel)
+  transition(id, action, { reason, userId } = {}) {
+    const to = STATUS_ACTIONS[action];
+    if (!to) {
+      throw new ValidationError(
+        `Unknown action "${action}". Must be one of: ${Object.keys(STATUS_ACTIONS).join(", ")}`
+      );
+    }
+    const order = this.getById(id);
+    if (order.status === to) {
+      throw new InvalidTransitionError(
+        order,
+        to,
+        `order is already ${to}`,
+        STATUS_TRANSITIONS[order.status] || []
+      );
     }
+    return this.update(order.id, { status: to }, { action, reason, userId });
+  }
+
+  // Run a list of { op: "create" | "update" | "delete", id, version, data }
+  // operations as one batch, atomic or best-effort (see batch.js)
+  bulk(operations, { mode = "atomic", userId = "system" } = {}) {
+    return this._runBatch(operations, (operation) => this._runOperation(operation, userId), mode);
+  }
 
-    if (updates.quantity !== undefined) {
-      const quantity = this.validateQuantity(updates.quantity);
-      order.quantity = quantity;
-      order.total = Math.round(order.price * quantity * 100) / 100;
+  _runOperation({ op, id, version, data }, userId) {
+    if (op === "create") {
+      const order = this.create(assertValid("OrderCreate", data), userId);
+      return { status: 201, id: order.id, result: order };
     }
+    const order = this.getById(id);
+    assertVersion(order, version);
+    if (op === "update") {
+      const updates = assertValid("OrderUpdate", data);
+      return { id: order.id, result: this.update(order.id, updates, { userId }) };
+    }
+    this.delete(order.id, userId);
+    return { status: 204, id: order.id };
+  }
 
-    if (updates.status !== undefined) {
-      if (
-        !["pending", "processing", "shipped", "completed", "cancelled"].includes(
-          updates.status
-        )
-      ) {
-        throw new ValidationError(
-          `Invalid status. Must be one of: pending, processing, shipped, completed, cancelled`
-        );
+  // Move each of the given orders to a status through its lifecycle action,
+  // as one batch
+  setStatus(ids, status, { mode = "atomic", reason, userId = "system" } = {}) {
+    const action = Object.keys(STATUS_ACTIONS).find((name) => STATUS_ACTIONS[name] === status);
+    if (!action) {
+      throw new ValidationError(
+        `Invalid status. Must be one of: ${Object.values(STATUS_ACTIONS).join(", ")}`
+      );
+    }
+    return this._runBatch(
+      ids,
+      (id) => ({ id: Number(id), result: this.transition(id, action, { reason, userId }) }),
+      mode
+    );
+  }
+
+  // Orders move stock, may create customers and use up promotions, so a
+  // rolled back change reloads those services too (before this one, which
+  // reads from them)
+  _transactionContext() {
+    return {
+      services: [this.productsService, this.customersService, this.promotionsService, this],
+      storage: this.storage,
+      events: this.events,
+    };
+  }
+
+  // Run one change to orders so that the stock, customers, promotions and
+  // orders it writes are kept together or not at all
+  _transaction(fn) {
+    return transaction(fn, this._transactionContext());
+  }
+
+  _runBatch(items, runItem, mode) {
+    return runBatch(items, runItem, { mode, ...this._transactionContext() });
+  }
+
+  // Update existing order. `context.userId` is the acting user; `action` and
+  // `reason` are recorded with any status change.
+  update(id, updates, context = {}) {
+    return this._transaction(() => this._update(id, updates, context));
+  }
+
+  _update(id, updates, context) {
+    const userId = context.userId || "system";
+    const order = this.getById(id);
+    const previousState = structuredClone(order);
+
+    const customerRef = this._customerChanged(order, updates) ? this._resolveCustomer(updates) : null;
+    const status = updates.status !== undefined ? updates.status : order.status;
+
+    this._assertTransition(order, status);
+
+    const { items, added } = this._applyLineChanges(order, updates);
+
+    // Reconcile catalog stock with what the order holds before and after
+    this._reconcileStock(
+      this._holdings(order.status, order.items),
+      this._holdings(status, items),
+      {
+        orderId: order.id,
+        reason:
+          status !== order.status
+            ? `Order ${order.id} ${status}`
+            : `Order ${order.id} updated`,
+        userId,
       }
-      order.status = updates.status;
+    );
+
+    if (customerRef) {
+      const customer = this._ensureCustomer(customerRef);
+      order.customerId = customer.id;
+      order.customerName = customer.name;
+    }
+    order.items = items;
+    order.status = status;
+    this._recalculate(order);
+    // A cancelled order gives back its uses of promotions
+    if (status === "cancelled" && previousState.status !== "cancelled") {
+      this.promotionsService.releaseUse(this._promotionIds(order));
     }
 
     const changes = {};
-    if (updates.customerName !== undefined) {
-      changes.customerName = { from: order.customerName, to: updates.customerName };
-    }
-    if (updates.quantity !== undefined) {
-      changes.quantity = { from: order.quantity, to: updates.quantity };
-      changes.total = { from: order.total, to: Math.round(order.price * updates.quantity * 100) / 100 };
+    for (const field of [
+      "customerId",
+      "customerName",
+      "quantity",
+      "subtotal",
+      "discountTotal",
+      "taxTotal",
+      "total",
+    ]) {
+      if (order[field] !== previousState[field]) {
+        changes[field] = { from: previousState[field], to: order[field] };
+      }
     }
-    if (updates.status !== undefined) {
-      changes.status = { from: order.status, to: updates.status };
+    const linesBefore = this._describeLines(previousState.items);
+    const linesAfter = this._describeLines(order.items);
+    if (JSON.stringify(linesBefore) !== JSON.stringify(linesAfter)) {
+      changes.items = { from: linesBefore, to: linesAfter };
     }
 
+    order.version++;
     order.updatedAt = new Date().toISOString();
     
     // Log audit entry
     if (Object.keys(changes).length > 0) {
-      this._logAudit("update", id, {
+      this._logAudit("update", order.id, {
         changes,
-        previousState: { ...order },
+        previousState,
+      }, userId);
+    }
+    if (order.status !== previousState.status) {
+      this._logAudit("status_change", order.id, {
+        from: previousState.status,
+        to: order.status,
+        action: context.action || null,
+        reason: context.reason || null,
+      }, userId);
+    }
+    for (const line of added) {
+      if (line.priceOverride) {
+        this._logAudit("price_override", order.id, {
+          lineId: line.lineId,
+          productId: line.productId,
+          catalogPrice: line.priceOverride.catalogPrice,
+          price: line.unitPrice,
+          reason: line.priceOverride.reason,
+        }, userId);
+      }
+    }
+    this._persist();
+
+    if (Object.keys(changes).length > 0) {
+      this.events.publish("order.updated", { order, changes });
+    }
+    if (order.status !== previousState.status) {
+      this.events.publish("order.status_changed", {
+        order,
+        from: previousState.status,
+        to: order.status,
+        action: context.action || null,
+        reason: context.reason || null,
       });
     }
     
@@ -205,7 +1239,11 @@ class OrdersService {
   }
 
   // Delete order (throws error if not found)
-  delete(id) {
+  delete(id, userId = "system") {
+    return this._transaction(() => this._delete(id, userId));
+  }
+
+  _delete(id, userId) {
     const orderId = Number(id);
     if (Number.isNaN(orderId)) {
       throw new ValidationError(`Invalid id: ${id}`);
@@ -215,19 +1253,58 @@ class OrdersService {
     if (index === -1) {
       throw new OrderNotFoundError(orderId);
     }
+    const order = this.orders[index];
+
+    this._reconcileStock(
+      this._holdings(order.status, order.items),
+      this._holdings("cancelled", []),
+      { orderId, reason: `Order ${orderId} deleted`, userId }
+    );
+    if (order.status !== "cancelled") {
+      this.promotionsService.releaseUse(this._promotionIds(order));
+    }
 
     // Log audit entry before deletion
     this._logAudit("delete", orderId, {
       order: { ...order },
-    });
+    }, userId);
     
     this.orders.splice(index, 1);
+    this._persist();
+    this.events.publish("order.deleted", { order });
     return { success: true, deletedId: orderId };
   }
 
-  // Get order statistics
+  // An order amount in minor units of the reporting currency: out of the
+  // order's currency at the rate it was placed at, and into the reporting
+  // currency at its current rate
+  _reportingMinor(order, amount) {
+    const minor = toMinor(amount, order.currency);
+    const reporting = this.currencyConfig.reporting;
+    // Throws (409) while the reporting currency has no rate, even for
+    // orders already in it, so a report is never partly converted
+    const reportingRate = this.exchangeRatesService.rateOf(reporting);
+    if (order.currency === reporting) {
+      return minor;
+    }
+    const rate = reportingRate / order.exchangeRate;
+    return convertMinor(minor, order.currency, reporting, rate);
+  }
+
+  // Sum of an amount field over orders, in minor units of the reporting
+  // currency
+  _reportingSum(orders, field) {
+    return orders.reduce((sum, order) => sum + this._reportingMinor(order, order[field]), 0);
+  }
+
+  // Minor units of the reporting currency as an amount
+  _reportingAmount(minor) {
+    return fromMinor(minor, this.currencyConfig.reporting);
+  }
+
+  // Get order statistics. Amounts are in the reporting currency.
   getStats() {
-    const totalValue = this.orders.reduce((sum, o) => sum + o.total, 0);
+    const totalValue = this._reportingSum(this.orders, "total");
     return {
       total: this.orders.length,
       pending: this.orders.filter((o) => o.status === "pending").length,
@@ -235,20 +1312,38 @@ class OrdersService {
       shipped: this.orders.filter((o) => o.status === "shipped").length,
       completed: this.orders.filter((o) => o.status === "completed").length,
       cancelled: this.orders.filter((o) => o.status === "cancelled").length,
-      totalValue: Math.round(totalValue * 100) / 100,
+      currency: this.currencyConfig.reporting,
+      totalValue: this._reportingAmount(totalValue),
+      grossValue: this._reportingAmount(this._reportingSum(this.orders, "subtotal")),
+      discountValue: this._reportingAmount(this._reportingSum(this.orders, "discountTotal")),
+      taxValue: this._reportingAmount(this._reportingSum(this.orders, "taxTotal")),
+      totalLineItems: this.orders.reduce((sum, o) => sum + o.items.length, 0),
+      totalUnits: this.orders.reduce((sum, o) => sum + o.quantity, 0),
       averageOrderValue:
         this.orders.length > 0
-          ? Math.round((totalValue / this.orders.length) * 100) / 100
+          ? this._reportingAmount(Math.round(totalValue / this.orders.length))
           : 0,
     };
   }
 
-  // Get orders by customer name
+  // Get orders by customer name, ignoring case and whitespace differences
   getByCustomer(customerName) {
-    return this.orders.filter(
-      (order) =>
-        order.customerName.toLowerCase() === customerName.toLowerCase()
-    );
+    const customer = this.customersService.findByName(customerName);
+    return customer ? this.getByCustomerId(customer.id) : [];
+  }
+
+  // Get orders by customer ID
+  getByCustomerId(customerId) {
+    const cid = Number(customerId);
+    if (Number.isNaN(cid)) {
+      throw new ValidationError(`Invalid customerId: ${customerId}`);
+    }
+    return this.orders.filter((order) => order.customerId === cid);
+  }
+
+  // Whether any line of the order is for the given product
+  _containsProduct(order, productId) {
+    return order.items.some((line) => line.productId === productId);
   }
 
   // Get orders by product ID
@@ -257,7 +1352,7 @@ class OrdersService {
     if (Number.isNaN(pid)) {
       throw new ValidationError(`Invalid productId: ${productId}`);
     }
-    return this.orders.filter((order) => order.productId === pid);
+    return this.orders.filter((order) => this._containsProduct(order, pid));
   }
 
   // Get orders by date range
@@ -302,45 +1397,7 @@ class OrdersService {
 
   // Get orders with sorting
   getSorted(sortBy = "createdAt", order = "desc") {
-    const validSortFields = ["id", "customerName", "productId", "quantity", "total", "status", "createdAt", "updatedAt"];
-    const validOrders = ["asc", "desc"];
-
-    if (!validSortFields.includes(sortBy)) {
-      throw new ValidationError(
-        `Invalid sort field. Must be one of: ${validSortFields.join(", ")}`
-      );
-    }
-
-    if (!validOrders.includes(order.toLowerCase())) {
-      throw new ValidationError(`Invalid sort order. Must be 'asc' or 'desc'`);
-    }
-
-    const sorted = [...this.orders].sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-
-      // Handle string comparison
-      if (typeof aValue === "string") {
-        aValue = aValue.toLowerCase();
-        bValue = bValue.toLowerCase();
-      }
-
-      // Handle date comparison
-      if (sortBy === "createdAt" || sortBy === "updatedAt") {
-        aValue = new Date(aValue).getTime();
-        bValue = new Date(bValue).getTime();
-      }
-
-      if (aValue < bValue) {
-        return order.toLowerCase() === "asc" ? -1 : 1;
-      }
-      if (aValue > bValue) {
-        return order.toLowerCase() === "asc" ? 1 : -1;
-      }
-      return 0;
-    });
-
-    return sorted;
+    return [...this.orders].sort(this._compareBy(sortBy, order));
   }
 
   // Get orders grouped by status
@@ -355,11 +1412,11 @@ class OrdersService {
     return grouped;
   }
 
-  // Get orders grouped by customer
+  // Get orders grouped by customer ID
   getGroupedByCustomer() {
     const grouped = {};
     for (const order of this.orders) {
-      const customerKey = order.customerName.toLowerCase();
+      const customerKey = order.customerId;
       if (!grouped[customerKey]) {
         grouped[customerKey] = [];
       }
@@ -368,46 +1425,66 @@ class OrdersService {
     return grouped;
   }
 
+  // Add up revenue by key from [key, order, gross, discount] rows, the
+  // amounts in the order's currency. Each key gets its net revenue, or with
+  // `breakdown` { gross, discount, net }, in the reporting currency.
+  _revenueReport(rows, breakdown) {
+    const totals = {};
+    for (const [key, order, gross, discount] of rows) {
+      const sums = totals[key] || (totals[key] = { gross: 0, discount: 0 });
+      sums.gross += this._reportingMinor(order, gross);
+      sums.discount += this._reportingMinor(order, discount);
+    }
+    const report = {};
+    for (const key in totals) {
+      const { gross, discount } = totals[key];
+      const net = this._reportingAmount(gross - discount);
+      report[key] = breakdown
+        ? { gross: this._reportingAmount(gross), discount: this._reportingAmount(discount), net }
+        : net;
+    }
+    return report;
+  }
+
   // Get total revenue by status
-  getRevenueByStatus() {
-    const revenue = {};
-    for (const order of this.orders) {
-      const status = order.status;
-      revenue[status] = (revenue[status] || 0) + order.total;
-    }
-    // Round to 2 decimal places
-    for (const status in revenue) {
-      revenue[status] = Math.round(revenue[status] * 100) / 100;
-    }
-    return revenue;
+  getRevenueByStatus({ breakdown = false } = {}) {
+    return this._revenueReport(
+      this.orders.map((order) => [order.status, order, order.subtotal, order.discountTotal]),
+      breakdown
+    );
   }
 
-  // Get total revenue by customer
-  getRevenueByCustomer() {
-    const revenue = {};
-    for (const order of this.orders) {
-      const customer = order.customerName;
-      revenue[customer] = (revenue[customer] || 0) + order.total;
-    }
-    // Round to 2 decimal places
-    for (const customer in revenue) {
-      revenue[customer] = Math.round(revenue[customer] * 100) / 100;
-    }
-    return revenue;
+  // Get total revenue by customer ID
+  getRevenueByCustomer({ breakdown = false } = {}) {
+    return this._revenueReport(
+      this.orders.map((order) => [order.customerId, order, order.subtotal, order.discountTotal]),
+      breakdown
+    );
   }
 
   // Get total revenue by product
-  getRevenueByProduct() {
-    const revenue = {};
+  getRevenueByProduct({ breakdown = false } = {}) {
+    return this._revenueReport(
+      this.orders.flatMap((order) =>
+        order.items.map((line) => [line.productId, order, line.lineTotal, line.discount])
+      ),
+      breakdown
+    );
+  }
+
+  // Units ordered per product since `since`, counting every order that has
+  // not been cancelled (pending ones are demand too)
+  getUnitsSoldByProduct(since) {
+    const units = new Map();
     for (const order of this.orders) {
-      const productId = order.productId;
-      revenue[productId] = (revenue[productId] || 0) + order.total;
-    }
-    // Round to 2 decimal places
-    for (const productId in revenue) {
-      revenue[productId] = Math.round(revenue[productId] * 100) / 100;
+      if (order.status === "cancelled" || new Date(order.createdAt) < since) {
+        continue;
+      }
+      for (const line of order.items) {
+        units.set(line.productId, (units.get(line.productId) || 0) + line.quantity);
+      }
     }
-    return revenue;
+    return units;
   }
 
   // Get order count by status
@@ -419,16 +1496,34 @@ class OrdersService {
     return counts;
   }
 
+  // Current display name for a customer id, falling back to the name on
+  // their most recent order if the customer record is gone
+  _customerName(customerId) {
+    try {
+      return this.customersService.getById(customerId).name;
+    } catch (err) {
+      if (err.statusCode !== 404) {
+        throw err;
+      }
+    }
+    const order = [...this.orders].reverse().find((o) => o.customerId === customerId);
+    return order ? order.customerName : null;
+  }
+
   // Get top customers by order count
   getTopCustomersByOrderCount(limit = 10) {
     const customerCounts = {};
     for (const order of this.orders) {
-      const customer = order.customerName;
+      const customer = order.customerId;
       customerCounts[customer] = (customerCounts[customer] || 0) + 1;
     }
     
     return Object.entries(customerCounts)
-      .map(([customer, count]) => ({ customer, count }))
+      .map(([customerId, count]) => ({
+        customerId: Number(customerId),
+        customerName: this._customerName(Number(customerId)),
+        count,
+      }))
       .sort((a, b) => b.count - a.count)
       .slice(0, limit);
   }
@@ -438,12 +1533,16 @@ class OrdersService {
     const revenue = this.getRevenueByCustomer();
     
     return Object.entries(revenue)
-      .map(([customer, total]) => ({ customer, total }))
+      .map(([customerId, total]) => ({
+        customerId: Number(customerId),
+        customerName: this._customerName(Number(customerId)),
+        total,
+      }))
       .sort((a, b) => b.total - a.total)
       .slice(0, limit);
   }
 
-  // Get average order value by status
+  // Get average order value by status, in the reporting currency
   getAverageOrderValueByStatus() {
     const statusData = {};
     
@@ -452,26 +1551,26 @@ class OrdersService {
       if (!statusData[status]) {
         statusData[status] = { total: 0, count: 0 };
       }
-      statusData[status].total += order.total;
+      statusData[status].total += this._reportingMinor(order, order.total);
       statusData[status].count += 1;
     }
 
     const averages = {};
     for (const status in statusData) {
       const data = statusData[status];
-      averages[status] = Math.round((data.total / data.count) * 100) / 100;
+      averages[status] = this._reportingAmount(Math.round(data.total / data.count));
     }
     
     return averages;
   }
 
-  // Get orders by date range with statistics
+  // Get orders by date range with statistics, in the reporting currency
   getOrdersByDateRangeWithStats(startDate, endDate) {
     const orders = this.getByDateRange(startDate, endDate);
     
-    const totalRevenue = orders.reduce((sum, o) => sum + o.total, 0);
+    const totalRevenue = this._reportingSum(orders, "total");
     const averageOrderValue = orders.length > 0 
-      ? Math.round((totalRevenue / orders.length) * 100) / 100 
+      ? this._reportingAmount(Math.round(totalRevenue / orders.length))
       : 0;
     
     const statusCounts = {};
@@ -483,7 +1582,11 @@ class OrdersService {
       orders,
       statistics: {
         totalOrders: orders.length,
-        totalRevenue: Math.round(totalRevenue * 100) / 100,
+        currency: this.currencyConfig.reporting,
+        totalRevenue: this._reportingAmount(totalRevenue),
+        grossRevenue: this._reportingAmount(this._reportingSum(orders, "subtotal")),
+        totalDiscounts: this._reportingAmount(this._reportingSum(orders, "discountTotal")),
+        totalTax: this._reportingAmount(this._reportingSum(orders, "taxTotal")),
         averageOrderValue,
         statusCounts,
       },
@@ -496,8 +1599,7 @@ class OrdersService {
       return [];
     }
 
-    const validStatuses = ["pending", "processing", "shipped", "completed", "cancelled"];
-    const filteredStatuses = statuses.filter((status) => validStatuses.includes(status));
+    const filteredStatuses = statuses.filter((status) => ORDER_STATUSES.includes(status));
 
     if (filteredStatuses.length === 0) {
       return [];
@@ -520,7 +1622,9 @@ class OrdersService {
       return [];
     }
 
-    return this.orders.filter((order) => validProductIds.includes(order.productId));
+    return this.orders.filter((order) =>
+      validProductIds.some((pid) => this._containsProduct(order, pid))
+    );
   }
 
   // Get orders by multiple customers
@@ -529,10 +1633,11 @@ class OrdersService {
       return [];
     }
 
-    const lowerNames = customerNames.map((name) => name.toLowerCase());
-    return this.orders.filter((order) =>
-      lowerNames.includes(order.customerName.toLowerCase())
-    );
+    const customerIds = customerNames
+      .map((name) => this.customersService.findByName(name))
+      .filter(Boolean)
+      .map((customer) => customer.id);
+    return this.orders.filter((order) => customerIds.includes(order.customerId));
   }
 
   // Get orders with quantity range
@@ -552,133 +1657,212 @@ class OrdersService {
     );
   }
 
-  // Advanced query with multiple filters
+  // Normalize a multi-value filter: an array and/or comma-separated string
+  _toList(value) {
+    if (value === undefined || value === null || value === "") {
+      return [];
+    }
+    const values = Array.isArray(value) ? value : [value];
+    return values
+      .flatMap((v) => String(v).split(","))
+      .map((v) => v.trim())
+      .filter((v) => v.length > 0);
+  }
+
+  _parseId(value, name) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+      throw new ValidationError(`${name} must be a positive integer, got "${value}"`);
+    }
+    return id;
+  }
+
+  _parseBound(value, name) {
+    if (value === undefined || value === "") {
+      return null;
+    }
+    const num = Number(value);
+    if (Number.isNaN(num) || num < 0) {
+      throw new ValidationError(`${name} must be a non-negative number, got "${value}"`);
+    }
+    return num;
+  }
+
+  _parseDate(value, name) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new ValidationError(`${name} is not a valid date: "${value}"`);
+    }
+    return date;
+  }
+
+  // Comparator for sorting orders by one field
+  _compareBy(sortBy, sortOrder = "desc") {
+    const validSortFields = ["id", "customerName", "quantity", "total", "status", "createdAt", "updatedAt"];
+    if (!validSortFields.includes(sortBy)) {
+      throw new ValidationError(
+        `Invalid sort field. Must be one of: ${validSortFields.join(", ")}`
+      );
+    }
+    const direction = String(sortOrder).toLowerCase();
+    if (!["asc", "desc"].includes(direction)) {
+      throw new ValidationError(`Invalid sort order. Must be 'asc' or 'desc'`);
+    }
+
+    return (a, b) => {
+      const aValue = this._sortValue(a, sortBy);
+      const bValue = this._sortValue(b, sortBy);
+
+      if (aValue < bValue) {
+        return direction === "asc" ? -1 : 1;
+      }
+      if (aValue > bValue) {
+        return direction === "asc" ? 1 : -1;
+      }
+      return 0;
+    };
+  }
+
+  // The value orders are sorted on: text ignoring case, timestamps as times
+  _sortValue(order, sortBy) {
+    const value = order[sortBy];
+    if (sortBy === "createdAt" || sortBy === "updatedAt") {
+      return new Date(value).getTime();
+    }
+    return typeof value === "string" ? value.toLowerCase() : value;
+  }
+
+  // The order of an advancedQuery result, for paging through it. Orders
+  // that sort equal stay in id order.
+  pageOrder(sortBy, sortOrder = "desc") {
+    if (!sortBy) {
+      return BY_ID;
+    }
+    const direction = String(sortOrder).toLowerCase();
+    return [[(order) => this._sortValue(order, sortBy), direction], ["id", "asc"]];
+  }
+
+  // Advanced query with multiple filters. Invalid filter values throw a
+  // ValidationError instead of being ignored.
+  //
+  // Filters: status (one or more), customerName (substring), customers
+  // (exact names), customerId (one or more), productId, productIds, minTotal/maxTotal,
+  // minQuantity/maxQuantity, startDate/endDate (either may be open),
+  // sortBy/sortOrder and limit.
   advancedQuery(filters) {
     if (!filters || typeof filters !== "object") {
-      return this.orders;
+      return [...this.orders];
     }
 
     let results = [...this.orders];
 
     // Filter by status
-    if (filters.status) {
-      if (Array.isArray(filters.status)) {
-        results = this.getByStatuses(filters.status);
-      } else {
-        results = results.filter((order) => order.status === filters.status);
+    const statuses = this._toList(filters.status);
+    if (statuses.length > 0) {
+      const invalid = statuses.filter((status) => !ORDER_STATUSES.includes(status));
+      if (invalid.length > 0) {
+        throw new ValidationError(
+          `Invalid status: ${invalid.join(", ")}. Must be one of: ${ORDER_STATUSES.join(", ")}`
+        );
       }
+      results = results.filter((order) => statuses.includes(order.status));
     }
 
-    // Filter by customer
+    // Filter by customer (substring)
     if (filters.customerName) {
-      const customerQuery = filters.customerName.toLowerCase();
+      const customerQuery = String(filters.customerName).toLowerCase();
       results = results.filter((order) =>
         order.customerName.toLowerCase().includes(customerQuery)
       );
     }
 
+    // Filter by exact customer names, ignoring case and whitespace differences
+    const customers = this._toList(filters.customers);
+    if (customers.length > 0) {
+      const byName = this.getByCustomers(customers);
+      results = results.filter((order) => byName.includes(order));
+    }
+
+    // Filter by customer IDs
+    const customerIds = this._toList(filters.customerId).map((id) =>
+      this._parseId(id, "customerId")
+    );
+    if (customerIds.length > 0) {
+      results = results.filter((order) => customerIds.includes(order.customerId));
+    }
+
     // Filter by product ID
-    if (filters.productId !== undefined) {
-      const productId = Number(filters.productId);
-      if (!Number.isNaN(productId)) {
-        results = results.filter((order) => order.productId === productId);
-      }
+    if (filters.productId !== undefined && filters.productId !== "") {
+      const productId = this._parseId(filters.productId, "productId");
+      results = results.filter((order) => this._containsProduct(order, productId));
     }
 
     // Filter by multiple product IDs
-    if (filters.productIds && Array.isArray(filters.productIds)) {
+    const productIds = this._toList(filters.productIds).map((id) =>
+      this._parseId(id, "productIds")
+    );
+    if (productIds.length > 0) {
       results = results.filter((order) =>
-        filters.productIds.includes(order.productId)
+        productIds.some((pid) => this._containsProduct(order, pid))
       );
     }
 
     // Filter by total range
-    if (filters.minTotal !== undefined) {
-      const minTotal = Number(filters.minTotal);
-      if (!Number.isNaN(minTotal)) {
-        results = results.filter((order) => order.total >= minTotal);
-      }
+    const minTotal = this._parseBound(filters.minTotal, "minTotal");
+    const maxTotal = this._parseBound(filters.maxTotal, "maxTotal");
+    if (minTotal !== null && maxTotal !== null && minTotal > maxTotal) {
+      throw new ValidationError("Minimum total cannot be greater than maximum total");
     }
-
-    if (filters.maxTotal !== undefined) {
-      const maxTotal = Number(filters.maxTotal);
-      if (!Number.isNaN(maxTotal)) {
-        results = results.filter((order) => order.total <= maxTotal);
-      }
+    if (minTotal !== null) {
+      results = results.filter((order) => order.total >= minTotal);
+    }
+    if (maxTotal !== null) {
+      results = results.filter((order) => order.total <= maxTotal);
     }
 
     // Filter by quantity range
-    if (filters.minQuantity !== undefined) {
-      const minQuantity = Number(filters.minQuantity);
-      if (!Number.isNaN(minQuantity)) {
-        results = results.filter((order) => order.quantity >= minQuantity);
-      }
+    const minQuantity = this._parseBound(filters.minQuantity, "minQuantity");
+    const maxQuantity = this._parseBound(filters.maxQuantity, "maxQuantity");
+    if (minQuantity !== null && maxQuantity !== null && minQuantity > maxQuantity) {
+      throw new ValidationError("Minimum quantity cannot be greater than maximum quantity");
     }
-
-    if (filters.maxQuantity !== undefined) {
-      const maxQuantity = Number(filters.maxQuantity);
-      if (!Number.isNaN(maxQuantity)) {
-        results = results.filter((order) => order.quantity <= maxQuantity);
-      }
+    if (minQuantity !== null) {
+      results = results.filter((order) => order.quantity >= minQuantity);
+    }
+    if (maxQuantity !== null) {
+      results = results.filter((order) => order.quantity <= maxQuantity);
     }
 
     // Filter by date range
-    if (filters.startDate && filters.endDate) {
+    const start = this._parseDate(filters.startDate, "startDate");
+    const end = this._parseDate(filters.endDate, "endDate");
+    if (start && end && start > end) {
+      throw new ValidationError("Start date cannot be after end date");
+    }
+    if (start || end) {
       results = results.filter((order) => {
         const orderDate = new Date(order.createdAt);
-        const start = new Date(filters.startDate);
-        const end = new Date(filters.endDate);
-        return orderDate >= start && orderDate <= end;
+        return (!start || orderDate >= start) && (!end || orderDate <= end);
       });
     }
 
     // Sort results
     if (filters.sortBy) {
-      const sortField = filters.sortBy;
-      const sortOrder = filters.sortOrder || "desc";
-      const validSortFields = [
-        "id",
-        "customerName",
-        "productId",
-        "quantity",
-        "total",
-        "status",
-        "createdAt",
-        "updatedAt",
-      ];
-
-      if (validSortFields.includes(sortField)) {
-        results.sort((a, b) => {
-          let aValue = a[sortField];
-          let bValue = b[sortField];
-
-          if (typeof aValue === "string") {
-            aValue = aValue.toLowerCase();
-            bValue = bValue.toLowerCase();
-          }
-
-          if (sortField === "createdAt" || sortField === "updatedAt") {
-            aValue = new Date(aValue).getTime();
-            bValue = new Date(bValue).getTime();
-          }
-
-          if (aValue < bValue) {
-            return sortOrder === "asc" ? -1 : 1;
-          }
-          if (aValue > bValue) {
-            return sortOrder === "asc" ? 1 : -1;
-          }
-          return 0;
-        });
-      }
+      results.sort(this._compareBy(filters.sortBy, filters.sortOrder || "desc"));
+    } else if (filters.sortOrder) {
+      throw new ValidationError("sortOrder requires sortBy");
     }
 
     // Limit results
-    if (filters.limit) {
+    if (filters.limit !== undefined && filters.limit !== "") {
       const limit = Number(filters.limit);
-      if (!Number.isNaN(limit) && limit > 0) {
-        results = results.slice(0, limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new ValidationError(`limit must be a positive integer, got "${filters.limit}"`);
       }
+      results = results.slice(0, limit);
     }
 
     return results;
@@ -686,76 +1870,17 @@ class OrdersService {
 
   // Get audit log for a specific order
   getAuditLog(orderId) {
-    const orderIdNum = Number(orderId);
-    if (Number.isNaN(orderIdNum)) {
-      throw new ValidationError(`Invalid orderId: ${orderId}`);
-    }
-    return this.auditLog.filter((entry) => entry.orderId === orderIdNum);
+    return this.audit.forEntity(orderId);
   }
 
   // Get all audit logs with optional filtering
   getAllAuditLogs(filters = {}) {
-    let logs = [...this.auditLog];
-
-    if (filters.orderId !== undefined) {
-      const orderId = Number(filters.orderId);
-      if (!Number.isNaN(orderId)) {
-        logs = logs.filter((entry) => entry.orderId === orderId);
-      }
-    }
-
-    if (filters.action) {
-      logs = logs.filter((entry) => entry.action === filters.action);
-    }
-
-    if (filters.userId) {
-      logs = logs.filter((entry) => entry.userId === filters.userId);
-    }
-
-    if (filters.startDate && filters.endDate) {
-      const start = new Date(filters.startDate);
-      const end = new Date(filters.endDate);
-      logs = logs.filter((entry) => {
-        const entryDate = new Date(entry.timestamp);
-        return entryDate >= start && entryDate <= end;
-      });
-    }
-
-    // Sort by timestamp (newest first)
-    logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-    // Limit results
-    if (filters.limit) {
-      const limit = Number(filters.limit);
-      if (!Number.isNaN(limit) && limit > 0) {
-        logs = logs.slice(0, limit);
-      }
-    }
-
-    return logs;
+    return this.audit.query(filters);
   }
 
   // Get audit statistics
   getAuditStats() {
-    const stats = {
-      totalEntries: this.auditLog.length,
-      byAction: {},
-      byUser: {},
-      recentActivity: this.auditLog
-        .slice(-100)
-        .map((entry) => ({
-          action: entry.action,
-          orderId: entry.orderId,
-          timestamp: entry.timestamp,
-        })),
-    };
-
-    for (const entry of this.auditLog) {
-      stats.byAction[entry.action] = (stats.byAction[entry.action] || 0) + 1;
-      stats.byUser[entry.userId] = (stats.byUser[entry.userId] || 0) + 1;
-    }
-
-    return stats;
+    return this.audit.stats();
   }
 }
 
@@ -0,0 +1,184 @@
+// Shared pagination contract for list endpoints.
+//
+// Query: ?limit=<n> plus either ?cursor=<opaque> or ?offset=<n>. The page is
+// the response body; metadata rides along as headers:
+//   X-Total-Count  number of items across all pages
+//   X-Next-Cursor  cursor for the next page (absent on the last page)
+//   Link           rel="first", rel="next" and, for offset paging, rel="prev"
+//
+// A cursor records where the last item of a page sits in the list's order
+// (its sort key and id), not which item it was, so the next page still
+// starts in the right place after that item is deleted or filtered out.
+
+const { ValidationError } = require("./errors");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// The order of most lists: oldest first, by id. A list ordered otherwise
+// passes its own as [key, "asc" | "desc"] pairs, each key a property name or
+// a function of the item, ending with a key that is unique to each item.
+const BY_ID = [["id", "asc"]];
+const BY_ID_DESC = [["id", "desc"]];
+// Audit entries: newest first, newest id first within the same instant
+const NEWEST_FIRST = [
+  ["timestamp", "desc"],
+  ["id", "desc"],
+];
+
+function isSet(value) {
+  return value !== undefined && value !== "";
+}
+
+function parseLimit(limit) {
+  if (!isSet(limit)) {
+    return DEFAULT_LIMIT;
+  }
+  const limitNum = Number(limit);
+  if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_LIMIT) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return limitNum;
+}
+
+function parseOffset(offset) {
+  const offsetNum = Number(offset);
+  if (!Number.isInteger(offsetNum) || offsetNum < 0) {
+    throw new ValidationError("offset must be a non-negative integer");
+  }
+  return offsetNum;
+}
+
+function valueOf(item, key) {
+  const value = typeof key === "function" ? key(item) : item[key];
+  return value === undefined ? null : value;
+}
+
+// Ascending comparison of two sort key values, missing values last
+function compareValues(a, b) {
+  if (a === null || b === null) {
+    return (a === null) - (b === null);
+  }
+  if (a < b) {
+    return -1;
+  }
+  return a > b ? 1 : 0;
+}
+
+// Where an item sits relative to a cursor position: negative before it,
+// positive after it, 0 at it
+function comparePosition(item, position, order) {
+  for (let i = 0; i < order.length; i++) {
+    const [key, direction] = order[i];
+    const result = compareValues(valueOf(item, key), position[i]);
+    if (result !== 0) {
+      return direction === "desc" ? -result : result;
+    }
+  }
+  return 0;
+}
+
+// Cursors hold the sort key values of the last item on the previous page,
+// kept opaque so the encoding can change without breaking clients
+function encodeCursor(item, order) {
+  const after = order.map(([key]) => valueOf(item, key));
+  return Buffer.from(JSON.stringify({ after })).toString("base64url");
+}
+
+function decodeCursor(cursor, order) {
+  let after;
+  try {
+    ({ after } = JSON.parse(Buffer.from(String(cursor), "base64url").toString()));
+  } catch (err) {
+    // fall through
+  }
+  if (!Array.isArray(after)) {
+    throw new ValidationError("Invalid cursor");
+  }
+  if (after.length !== order.length) {
+    throw new ValidationError("Cursor does not belong to this list or sort order");
+  }
+  return after;
+}
+
+// Slice an already filtered and ordered list into one page
+function paginate(items, { limit, cursor, offset } = {}, order = BY_ID) {
+  const pageSize = parseLimit(limit);
+  if (isSet(cursor) && isSet(offset)) {
+    throw new ValidationError("Use either cursor or offset, not both");
+  }
+
+  let start = 0;
+  if (isSet(cursor)) {
+    const position = decodeCursor(cursor, order);
+    start = items.findIndex((item) => comparePosition(item, position, order) > 0);
+    if (start === -1) {
+      start = items.length;
+    }
+  } else if (isSet(offset)) {
+    start = parseOffset(offset);
+  }
+
+  const page = items.slice(start, start + pageSize);
+  const hasMore = start + pageSize < items.length;
+  return {
+    items: page,
+    total: items.length,
+    limit: pageSize,
+    mode: isSet(offset) ? "offset" : "cursor",
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], order) : null,
+    nextOffset: hasMore ? start + pageSize : null,
+    prevOffset: start > 0 ? Math.max(0, start - pageSize) : null,
+  };
+}
+
+// Link to the current request with the paging parameters replaced
+function pageLink(req, params, rel) {
+  const url = new URL(req.originalUrl, "http://placeholder");
+  url.searchParams.delete("cursor");
+  url.searchParams.delete("offset");
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, String(value));
+  }
+  return `<${url.pathname}${url.search}>; rel="${rel}"`;
+}
+
+// Expose page metadata as X-Total-Count, X-Next-Cursor and Link headers
+function setPaginationHeaders(req, res, page) {
+  res.set("X-Total-Count", String(page.total));
+
+  const links = [pageLink(req, { limit: page.limit }, "first")];
+  if (page.mode === "offset") {
+    if (page.prevOffset !== null) {
+      links.push(pageLink(req, { limit: page.limit, offset: page.prevOffset }, "prev"));
+    }
+    if (page.nextOffset !== null) {
+      links.push(pageLink(req, { limit: page.limit, offset: page.nextOffset }, "next"));
+    }
+  } else if (page.nextCursor) {
+    links.push(pageLink(req, { limit: page.limit, cursor: page.nextCursor }, "next"));
+  }
+  if (page.nextCursor) {
+    res.set("X-Next-Cursor", page.nextCursor);
+  }
+  res.set("Link", links.join(", "));
+}
+
+// Paginate a list, sorted in `order`, according to the request and send it
+function sendPage(req, res, items, order = BY_ID) {
+  const { limit, cursor, offset } = req.query;
+  const page = paginate(items, { limit, cursor, offset }, order);
+  setPaginationHeaders(req, res, page);
+  res.json(page.items);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  BY_ID,
+  BY_ID_DESC,
+  NEWEST_FIRST,
+  paginate,
+  setPaginationHeaders,
+  sendPage,
+};
@@ -1,90 +1,252 @@
 const productsService = require('./productsService');
+const stockAlertsService = require('./stockAlertsService');
+const { BY_ID_DESC, NEWEST_FIRST, sendPage } = require('./pagination');
+const { parseCsv } = require('./csv');
+const { sendExport } = require('./exporter');
+const { assertIfMatch, sendVersioned } = require('./etag');
+const { requirePermission } = require('./auth');
+const { ValidationError } = require('./errors');
+
+// Columns available to GET /api/products/export
+const EXPORT_COLUMNS = {
+  id: { value: (product) => product.id },
+  name: { value: (product) => product.name },
+  price: { value: (product) => product.price },
+  prices: {
+    value: (product) => product.prices,
+    text: (prices) =>
+      Object.entries(prices)
+        .map(([currency, price]) => `${currency} ${price}`)
+        .join('; '),
+  },
+  category: { value: (product) => product.category },
+  stock: { value: (product) => product.stock },
+  onHand: { value: (product) => product.onHand },
+  reserved: { value: (product) => product.reserved },
+  reorderPoint: { value: (product) => product.reorderPoint },
+  reorderQuantity: { value: (product) => product.reorderQuantity },
+  variants: {
+    value: (product) => product.variants,
+    text: (variants) => variants.map((variant) => variant.sku).join('; '),
+  },
+  status: { value: (product) => product.status },
+  createdAt: { value: (product) => product.createdAt },
+  updatedAt: { value: (product) => product.updatedAt },
+};
+
+// Stock alerts run out soonest first (no days of cover counts as never)
+const ALERT_ORDER = [
+  ['daysOfCover', 'asc'],
+  ['stock', 'asc'],
+  ['productId', 'asc'],
+];
+
+// Query flags such as ?dryRun=true
+function isEnabled(value) {
+  return value === 'true' || value === '1';
+}
 
 const ProductsController = {
   getAll(req, res) {
-    try {
-      const { status, category } = req.query;
-      const products = productsService.getAll(status || null, category || null);
-      res.json(products);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const { status, category } = req.query;
+    const products = productsService.getAll(status || null, category || null);
+    sendPage(req, res, products);
+  },
+
+  export(req, res) {
+    const { status, category } = req.query;
+    const products = productsService.getAll(status || null, category || null);
+    sendExport(req, res, products, { name: 'products', columns: EXPORT_COLUMNS });
   },
 
   getById(req, res) {
-    try {
-      const { id } = req.params;
-      const product = productsService.getById(id);
-      res.json(product);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const { id } = req.params;
+    const product = productsService.getById(id);
+    sendVersioned(req, res, product);
   },
 
   create(req, res) {
-    try {
-      const { name, price, category, stock } = req.body;
-      if (!name || !price) {
-        return res.status(400).json({ error: 'Name and price are required' });
-      }
-      const product = productsService.create({ name, price, category, stock });
-      res.status(201).json(product);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
+    const {
+      name,
+      price,
+      prices,
+      category,
+      stock,
+      status,
+      reorderPoint,
+      reorderQuantity,
+      variants,
+    } = req.body;
+    const product = productsService.create(
+      { name, price, prices, category, stock, status, reorderPoint, reorderQuantity, variants },
+      req.user.id
+    );
+    sendVersioned(req, res, product, 201);
+  },
+
+  // Accepts a CSV file (Content-Type: text/csv) or a JSON array of products
+  importProducts(req, res) {
+    const rows = req.is('text/csv') ? parseCsv(req.body) : req.body;
+    const result = productsService.importProducts(
+      rows,
+      { dryRun: isEnabled(req.query.dryRun), upsert: isEnabled(req.query.upsert) },
+      req.user.id
+    );
+    res.json(result);
+  },
+
+  // Create, update and delete operations in one request
+  bulk(req, res) {
+    const { mode, operations } = req.body;
+    if (operations.some((operation) => operation.op === 'delete')) {
+      requirePermission(req.user, 'products:delete');
     }
+    const result = productsService.bulk(operations, { mode, userId: req.user.id });
+    res.json(result);
+  },
+
+  reprice(req, res) {
+    const { category, percent, mode } = req.body;
+    const result = productsService.repriceCategory(category, percent, {
+      mode,
+      userId: req.user.id,
+    });
+    res.json(result);
   },
 
   update(req, res) {
-    try {
-      const { id } = req.params;
-      const updates = req.body;
-      const product = productsService.update(id, updates);
-      res.json(product);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const { id } = req.params;
+    const updates = req.body;
+    assertIfMatch(req, res, productsService.getById(id));
+    const product = productsService.update(id, updates, req.user.id);
+    sendVersioned(req, res, product);
   },
 
   delete(req, res) {
-    try {
-      const id = Number(req.params.id);
-      productsService.delete(id);
-      res.status(204).send();
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
+    const id = Number(req.params.id);
+    assertIfMatch(req, res, productsService.getById(id));
+    productsService.delete(id, req.user.id);
+    res.status(204).send();
+  },
+
+  getVariants(req, res) {
+    const { id } = req.params;
+    const product = productsService.getById(id);
+    res.json(product.variants);
+  },
+
+  getVariant(req, res) {
+    const { id, variantId } = req.params;
+    const variant = productsService.getVariant(id, variantId);
+    res.json(variant);
+  },
+
+  addVariant(req, res) {
+    const { id } = req.params;
+    const { sku, attributes, price, prices, stock } = req.body;
+    const variant = productsService.addVariant(
+      id,
+      { sku, attributes, price, prices, stock },
+      req.user.id
+    );
+    res.status(201).json(variant);
+  },
+
+  updateVariant(req, res) {
+    const { id, variantId } = req.params;
+    const variant = productsService.updateVariant(id, variantId, req.body, req.user.id);
+    res.json(variant);
+  },
+
+  deleteVariant(req, res) {
+    const { id, variantId } = req.params;
+    productsService.deleteVariant(id, variantId, req.user.id);
+    res.status(204).send();
+  },
+
+  getHistory(req, res) {
+    const { id } = req.params;
+    const { action, userId, startDate, endDate } = req.query;
+    const entries = productsService.getAllAuditLogs({
+      productId: id,
+      action,
+      userId,
+      startDate,
+      endDate,
+    });
+    // History outlives a deleted product, so only 404 when nothing is recorded
+    if (productsService.getAuditLog(id).length === 0) {
+      productsService.getById(id);
     }
+    sendPage(req, res, entries, NEWEST_FIRST);
   },
 
-  getStats(req, res) {
-    try {
-      const stats = productsService.getStats();
-      res.json(stats);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
+  getMovements(req, res) {
+    const { id } = req.params;
+    const { type, variantId, orderId, startDate, endDate } = req.query;
+    const movements = productsService.getMovements(id, {
+      type,
+      variantId,
+      orderId,
+      startDate,
+      endDate,
+    });
+    sendPage(req, res, movements, BY_ID_DESC);
+  },
+
+  recordMovement(req, res) {
+    const { id } = req.params;
+    const { type, quantity, variantId, reason } = req.body;
+    const movement = productsService.recordMovement(
+      id,
+      { type, quantity, variantId, reason },
+      req.user.id
+    );
+    res.status(201).json(movement);
+  },
+
+  getPriceHistory(req, res) {
+    const { id } = req.params;
+    const history = productsService.getPriceHistory(id);
+    if (history.length === 0) {
+      productsService.getById(id);
     }
+    res.json(history);
+  },
+
+  getStockHistory(req, res) {
+    const { id } = req.params;
+    const history = productsService.getStockHistory(id);
+    if (history.length === 0) {
+      productsService.getById(id);
+    }
+    res.json(history);
+  },
+
+  getAlerts(req, res) {
+    sendPage(req, res, stockAlertsService.getAlerts(), ALERT_ORDER);
+  },
+
+  getStats(req, res) {
+    const stats = productsService.getStats();
+    res.json(stats);
   },
 
   search(req, res) {
-    try {
-      const { q } = req.query;
-      if (!q) {
-        return res.status(400).json({ error: 'Search query parameter "q" is required' });
-      }
-      const results = productsService.search(q);
-      res.json(results);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
+    const { q } = req.query;
+    if (!q) {
+      throw new ValidationError('Search query parameter "q" is required', [
+        { field: 'q', message: 'is required' },
+      ]);
     }
+    const results = productsService.search(q);
+    sendPage(req, res, results);
   },
 
   getByCategory(req, res) {
-    try {
-      const { category } = req.params;
-      const products = productsService.getByCategory(category);
-      res.json(products);
-    } catch (err) {
-      res.status(err.statusCode || 500).json({ error: err.message });
-    }
+    const { category } = req.params;
+    const products = productsService.getByCategory(category);
+    sendPage(req, res, products);
   },
 };
 
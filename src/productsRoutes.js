@@ -1,17 +1,84 @@
 const express = require('express');
 const ProductsController = require('./productsController');
+const { authorize } = require('./auth');
+const { idempotent } = require('./idempotency');
+const { validateBody } = require('./validation');
 
 const router = express.Router();
 
-router.get('/', ProductsController.getAll);
-router.get('/stats', ProductsController.getStats);
-router.get('/search', ProductsController.search);
-router.get('/category/:category', ProductsController.getByCategory);
-router.get('/:id', ProductsController.getById);
-router.post('/', ProductsController.create);
-router.put('/:id', ProductsController.update);
-router.patch('/:id', ProductsController.update);
-router.delete('/:id', ProductsController.delete);
+router.get('/', authorize('products:read'), ProductsController.getAll);
+router.get('/export', authorize('products:read'), ProductsController.export);
+router.get('/stats', authorize('products:read'), ProductsController.getStats);
+router.get('/alerts', authorize('products:read'), ProductsController.getAlerts);
+router.get('/search', authorize('products:read'), ProductsController.search);
+router.get('/category/:category', authorize('products:read'), ProductsController.getByCategory);
+router.get('/:id', authorize('products:read'), ProductsController.getById);
+router.get('/:id/variants', authorize('products:read'), ProductsController.getVariants);
+router.get('/:id/variants/:variantId', authorize('products:read'), ProductsController.getVariant);
+router.get('/:id/history', authorize('products:read'), ProductsController.getHistory);
+router.get('/:id/price-history', authorize('products:read'), ProductsController.getPriceHistory);
+router.get('/:id/stock-history', authorize('products:read'), ProductsController.getStockHistory);
+router.get('/:id/stock-movements', authorize('products:read'), ProductsController.getMovements);
+router.post(
+  '/',
+  authorize('products:write'),
+  idempotent,
+  validateBody('ProductCreate'),
+  ProductsController.create
+);
+router.post(
+  '/import',
+  authorize('products:write'),
+  express.text({ type: 'text/csv', limit: '2mb' }),
+  express.json({ limit: '2mb' }),
+  ProductsController.importProducts
+);
+router.post(
+  '/bulk',
+  authorize('products:write'),
+  idempotent,
+  validateBody('ProductBatch'),
+  ProductsController.bulk
+);
+router.post(
+  '/bulk/reprice',
+  authorize('products:write'),
+  idempotent,
+  validateBody('ProductReprice'),
+  ProductsController.reprice
+);
+router.post(
+  '/:id/stock-movements',
+  authorize('products:write'),
+  idempotent,
+  validateBody('StockMovementCreate'),
+  ProductsController.recordMovement
+);
+router.put('/:id', authorize('products:write'), validateBody('ProductUpdate'), ProductsController.update);
+router.patch('/:id', authorize('products:write'), validateBody('ProductUpdate'), ProductsController.update);
+router.delete('/:id', authorize('products:delete'), ProductsController.delete);
+router.post(
+  '/:id/variants',
+  authorize('products:write'),
+  validateBody('VariantCreate'),
+  ProductsController.addVariant
+);
+router.put(
+  '/:id/variants/:variantId',
+  authorize('products:write'),
+  validateBody('VariantUpdate'),
+  ProductsController.updateVariant
+);
+router.patch(
+  '/:id/variants/:variantId',
+  authorize('products:write'),
+  validateBody('VariantUpdate'),
+  ProductsController.updateVariant
+);
+router.delete(
+  '/:id/variants/:variantId',
+  authorize('products:delete'),
+  ProductsController.deleteVariant
+);
 
 module.exports = router;
-
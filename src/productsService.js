@@ -1,164 +1,317 @@
+const { storage: defaultStorage } = require("./storage");
+const { events: defaultEvents } = require("./events");
+const defaultExchangeRatesService = require("./exchangeRatesService");
+const config = require("./config");
+const AuditLog = require("./auditLog");
+const {
+  InventoryLedger,
+  MANUAL_MOVEMENT_TYPES,
+  MOVEMENT_TYPES,
+  stockKey,
+} = require("./inventoryLedger");
+const { CURRENCIES, fromMinor, roundAmount, toMinor } = require("./money");
+const { PRODUCT_STATUSES } = require("./schemas");
+const { assertValid, validate } = require("./validation");
+const { runBatch } = require("./batch");
+const { assertVersion } = require("./etag");
+const { ConflictError, NotFoundError, ValidationError } = require("./errors");
+
 // Custom error classes
-class ProductNotFoundError extends Error {
+class ProductNotFoundError extends NotFoundError {
   constructor(id) {
     super(`Product with id ${id} not found`);
-    this.name = "ProductNotFoundError";
-    this.statusCode = 404;
   }
 }
 
-class ValidationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = "ValidationError";
-    this.statusCode = 400;
+class VariantNotFoundError extends NotFoundError {
+  constructor(product, variantId) {
+    super(`Product "${product.name}" has no variant with id ${variantId}`);
   }
 }
 
-class ProductsService {
-  constructor() {
-    this.products = [
-      {
-        id: 1,
-        name: "Laptop",
-        price: 999.99,
-        category: "Electronics",
-        stock: 15,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        status: "active",
-      },
-      {
-        id: 2,
-        name: "Coffee Maker",
-        price: 49.99,
-        category: "Appliances",
-        stock: 30,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        status: "active",
-      },
-    ];
-    this.nextId = 3;
+class InsufficientStockError extends ConflictError {
+  constructor(product, requested, variant = null) {
+    const name = variant ? `"${product.name}" (SKU ${variant.sku})` : `"${product.name}"`;
+    super(
+      `Insufficient stock for product ${name}: requested ${requested}, available ${(variant || product).stock}`,
+      { type: "insufficient-stock", title: "Insufficient stock" }
+    );
   }
+}
 
-  // Validation helpers
-  validateName(name) {
-    if (!name || typeof name !== "string") {
-      throw new ValidationError("Product name must be a non-empty string");
-    }
-    const trimmed = name.trim();
-    if (trimmed.length === 0) {
-      throw new ValidationError("Product name cannot be empty");
-    }
-    if (trimmed.length > 200) {
-      throw new ValidationError("Product name cannot exceed 200 characters");
-    }
-    return trimmed;
-  }
+// Storage log holding the inventory ledger's movements
+const LEDGER_LOG = "inventoryLedger";
+// Storage log of price changes, kept apart because the audit log only keeps
+// its most recent entries
+const PRICE_LOG = "priceHistory";
+
+// Fields whose before/after values are recorded on update
+const AUDITED_FIELDS = [
+  "name",
+  "price",
+  "prices",
+  "category",
+  "stock",
+  "status",
+  "reorderPoint",
+  "reorderQuantity",
+];
+
+// Fields read from each import row; anything else in the row is ignored
+const IMPORT_FIELDS = [
+  "name",
+  "price",
+  "category",
+  "stock",
+  "status",
+  "reorderPoint",
+  "reorderQuantity",
+];
+const MAX_IMPORT_ROWS = 5000;
+
+// Prices are kept to the minor unit of their currency (the base currency
+// unless given)
+function roundPrice(price, currency = config.currency.base) {
+  return roundAmount(price, currency);
+}
 
-  validatePrice(price) {
-    const priceNum = Number(price);
-    if (Number.isNaN(priceNum) || priceNum < 0) {
-      throw new ValidationError("Price must be a positive number");
+// Variant attributes with names and values trimmed
+function cleanAttributes(attributes) {
+  const cleaned = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name.trim() === "") {
+      throw new ValidationError("Validation failed", [
+        { field: "attributes", message: "attribute names must not be blank" },
+      ]);
     }
-    return Math.round(priceNum * 100) / 100; // Round to 2 decimal places
+    cleaned[name.trim()] = value.trim();
   }
+  return cleaned;
+}
 
-  validateStock(stock) {
-    const stockNum = Number(stock);
-    if (Number.isNaN(stockNum) || stockNum < 0 || !Number.isInteger(stockNum)) {
-      throw new ValidationError("Stock must be a non-negative integer");
-    }
-    // Additional validation: prevent unreasonably large stock values
-    const maxStock = 1000000; // 1 million max
-    if (stockNum > maxStock) {
-      throw new ValidationError(`Stock cannot exceed ${maxStock}`);
-    }
-    return stockNum;
+// Attribute sets compare equal regardless of order and case
+function attributesKey(attributes) {
+  return JSON.stringify(
+    Object.entries(attributes)
+      .map(([name, value]) => [name.toLowerCase(), value.toLowerCase()])
+      .sort()
+  );
+}
+
+class ProductsService {
+  constructor(
+    storage = defaultStorage,
+    events = defaultEvents,
+    exchangeRatesService = defaultExchangeRatesService
+  ) {
+    this.storage = storage;
+    this.events = events;
+    this.exchangeRatesService = exchangeRatesService;
+    this._load();
   }
 
-  validateCategory(category) {
-    if (!category || typeof category !== "string") {
-      throw new ValidationError("Category must be a non-empty string");
-    }
-    const trimmed = category.trim();
-    if (trimmed.length === 0) {
-      throw new ValidationError("Category cannot be empty");
-    }
-    if (trimmed.length > 100) {
-      throw new ValidationError("Category cannot exceed 100 characters");
+  // Restore state from storage, seeding the default catalog on first run
+  _load() {
+    const saved = this.storage.load("products");
+    if (saved) {
+      this.products = saved.products.map((product) => this._normalizeProduct(product));
+      // Never hand out an id that is already taken, even if nextId was lost
+      const maxId = this.products.reduce((max, p) => Math.max(max, p.id), 0);
+      this.nextId = Math.max(saved.nextId || 1, maxId + 1);
+      this.audit = new AuditLog("productId", {
+        entries: saved.auditLog,
+        nextId: saved.nextAuditId,
+      });
+      this.priceHistory = this.storage.loadLog(PRICE_LOG);
+      if (saved.nextLedgerId === undefined) {
+        this.ledger = new InventoryLedger();
+        this.loggedMovements = 0;
+        this._openLedger();
+        this._persist();
+        return;
+      }
+      this.ledger = new InventoryLedger({
+        entries: this._loadLedger(saved),
+        nextId: saved.nextLedgerId,
+      });
+      this.loggedMovements = this.ledger.entries.length;
+      // Movements are written before the products, so a crash in between
+      // leaves products behind the ledger: their stock is derived again
+      for (const product of this.products) {
+        this._syncStock(product);
+      }
+      if (saved.ledger !== undefined) {
+        this._persist();
+      }
+      // Price changes not logged yet: those from before the log existed, or
+      // saved just before the process stopped
+      this._logPriceChanges();
+      return;
     }
-    // Validate category doesn't contain special characters that could cause issues
-    if (!/^[a-zA-Z0-9\s\-_&]+$/.test(trimmed)) {
-      throw new ValidationError("Category contains invalid characters");
+    this.products = this._seedProducts();
+    this.nextId = 3;
+    this.ledger = new InventoryLedger();
+    this.loggedMovements = 0;
+    this._openLedger();
+    // Audit log for tracking all changes
+    this.audit = new AuditLog("productId");
+    this.priceHistory = this.storage.loadLog(PRICE_LOG);
+    for (const product of this.products) {
+      this._logAudit("create", product.id, { product: structuredClone(product) });
     }
-    return trimmed;
+    this._persist();
   }
 
-  // Validate complete product data object
-  validateProductData(data) {
-    const errors = [];
+  // Write the current state to storage. Movements are only ever added, so
+  // they are appended to their own log instead of rewritten with the rest.
+  _persist() {
+    this.storage.append(LEDGER_LOG, this.ledger.entries.slice(this.loggedMovements));
+    this.loggedMovements = this.ledger.entries.length;
+    this.storage.save("products", {
+      products: this.products,
+      nextId: this.nextId,
+      auditLog: this.audit.entries,
+      nextAuditId: this.audit.nextId,
+      nextLedgerId: this.ledger.nextId,
+    });
+    this._logPriceChanges();
+  }
 
-    if (!data || typeof data !== "object") {
-      throw new ValidationError("Product data must be an object");
+  // Append the price changes recorded in the audit log since the last one
+  // in the price log
+  _logPriceChanges() {
+    const latest = this.priceHistory[this.priceHistory.length - 1];
+    const last = latest ? latest.auditId : 0;
+    const entries = this.audit.entries;
+    let start = entries.length;
+    while (start > 0 && entries[start - 1].id > last) {
+      start--;
     }
+    const changes = entries
+      .slice(start)
+      .map((entry) => this._priceChange(entry))
+      .filter((change) => change !== null);
+    this.storage.append(PRICE_LOG, changes);
+    this.priceHistory.push(...changes);
+  }
 
-    // Validate name
-    if (data.name !== undefined) {
-      try {
-        this.validateName(data.name);
-      } catch (error) {
-        errors.push(`Name: ${error.message}`);
-      }
-    } else if (data.name === undefined && !data.id) {
-      errors.push("Name is required");
+  // The price change an audit entry records, if any
+  _priceChange(entry) {
+    let from = null;
+    let to;
+    if (entry.action === "create") {
+      to = entry.details.product.price;
+    } else if (entry.details.changes && entry.details.changes.price) {
+      ({ from, to } = entry.details.changes.price);
+    } else {
+      return null;
     }
+    return {
+      productId: entry.productId,
+      timestamp: entry.timestamp,
+      from,
+      to,
+      action: entry.action,
+      reason: entry.details.reason || null,
+      userId: entry.userId,
+      auditId: entry.id,
+    };
+  }
 
-    // Validate price
-    if (data.price !== undefined) {
-      try {
-        this.validatePrice(data.price);
-      } catch (error) {
-        errors.push(`Price: ${error.message}`);
-      }
-    } else if (data.price === undefined && !data.id) {
-      errors.push("Price is required");
+  // Movements from the ledger log. Stores from before the log kept them in
+  // the products snapshot; those not in the log yet are moved into it.
+  _loadLedger(saved) {
+    const logged = this.storage.loadLog(LEDGER_LOG);
+    if (saved.ledger === undefined) {
+      return logged;
     }
+    const lastId = logged.reduce((max, entry) => Math.max(max, entry.id), 0);
+    const unlogged = saved.ledger.filter((entry) => entry.id > lastId);
+    this.storage.append(LEDGER_LOG, unlogged);
+    return [...logged, ...unlogged];
+  }
 
-    // Validate stock
-    if (data.stock !== undefined) {
-      try {
-        this.validateStock(data.stock);
-      } catch (error) {
-        errors.push(`Stock: ${error.message}`);
+  // Start the ledger for a catalog that predates it: the stock each product
+  // or variant has becomes its opening balance. Units held by pending orders
+  // are reserved by OrdersService when it loads.
+  _openLedger() {
+    for (const product of this.products) {
+      for (const holder of this._stockHolders(product)) {
+        if (holder.stock > 0) {
+          this.ledger.record({
+            productId: product.id,
+            variantId: holder === product ? null : holder.id,
+            type: "adjustment",
+            quantity: holder.stock,
+            reason: "Opening balance",
+          });
+        }
       }
+      this._syncStock(product);
     }
+  }
 
-    // Validate category
-    if (data.category !== undefined) {
-      try {
-        this.validateCategory(data.category);
-      } catch (error) {
-        errors.push(`Category: ${error.message}`);
-      }
+  // Bring a stored product up to the current shape
+  _normalizeProduct(product) {
+    // Version counter for optimistic concurrency (exposed as the ETag)
+    if (product.version === undefined) {
+      product.version = 1;
     }
-
-    // Validate status if provided
-    if (data.status !== undefined) {
-      const validStatuses = ["active", "inactive", "discontinued"];
-      if (!validStatuses.includes(data.status)) {
-        errors.push(
-          `Status: Invalid status. Must be one of: ${validStatuses.join(", ")}`
-        );
-      }
+    if (product.variants === undefined) {
+      product.variants = [];
+      product.nextVariantId = 1;
     }
-
-    if (errors.length > 0) {
-      throw new ValidationError(`Validation errors: ${errors.join("; ")}`);
+    // Unset reorder settings fall back to the defaults (see stockAlertsService.js)
+    if (product.reorderPoint === undefined) {
+      product.reorderPoint = null;
+      product.reorderQuantity = null;
+    }
+    // Products from before multi-currency pricing only had a base price
+    if (product.prices === undefined) {
+      product.prices = {};
+      for (const variant of product.variants) {
+        variant.prices = {};
+      }
     }
+    return product;
+  }
 
-    return true;
+  // Default catalog for a fresh data store
+  _seedProducts() {
+    return [
+      {
+        id: 1,
+        name: "Laptop",
+        price: 999.99,
+        category: "Electronics",
+        stock: 15,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        status: "active",
+        reorderPoint: null,
+        reorderQuantity: null,
+        prices: {},
+        variants: [],
+        nextVariantId: 1,
+        version: 1,
+      },
+      {
+        id: 2,
+        name: "Coffee Maker",
+        price: 49.99,
+        category: "Appliances",
+        stock: 30,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        status: "active",
+        reorderPoint: null,
+        reorderQuantity: null,
+        prices: {},
+        variants: [],
+        nextVariantId: 1,
+        version: 1,
+      },
+    ];
   }
 
   // Check data integrity across all products
@@ -179,7 +332,7 @@ class ProductsService {
       if (!product.category || typeof product.category !== "string") {
         issues.push(`Product ${product.id}: Missing or invalid category`);
       }
-      if (!product.status || !["active", "inactive", "discontinued"].includes(product.status)) {
+      if (!product.status || !PRODUCT_STATUSES.includes(product.status)) {
         issues.push(`Product ${product.id}: Invalid status`);
       }
       if (!product.createdAt || !product.updatedAt) {
@@ -187,6 +340,44 @@ class ProductsService {
       }
     }
 
+    // Stock figures must be what the inventory ledger adds up to
+    const balances = this.ledger.computeBalances();
+    for (const product of this.products) {
+      for (const holder of this._stockHolders(product)) {
+        const variantId = holder === product ? null : holder.id;
+        const label = variantId ? `Product ${product.id} variant ${variantId}` : `Product ${product.id}`;
+        const { onHand, reserved } = balances.get(stockKey(product.id, variantId)) || {
+          onHand: 0,
+          reserved: 0,
+        };
+        if (holder.onHand !== onHand || holder.reserved !== reserved) {
+          issues.push(
+            `${label}: Stock does not match the inventory ledger ` +
+              `(on hand ${holder.onHand} vs ${onHand}, reserved ${holder.reserved} vs ${reserved})`
+          );
+        }
+        if (holder.stock !== holder.onHand - holder.reserved) {
+          issues.push(`${label}: Stock is not on hand minus reserved`);
+        }
+        if (reserved < 0 || onHand - reserved < 0) {
+          issues.push(`${label}: Inventory ledger goes below zero`);
+        }
+      }
+      if (
+        product.variants.length > 0 &&
+        product.stock !== product.variants.reduce((sum, v) => sum + v.stock, 0)
+      ) {
+        issues.push(`Product ${product.id}: Stock does not match the sum of its variants`);
+      }
+    }
+
+    // Check for duplicate SKUs
+    const skus = this.products.flatMap((p) => p.variants.map((v) => v.sku.toLowerCase()));
+    const duplicateSkus = skus.filter((sku, index) => skus.indexOf(sku) !== index);
+    if (duplicateSkus.length > 0) {
+      issues.push(`Duplicate SKUs found: ${[...new Set(duplicateSkus)].join(", ")}`);
+    }
+
     // Check for duplicate IDs
     const ids = this.products.map((p) => p.id);
     const duplicateIds = ids.filter((id, index) => ids.indexOf(id) !== index);
@@ -235,79 +426,591 @@ class ProductsService {
     return product;
   }
 
+  // Find a product by name, ignoring case and surrounding whitespace
+  findByName(name) {
+    const key = String(name).trim().toLowerCase();
+    return this.products.find((p) => p.name.toLowerCase() === key) || null;
+  }
+
+  // Find the product and variant with a SKU, ignoring case
+  findBySku(sku) {
+    const key = String(sku).trim().toLowerCase();
+    for (const product of this.products) {
+      const variant = product.variants.find((v) => v.sku.toLowerCase() === key);
+      if (variant) {
+        return { product, variant };
+      }
+    }
+    return null;
+  }
+
+  // Log audit entry
+  _logAudit(action, productId, details, userId = "system") {
+    return this.audit.record(action, productId, details, userId);
+  }
+
+  // Field-level before/after diff of two product snapshots
+  _diff(before, after) {
+    const changes = {};
+    for (const field of AUDITED_FIELDS) {
+      if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        changes[field] = { from: before[field], to: after[field] };
+      }
+    }
+    return changes;
+  }
+
   // Create new product with validation
-  create(data) {
-    const name = this.validateName(data.name);
-    const price = this.validatePrice(data.price);
+  create(data, userId = "system") {
+    const product = this._insert(data, userId);
+    this._persist();
+    this.events.publish("product.created", { product });
+    return product;
+  }
+
+  // Validate and add a product without persisting, so batches write once
+  _insert(data, userId) {
+    assertValid("ProductCreate", data);
+    const name = data.name.trim();
+    const price = roundPrice(data.price);
     const category = data.category || "Uncategorized";
-    const stock = data.stock !== undefined ? this.validateStock(data.stock) : 0;
+    const stock = data.stock !== undefined ? data.stock : 0;
+    const status = data.status !== undefined ? data.status : "active";
+    const variants = data.variants || [];
 
     // Check for duplicate name
-    const duplicate = this.products.find(
-      (product) => product.name.toLowerCase() === name.toLowerCase()
-    );
-    if (duplicate) {
+    if (this.findByName(name)) {
       throw new ValidationError(`Product with name "${name}" already exists`);
     }
+    if (variants.length > 0 && data.stock !== undefined) {
+      throw this._variantStockError();
+    }
 
     const product = {
-      id: this.nextId++,
+      id: this.nextId,
       name,
       price,
+      prices: data.prices !== undefined ? this._cleanPrices(data.prices) : {},
       category: category.trim(),
-      stock,
+      stock: 0,
+      onHand: 0,
+      reserved: 0,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      status: "active",
+      status,
+      reorderPoint: data.reorderPoint !== undefined ? data.reorderPoint : null,
+      reorderQuantity: data.reorderQuantity !== undefined ? data.reorderQuantity : null,
+      variants: [],
+      nextVariantId: 1,
+      version: 1,
     };
+    for (const input of variants) {
+      product.variants.push(this._buildVariant(product, input));
+    }
 
+    this.nextId++;
     this.products.push(product);
+    // Starting stock is received through the ledger
+    const receipts = product.variants.length > 0
+      ? product.variants.map((variant, index) => [variant.id, variants[index].stock || 0])
+      : [[null, stock]];
+    for (const [variantId, quantity] of receipts) {
+      if (quantity > 0) {
+        this.ledger.record({
+          productId: product.id,
+          variantId,
+          type: "receipt",
+          quantity,
+          reason: "Initial stock",
+          userId,
+        });
+      }
+    }
+    this._syncStock(product);
+    this._logAudit("create", product.id, { product: structuredClone(product) }, userId);
     return product;
   }
 
-  // Update existing product
-  update(id, updates) {
+  // Update existing product. All fields are validated before any is applied.
+  update(id, updates, userId = "system") {
     const product = this.getById(id);
+    const changes = this._applyUpdate(product, updates, userId);
+    this._persist();
+    this._publishUpdate(product, changes);
+    return product;
+  }
+
+  // Validate and apply updates to a product without persisting. Returns the
+  // field changes.
+  _applyUpdate(product, updates, userId) {
+    assertValid("ProductUpdate", updates);
+    const next = { ...product };
 
     if (updates.name !== undefined) {
-      const name = this.validateName(updates.name);
+      const name = updates.name.trim();
       // Check for duplicates (excluding current product)
       const duplicate = this.products.find(
-        (p) => p.id !== id && p.name.toLowerCase() === name.toLowerCase()
+        (p) => p.id !== product.id && p.name.toLowerCase() === name.toLowerCase()
       );
       if (duplicate) {
         throw new ValidationError(`Product with name "${name}" already exists`);
       }
-      product.name = name;
+      next.name = name;
     }
 
     if (updates.price !== undefined) {
-      product.price = this.validatePrice(updates.price);
+      next.price = roundPrice(updates.price);
+    }
+
+    if (updates.prices !== undefined) {
+      next.prices = this._cleanPrices(updates.prices);
     }
 
     if (updates.category !== undefined) {
-      product.category = updates.category.trim();
+      next.category = updates.category.trim();
     }
 
-    if (updates.stock !== undefined) {
-      product.stock = this.validateStock(updates.stock);
+    // Sent back unchanged, stock is accepted so a fetched product can be PUT
+    if (updates.stock !== undefined && updates.stock !== product.stock) {
+      throw this._ledgerStockError();
     }
 
     if (updates.status !== undefined) {
-      if (!["active", "inactive", "discontinued"].includes(updates.status)) {
+      next.status = updates.status;
+    }
+
+    for (const field of ["reorderPoint", "reorderQuantity"]) {
+      if (updates[field] !== undefined) {
+        next[field] = updates[field];
+      }
+    }
+
+    const changes = this._diff(product, next);
+    Object.assign(product, next);
+    product.version++;
+    product.updatedAt = new Date().toISOString();
+    if (Object.keys(changes).length > 0) {
+      this._logAudit("update", product.id, { changes }, userId);
+    }
+    return changes;
+  }
+
+  // What stock is taken from: the product itself, or one of its variants
+  // once it has any
+  _stockHolder(product, variantId = null) {
+    if (product.variants.length === 0) {
+      // Its variants may have been deleted since, like any that is not found
+      if (variantId !== null && variantId !== undefined) {
+        throw new VariantNotFoundError(product, Number(variantId));
+      }
+      return product;
+    }
+    if (variantId === null || variantId === undefined) {
+      throw new ValidationError(`Product "${product.name}" has variants; a variantId is required`);
+    }
+    return this.getVariant(product.id, variantId);
+  }
+
+  // The variant an order line or stock change refers to, or null for a
+  // product without variants
+  resolveVariant(product, variantId = null) {
+    const holder = this._stockHolder(product, variantId);
+    return holder === product ? null : holder;
+  }
+
+  // Whatever holds stock for a product: the product, or its variants
+  _stockHolders(product) {
+    return product.variants.length > 0 ? product.variants : [product];
+  }
+
+  // Derive a product's stock figures (and its variants') from the ledger
+  _syncStock(product) {
+    for (const holder of this._stockHolders(product)) {
+      const variantId = holder === product ? null : holder.id;
+      const { onHand, reserved } = this.ledger.balance(product.id, variantId);
+      holder.onHand = onHand;
+      holder.reserved = reserved;
+      holder.stock = onHand - reserved;
+    }
+    if (product.variants.length > 0) {
+      for (const field of ["onHand", "reserved", "stock"]) {
+        product[field] = product.variants.reduce((sum, variant) => sum + variant[field], 0);
+      }
+    }
+  }
+
+  _variantStockError() {
+    return new ValidationError("Validation failed", [
+      { field: "stock", message: "is the sum of the variants' stock; set it on each variant" },
+    ]);
+  }
+
+  _ledgerStockError() {
+    return new ValidationError("Validation failed", [
+      { field: "stock", message: "can only change through stock movements" },
+    ]);
+  }
+
+  // Price charged for a product, or for one of its variants, in the base
+  // currency
+  priceOf(product, variant = null) {
+    return variant && variant.price !== null ? variant.price : product.price;
+  }
+
+  // Price charged in a currency: the variant's or else the product's price
+  // for that currency, or failing both the base price converted at the
+  // current exchange rate. A variant with a base price of its own does not
+  // take the product's other prices.
+  priceIn(product, variant, currency) {
+    const basePrice = this.priceOf(product, variant);
+    const baseCurrency = this.exchangeRatesService.baseCurrency;
+    if (currency === baseCurrency) {
+      return basePrice;
+    }
+    if (variant && variant.prices[currency] !== undefined) {
+      return variant.prices[currency];
+    }
+    if ((!variant || variant.price === null) && product.prices[currency] !== undefined) {
+      return product.prices[currency];
+    }
+    const minor = this.exchangeRatesService.fromBase(toMinor(basePrice, baseCurrency), currency);
+    return fromMinor(minor, currency);
+  }
+
+  // Prices per currency code, each rounded to its currency's minor unit
+  _cleanPrices(prices) {
+    const cleaned = {};
+    for (const [code, price] of Object.entries(prices)) {
+      const currency = code.trim().toUpperCase();
+      if (CURRENCIES[currency] === undefined || currency === this.exchangeRatesService.baseCurrency) {
+        throw new ValidationError("Validation failed", [
+          {
+            field: `prices.${code}`,
+            message:
+              currency === this.exchangeRatesService.baseCurrency
+                ? "is the base currency; set price instead"
+                : `must be one of: ${Object.keys(CURRENCIES).join(", ")}`,
+          },
+        ]);
+      }
+      cleaned[currency] = roundPrice(price, currency);
+    }
+    return cleaned;
+  }
+
+  // Throw unless at least `quantity` units of the product (or the given
+  // variant) are available
+  ensureStock(id, quantity, variantId = null) {
+    const product = this.getById(id);
+    const holder = this._stockHolder(product, variantId);
+    if (holder.stock < quantity) {
+      throw new InsufficientStockError(product, quantity, holder === product ? null : holder);
+    }
+    return product;
+  }
+
+  // Record a movement in the inventory ledger against a product, or one of
+  // its variants, and derive its stock again. `quantity` is signed as in
+  // inventoryLedger.js; orders post sales and reservations this way.
+  postMovement(
+    id,
+    { type, quantity, variantId = null, reason = null, orderId = null, userId = "system" }
+  ) {
+    const product = this.getById(id);
+    const holder = this._stockHolder(product, variantId);
+    const taken = type === "reservation" ? quantity : -quantity;
+    if (taken > 0) {
+      this.ensureStock(product.id, taken, variantId);
+    }
+    const before = { stock: product.stock, onHand: product.onHand, reserved: product.reserved };
+    const previousVariants = structuredClone(product.variants);
+    const movement = this.ledger.record({
+      productId: product.id,
+      variantId: holder === product ? null : holder.id,
+      type,
+      quantity,
+      orderId,
+      reason,
+      userId,
+    });
+    this._syncStock(product);
+
+    const changes = {};
+    for (const field of ["stock", "onHand", "reserved"]) {
+      if (product[field] !== before[field]) {
+        changes[field] = { from: before[field], to: product[field] };
+      }
+    }
+    if (holder !== product) {
+      holder.updatedAt = new Date().toISOString();
+      changes.variants = { from: previousVariants, to: product.variants };
+    }
+    product.version++;
+    product.updatedAt = new Date().toISOString();
+    this._logAudit(
+      "stock_movement",
+      product.id,
+      {
+        changes: changes.stock ? { stock: changes.stock } : {},
+        movementId: movement.id,
+        type,
+        quantity,
+        variantId: movement.variantId,
+        orderId,
+        reason,
+      },
+      userId
+    );
+    this._persist();
+    this._publishUpdate(product, changes);
+    return movement;
+  }
+
+  // A movement entered by hand, with a reason. Receipts, returns and
+  // damage give a positive count of units; adjustments a signed correction.
+  recordMovement(id, { type, quantity, variantId = null, reason }, userId = "system") {
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      throw new ValidationError(
+        `Invalid movement type. Must be one of: ${MANUAL_MOVEMENT_TYPES.join(", ")}`
+      );
+    }
+    if (quantity === 0 || (type !== "adjustment" && quantity < 0)) {
+      const message = type === "adjustment" ? "must not be 0" : "must be at least 1";
+      throw new ValidationError("Validation failed", [{ field: "quantity", message }]);
+    }
+    return this.postMovement(id, {
+      type,
+      quantity: MOVEMENT_TYPES[type] === "out" ? -quantity : quantity,
+      variantId,
+      reason: reason.trim(),
+      userId,
+    });
+  }
+
+  // Units a pending order took before the ledger existed: they are put back
+  // on hand and reserved in one step, leaving the stock that can be sold
+  // unchanged
+  openReservation(id, { variantId = null, quantity, orderId }) {
+    const product = this.getById(id);
+    const holder = this._stockHolder(product, variantId);
+    const movement = {
+      productId: product.id,
+      variantId: holder === product ? null : holder.id,
+      quantity,
+      orderId,
+    };
+    this.ledger.record({ ...movement, type: "adjustment", reason: "Opening balance" });
+    this.ledger.record({ ...movement, type: "reservation", reason: `Order ${orderId} pending` });
+    this._syncStock(product);
+    this._persist();
+  }
+
+  // Ids of orders that have reserved stock through the ledger
+  reservingOrders() {
+    return this.ledger.reservingOrders();
+  }
+
+  // Units each order still has reserved (see inventoryLedger.js)
+  reservationsByOrder() {
+    return this.ledger.reservationsByOrder();
+  }
+
+  // Movements of a product, newest first (filters as in inventoryLedger.js)
+  getMovements(id, filters = {}) {
+    const product = this.getById(id);
+    return this.ledger.forProduct(product.id, filters);
+  }
+
+  // Tell listeners about a stored change. Low stock is watched for by
+  // stockAlertsService.js.
+  _publishUpdate(product, changes) {
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+    this.events.publish("product.updated", { product, changes });
+  }
+
+  // Get one of a product's variants
+  getVariant(productId, variantId) {
+    const product = this.getById(productId);
+    const id = Number(variantId);
+    if (Number.isNaN(id)) {
+      throw new ValidationError(`Invalid variant id: ${variantId}`);
+    }
+    const variant = product.variants.find((v) => v.id === id);
+    if (!variant) {
+      throw new VariantNotFoundError(product, id);
+    }
+    return variant;
+  }
+
+  // Validate a new variant and give it the product's next variant id
+  _buildVariant(product, data) {
+    assertValid("VariantCreate", data);
+    const variant = {
+      id: product.nextVariantId,
+      sku: data.sku,
+      attributes: cleanAttributes(data.attributes),
+      price: data.price !== undefined && data.price !== null ? roundPrice(data.price) : null,
+      prices: data.prices !== undefined ? this._cleanPrices(data.prices) : {},
+      // Starting stock is received through the ledger by the caller
+      stock: 0,
+      onHand: 0,
+      reserved: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    this._assertUniqueVariant(product, variant);
+    product.nextVariantId++;
+    return variant;
+  }
+
+  // SKUs are unique across the catalog, attribute sets within a product
+  _assertUniqueVariant(product, variant) {
+    const sku = variant.sku.toLowerCase();
+    const key = attributesKey(variant.attributes);
+    for (const other of product.variants) {
+      if (other.id === variant.id) {
+        continue;
+      }
+      if (other.sku.toLowerCase() === sku) {
+        throw new ValidationError(`SKU "${variant.sku}" is already used by product "${product.name}"`);
+      }
+      if (attributesKey(other.attributes) === key) {
         throw new ValidationError(
-          `Invalid status. Must be one of: active, inactive, discontinued`
+          `Product "${product.name}" already has a variant with these attributes (SKU ${other.sku})`
         );
       }
-      product.status = updates.status;
     }
+    const owner = this.findBySku(variant.sku);
+    if (owner && owner.product.id !== product.id) {
+      throw new ValidationError(`SKU "${variant.sku}" is already used by product "${owner.product.name}"`);
+    }
+  }
+
+  // Add a variant to a product. Its stock then counts towards the product's.
+  addVariant(productId, data, userId = "system") {
+    const product = this.getById(productId);
+    // Stock held by the product itself would no longer be counted anywhere
+    if (product.variants.length === 0 && (product.onHand !== 0 || product.reserved !== 0)) {
+      throw new ConflictError(
+        `Product "${product.name}" has ${product.onHand} units on hand (${product.reserved} reserved) ` +
+          "that no variant would hold; move them out through stock movements first"
+      );
+    }
+    const previousVariants = structuredClone(product.variants);
+    const variant = this._buildVariant(product, data);
+    product.variants.push(variant);
+    if (data.stock > 0) {
+      this.ledger.record({
+        productId: product.id,
+        variantId: variant.id,
+        type: "receipt",
+        quantity: data.stock,
+        reason: "Initial stock",
+        userId,
+      });
+    }
+    this._saveVariantChange(product, previousVariants, "variant_create", { variant: { ...variant } }, userId);
+    return variant;
+  }
+
+  // Update a variant's SKU, attributes or prices
+  updateVariant(productId, variantId, updates, userId = "system") {
+    const product = this.getById(productId);
+    const variant = this.getVariant(product.id, variantId);
+    assertValid("VariantUpdate", updates);
+    const next = { ...variant };
+    if (updates.sku !== undefined) {
+      next.sku = updates.sku;
+    }
+    if (updates.attributes !== undefined) {
+      next.attributes = cleanAttributes(updates.attributes);
+    }
+    if (updates.price !== undefined) {
+      next.price = updates.price === null ? null : roundPrice(updates.price);
+    }
+    if (updates.prices !== undefined) {
+      next.prices = this._cleanPrices(updates.prices);
+    }
+    if (updates.stock !== undefined && updates.stock !== variant.stock) {
+      throw this._ledgerStockError();
+    }
+    this._assertUniqueVariant(product, next);
+
+    const changes = {};
+    for (const field of ["sku", "attributes", "price", "prices"]) {
+      if (JSON.stringify(variant[field]) !== JSON.stringify(next[field])) {
+        changes[field] = { from: variant[field], to: next[field] };
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      return variant;
+    }
+    const previousVariants = structuredClone(product.variants);
+    Object.assign(variant, next, { updatedAt: new Date().toISOString() });
+    this._saveVariantChange(
+      product,
+      previousVariants,
+      "variant_update",
+      { variantId: variant.id, sku: variant.sku, variantChanges: changes },
+      userId
+    );
+    return variant;
+  }
+
+  // Remove a variant. Refused while pending orders hold some of it; units
+  // still on hand are written off through the ledger, where its movements
+  // stay.
+  deleteVariant(productId, variantId, userId = "system") {
+    const product = this.getById(productId);
+    const variant = this.getVariant(product.id, variantId);
+    const { onHand, reserved } = this.ledger.balance(product.id, variant.id);
+    if (reserved > 0) {
+      throw new ConflictError(
+        `Variant ${variant.sku} has ${reserved} units reserved by pending orders; ` +
+          "cancel or process those orders first"
+      );
+    }
+    if (onHand !== 0) {
+      this.ledger.record({
+        productId: product.id,
+        variantId: variant.id,
+        type: "adjustment",
+        quantity: -onHand,
+        reason: `Variant ${variant.sku} deleted`,
+        userId,
+      });
+    }
+    const previousVariants = structuredClone(product.variants);
+    product.variants = product.variants.filter((v) => v !== variant);
+    this._saveVariantChange(product, previousVariants, "variant_delete", { variant: { ...variant } }, userId);
+    return { success: true, deletedId: variant.id };
+  }
 
+  // Finish a change to a product's variants: derive its stock again, then
+  // version, audit, save and publish it
+  _saveVariantChange(product, previousVariants, action, details, userId) {
+    const previousStock = product.stock;
+    this._syncStock(product);
+    product.version++;
     product.updatedAt = new Date().toISOString();
-    return product;
+    const changes = { variants: { from: previousVariants, to: product.variants } };
+    if (product.stock !== previousStock) {
+      changes.stock = { from: previousStock, to: product.stock };
+    }
+    this._logAudit(
+      action,
+      product.id,
+      { ...details, changes: changes.stock ? { stock: changes.stock } : {} },
+      userId
+    );
+    this._persist();
+    this._publishUpdate(product, changes);
   }
 
   // Delete product (throws error if not found)
-  delete(id) {
+  delete(id, userId = "system") {
     const productId = Number(id);
     if (Number.isNaN(productId)) {
       throw new ValidationError(`Invalid id: ${id}`);
@@ -318,14 +1021,268 @@ class ProductsService {
       throw new ProductNotFoundError(productId);
     }
 
+    const product = this.products[index];
+    this._logAudit("delete", productId, { product: structuredClone(product) }, userId);
     this.products.splice(index, 1);
+    this._persist();
+    this.events.publish("product.deleted", { product });
     return { success: true, deletedId: productId };
   }
 
+  // Import many products at once. Each row is validated like a single
+  // create; valid rows are written and invalid rows are reported back.
+  // With upsert, a row whose name matches an existing product updates it
+  // instead of being rejected as a duplicate. A dry run reports what would
+  // happen without writing anything.
+  importProducts(rows, { dryRun = false, upsert = false } = {}, userId = "system") {
+    if (!Array.isArray(rows)) {
+      throw new ValidationError("Import data must be an array of products");
+    }
+    if (rows.length === 0) {
+      throw new ValidationError("Import data contains no products");
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`Import cannot exceed ${MAX_IMPORT_ROWS} products`);
+    }
+
+    // Row numbers are 1-based; names seen earlier in the same import are
+    // tracked so a file cannot create the same product twice
+    const seenNames = new Map();
+    const results = rows.map((row, index) =>
+      this._planImportRow(row, index + 1, seenNames, upsert)
+    );
+
+    if (!dryRun) {
+      const published = [];
+      for (const result of results) {
+        if (result.action === "rejected") {
+          continue;
+        }
+        try {
+          if (result.action === "created") {
+            const product = this._insert(result.data, userId);
+            result.id = product.id;
+            published.push(() => this.events.publish("product.created", { product }));
+          } else {
+            const product = this.getById(result.id);
+            const changes = this._applyUpdate(product, result.data, userId);
+            published.push(() => this._publishUpdate(product, changes));
+          }
+        } catch (error) {
+          result.action = "rejected";
+          result.errors = error.errors || [{ field: "row", message: error.message }];
+        }
+      }
+      // One write for the whole batch, then the events
+      this._persist();
+      published.forEach((publish) => publish());
+    }
+
+    const summary = { total: results.length, created: 0, updated: 0, rejected: 0 };
+    for (const result of results) {
+      summary[result.action]++;
+    }
+
+    return {
+      dryRun,
+      upsert,
+      summary,
+      rows: results.map(({ data, ...result }) => result),
+    };
+  }
+
+  // Decide what one import row would do: "created", "updated" or "rejected"
+  _planImportRow(row, rowNumber, seenNames, upsert) {
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      return {
+        row: rowNumber,
+        action: "rejected",
+        name: null,
+        id: null,
+        errors: [{ field: "row", message: "must be an object" }],
+      };
+    }
+
+    // Blank values (e.g. empty CSV cells) leave the field unset
+    const fields = {};
+    for (const field of IMPORT_FIELDS) {
+      if (row[field] !== undefined && row[field] !== null && row[field] !== "") {
+        fields[field] = row[field];
+      }
+    }
+
+    const existing =
+      typeof fields.name === "string" ? this.findByName(fields.name) : null;
+    // Updates only need the fields they change, as with PUT /api/products/:id.
+    // CSV cells are text, so numbers are converted first.
+    const { value: data, errors } = validate(
+      upsert && existing ? "ProductUpdate" : "ProductCreate",
+      fields,
+      { coerce: true, root: "row" }
+    );
+
+    if (typeof data.name === "string") {
+      const key = data.name.trim().toLowerCase();
+      if (seenNames.has(key)) {
+        errors.push({
+          field: "name",
+          message: `Product with name "${data.name.trim()}" already appears in row ${seenNames.get(key)}`,
+        });
+      } else {
+        seenNames.set(key, rowNumber);
+      }
+      if (existing && !upsert) {
+        errors.push({
+          field: "name",
+          message: `Product with name "${data.name.trim()}" already exists`,
+        });
+      }
+    }
+    if (existing && upsert && data.stock !== undefined && data.stock !== existing.stock) {
+      errors.push(...this._ledgerStockError().errors);
+    }
+
+    if (errors.length > 0) {
+      return {
+        row: rowNumber,
+        action: "rejected",
+        name: data.name !== undefined ? data.name : null,
+        id: existing ? existing.id : null,
+        errors,
+      };
+    }
+
+    return {
+      row: rowNumber,
+      action: existing ? "updated" : "created",
+      name: data.name.trim(),
+      id: existing ? existing.id : null,
+      errors: [],
+      data,
+    };
+  }
+
+  // Run a list of { op: "create" | "update" | "delete", id, version, data }
+  // operations as one batch, atomic or best-effort (see batch.js)
+  bulk(operations, { mode = "atomic", userId = "system" } = {}) {
+    return runBatch(operations, (operation) => this._runOperation(operation, userId), {
+      mode,
+      services: [this],
+      storage: this.storage,
+      events: this.events,
+    });
+  }
+
+  _runOperation({ op, id, version, data }, userId) {
+    if (op === "create") {
+      const product = this.create(data, userId);
+      return { status: 201, id: product.id, result: product };
+    }
+    const product = this.getById(id);
+    assertVersion(product, version);
+    if (op === "update") {
+      return { id: product.id, result: this.update(product.id, data, userId) };
+    }
+    this.delete(product.id, userId);
+    return { status: 204, id: product.id };
+  }
+
+  // Change the price of every product in a category by a percentage, as a
+  // batch with one operation per product. Variant prices and the prices in
+  // other currencies change with it.
+  repriceCategory(category, percent, { mode = "atomic", userId = "system" } = {}) {
+    const ids = this.getByCategory(category.trim()).map((product) => product.id);
+    if (ids.length === 0) {
+      throw new NotFoundError(`No products in category "${category.trim()}"`);
+    }
+    const factor = 1 + percent / 100;
+    const scale = (prices) =>
+      Object.fromEntries(
+        Object.entries(prices).map(([currency, price]) => [currency, roundPrice(price * factor, currency)])
+      );
+    return runBatch(
+      ids,
+      (id) => {
+        const product = this.getById(id);
+        for (const variant of product.variants) {
+          const updates = { prices: scale(variant.prices) };
+          if (variant.price !== null) {
+            updates.price = roundPrice(variant.price * factor);
+          }
+          this.updateVariant(id, variant.id, updates, userId);
+        }
+        const price = roundPrice(product.price * factor);
+        return { id, result: this.update(id, { price, prices: scale(product.prices) }, userId) };
+      },
+      { mode, services: [this], storage: this.storage, events: this.events }
+    );
+  }
+
+  // Get audit log for a specific product
+  getAuditLog(productId) {
+    return this.audit.forEntity(productId);
+  }
+
+  // Get all audit logs with optional filtering
+  getAllAuditLogs(filters = {}) {
+    return this.audit.query(filters);
+  }
+
+  // Get audit statistics
+  getAuditStats() {
+    return this.audit.stats();
+  }
+
+  // Price changes for a product, oldest first
+  getPriceHistory(productId) {
+    const id = Number(productId);
+    return this.priceHistory.filter((change) => change.productId === id);
+  }
+
+  // Stock level changes for a product, oldest first: one for every
+  // movement in the inventory ledger, which is never trimmed
+  getStockHistory(productId) {
+    const id = Number(productId);
+    const history = [];
+    let stock = 0;
+    for (const movement of this.ledger.entries) {
+      if (movement.productId !== id) {
+        continue;
+      }
+      // Reservations take from what can be sold; everything else changes
+      // what is on hand
+      const change = movement.type === "reservation" ? -movement.quantity : movement.quantity;
+      history.push({
+        timestamp: movement.timestamp,
+        from: stock,
+        to: stock + change,
+        action: movement.type,
+        reason: movement.reason,
+        userId: movement.userId,
+        variantId: movement.variantId,
+        orderId: movement.orderId,
+        movementId: movement.id,
+      });
+      stock += change;
+    }
+    return history;
+  }
+
+  // Value of the units a product has on hand, each variant at its own
+  // price, in minor units of the base currency
+  _stockValue(product) {
+    const currency = this.exchangeRatesService.baseCurrency;
+    return this._stockHolders(product).reduce(
+      (sum, holder) =>
+        sum + toMinor(this.priceOf(product, holder === product ? null : holder), currency) * holder.onHand,
+      0
+    );
+  }
+
   // Get product statistics
   getStats() {
     const totalValue = this.products.reduce(
-      (sum, p) => sum + p.price * p.stock,
+      (sum, p) => sum + this._stockValue(p),
       0
     );
     return {
@@ -335,12 +1292,15 @@ class ProductsService {
       discontinued: this.products.filter((p) => p.status === "discontinued")
         .length,
       totalStock: this.products.reduce((sum, p) => sum + p.stock, 0),
-      totalValue: Math.round(totalValue * 100) / 100,
+      totalOnHand: this.products.reduce((sum, p) => sum + p.onHand, 0),
+      totalReserved: this.products.reduce((sum, p) => sum + p.reserved, 0),
+      totalVariants: this.products.reduce((sum, p) => sum + p.variants.length, 0),
+      totalValue: fromMinor(totalValue, this.exchangeRatesService.baseCurrency),
       categories: [...new Set(this.products.map((p) => p.category))],
     };
   }
 
-  // Search products by name or category
+  // Search products by name, category or variant SKU
   search(query) {
     if (!query || typeof query !== "string") {
       return [];
@@ -349,7 +1309,8 @@ class ProductsService {
     return this.products.filter(
       (product) =>
         product.name.toLowerCase().includes(lowerQuery) ||
-        product.category.toLowerCase().includes(lowerQuery)
+        product.category.toLowerCase().includes(lowerQuery) ||
+        product.variants.some((variant) => variant.sku.toLowerCase().includes(lowerQuery))
     );
   }
 
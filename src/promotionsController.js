@@ -0,0 +1,67 @@
+const promotionsService = require('./promotionsService');
+const { sendPage } = require('./pagination');
+
+const PromotionsController = {
+  getAll(req, res) {
+    const { active } = req.query;
+    const promotions = promotionsService.getAll(
+      active === undefined ? null : active === 'true'
+    );
+    sendPage(req, res, promotions);
+  },
+
+  getById(req, res) {
+    const { id } = req.params;
+    const promotion = promotionsService.getById(id);
+    res.json(promotion);
+  },
+
+  create(req, res) {
+    const {
+      code,
+      name,
+      description,
+      type,
+      value,
+      categories,
+      productIds,
+      minOrderValue,
+      usageLimit,
+      perCustomerLimit,
+      startsAt,
+      endsAt,
+      active,
+    } = req.body;
+    const promotion = promotionsService.create({
+      code,
+      name,
+      description,
+      type,
+      value,
+      categories,
+      productIds,
+      minOrderValue,
+      usageLimit,
+      perCustomerLimit,
+      startsAt,
+      endsAt,
+      active,
+    });
+    res.status(201).json(promotion);
+  },
+
+  update(req, res) {
+    const { id } = req.params;
+    const updates = req.body;
+    const promotion = promotionsService.update(id, updates);
+    res.json(promotion);
+  },
+
+  delete(req, res) {
+    const { id } = req.params;
+    promotionsService.delete(id);
+    res.status(204).send();
+  },
+};
+
+module.exports = PromotionsController;
@@ -0,0 +1,15 @@
+const express = require('express');
+const PromotionsController = require('./promotionsController');
+const { authorize } = require('./auth');
+const { validateBody } = require('./validation');
+
+const router = express.Router();
+
+router.get('/', authorize('promotions:read'), PromotionsController.getAll);
+router.get('/:id', authorize('promotions:read'), PromotionsController.getById);
+router.post('/', authorize('promotions:write'), validateBody('PromotionCreate'), PromotionsController.create);
+router.put('/:id', authorize('promotions:write'), validateBody('PromotionUpdate'), PromotionsController.update);
+router.patch('/:id', authorize('promotions:write'), validateBody('PromotionUpdate'), PromotionsController.update);
+router.delete('/:id', authorize('promotions:delete'), PromotionsController.delete);
+
+module.exports = router;
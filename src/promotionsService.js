@@ -0,0 +1,274 @@
+const { storage: defaultStorage } = require("./storage");
+const config = require("./config");
+const { roundAmount, roundTo } = require("./money");
+const { assertValid } = require("./validation");
+const { ConflictError, NotFoundError, ValidationError } = require("./errors");
+
+// Custom error classes
+class PromotionNotFoundError extends NotFoundError {
+  constructor(id) {
+    super(`Promotion with id ${id} not found`);
+  }
+}
+
+// Promotions discount orders when they are created. One with a `code` is a
+// coupon, applied to orders that give the code; one without applies to
+// every order it qualifies for. Orders keep a copy of the rules they were
+// discounted under (see OrdersService._applyDiscounts), so later edits to a
+// promotion never change an existing order.
+class PromotionsService {
+  constructor(storage = defaultStorage, baseCurrency = config.currency.base) {
+    this.storage = storage;
+    this.baseCurrency = baseCurrency;
+    this._load();
+  }
+
+  // Restore state from storage. There are no promotions to begin with.
+  _load() {
+    const saved = this.storage.load("promotions");
+    if (saved) {
+      this.promotions = saved.promotions;
+      // Never hand out an id that is already taken, even if nextId was lost
+      const maxId = this.promotions.reduce((max, p) => Math.max(max, p.id), 0);
+      this.nextId = Math.max(saved.nextId || 1, maxId + 1);
+      return;
+    }
+    this.promotions = [];
+    this.nextId = 1;
+    this._persist();
+  }
+
+  // Write the current state to storage
+  _persist() {
+    this.storage.save("promotions", {
+      promotions: this.promotions,
+      nextId: this.nextId,
+    });
+  }
+
+  // Codes are matched ignoring case and kept upper case
+  normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+  }
+
+  // Get all promotions, optionally only the active (or inactive) ones
+  getAll(active = null) {
+    if (active === null) {
+      return [...this.promotions];
+    }
+    return this.promotions.filter((promotion) => promotion.active === active);
+  }
+
+  // Get promotion by ID
+  getById(id) {
+    const promotionId = Number(id);
+    if (Number.isNaN(promotionId)) {
+      throw new ValidationError(`Invalid id: ${id}`);
+    }
+    const promotion = this.promotions.find((p) => p.id === promotionId);
+    if (!promotion) {
+      throw new PromotionNotFoundError(promotionId);
+    }
+    return promotion;
+  }
+
+  findByCode(code) {
+    const key = this.normalizeCode(code);
+    return this.promotions.find((p) => p.code === key) || null;
+  }
+
+  // Create new promotion with validation
+  create(data) {
+    assertValid("PromotionCreate", data);
+    const promotion = {
+      id: null,
+      code: data.code !== undefined && data.code !== null ? this.normalizeCode(data.code) : null,
+      name: data.name.trim(),
+      description: data.description !== undefined ? data.description : null,
+      type: data.type,
+      value: this._roundValue(data.type, data.value),
+      categories: data.categories !== undefined ? this._cleanCategories(data.categories) : [],
+      productIds: data.productIds !== undefined ? [...new Set(data.productIds)] : [],
+      minOrderValue: data.minOrderValue !== undefined ? data.minOrderValue : null,
+      usageLimit: data.usageLimit !== undefined ? data.usageLimit : null,
+      perCustomerLimit: data.perCustomerLimit !== undefined ? data.perCustomerLimit : null,
+      usageCount: 0,
+      startsAt: data.startsAt !== undefined ? data.startsAt : null,
+      endsAt: data.endsAt !== undefined ? data.endsAt : null,
+      active: data.active !== undefined ? data.active : true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    this._check(promotion);
+    promotion.id = this.nextId++;
+
+    this.promotions.push(promotion);
+    this._persist();
+    return promotion;
+  }
+
+  // Update a promotion. All fields are validated before any is applied.
+  update(id, updates) {
+    const promotion = this.getById(id);
+    assertValid("PromotionUpdate", updates);
+    const next = { ...promotion };
+
+    if (updates.code !== undefined) {
+      next.code = updates.code !== null ? this.normalizeCode(updates.code) : null;
+    }
+    if (updates.name !== undefined) {
+      next.name = updates.name.trim();
+    }
+    if (updates.categories !== undefined) {
+      next.categories = this._cleanCategories(updates.categories);
+    }
+    if (updates.productIds !== undefined) {
+      next.productIds = [...new Set(updates.productIds)];
+    }
+    for (const field of [
+      "description",
+      "type",
+      "minOrderValue",
+      "usageLimit",
+      "perCustomerLimit",
+      "startsAt",
+      "endsAt",
+      "active",
+    ]) {
+      if (updates[field] !== undefined) {
+        next[field] = updates[field];
+      }
+    }
+    // Rounded once the type is known, as the two are rounded differently
+    if (updates.value !== undefined) {
+      next.value = updates.value;
+    }
+    next.value = this._roundValue(next.type, next.value);
+    this._check(next);
+
+    Object.assign(promotion, next);
+    promotion.updatedAt = new Date().toISOString();
+    this._persist();
+    return promotion;
+  }
+
+  // Delete a promotion that no order has used yet
+  delete(id) {
+    const promotion = this.getById(id);
+    if (promotion.usageCount > 0) {
+      throw new ConflictError(
+        `Promotion ${promotion.id} has been used and cannot be deleted; set active to false instead`
+      );
+    }
+    this.promotions = this.promotions.filter((p) => p.id !== promotion.id);
+    this._persist();
+    return { success: true, deletedId: promotion.id };
+  }
+
+  // Fixed discounts are amounts in the base currency; percentages keep two
+  // decimal places
+  _roundValue(type, value) {
+    return type === "fixed" ? roundAmount(value, this.baseCurrency) : roundTo(value, 2);
+  }
+
+  _cleanCategories(categories) {
+    const seen = new Map();
+    for (const category of categories) {
+      const name = category.trim();
+      seen.set(name.toLowerCase(), name);
+    }
+    return [...seen.values()];
+  }
+
+  // Rules that span fields, checked once the promotion is assembled
+  _check(promotion) {
+    const errors = [];
+    if (promotion.type === "percentage" && promotion.value > 100) {
+      errors.push({ field: "value", message: "cannot exceed 100 for a percentage discount" });
+    }
+    if (
+      promotion.startsAt &&
+      promotion.endsAt &&
+      new Date(promotion.endsAt) <= new Date(promotion.startsAt)
+    ) {
+      errors.push({ field: "endsAt", message: "must be after startsAt" });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError("Validation failed", errors);
+    }
+    if (promotion.code) {
+      const duplicate = this.promotions.find(
+        (p) => p.id !== promotion.id && p.code === promotion.code
+      );
+      if (duplicate) {
+        throw new ValidationError(`Promotion with code "${promotion.code}" already exists`);
+      }
+    }
+  }
+
+  // Why a promotion cannot be used right now, or null if it can
+  unavailableReason(promotion, at = new Date()) {
+    if (!promotion.active) {
+      return "is not active";
+    }
+    if (promotion.startsAt && at < new Date(promotion.startsAt)) {
+      return `is not valid until ${promotion.startsAt}`;
+    }
+    if (promotion.endsAt && at > new Date(promotion.endsAt)) {
+      return `expired at ${promotion.endsAt}`;
+    }
+    if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+      return "has reached its usage limit";
+    }
+    return null;
+  }
+
+  // Promotions without a code that can be used right now
+  getAutomatic() {
+    return this.promotions.filter(
+      (promotion) => promotion.code === null && this.unavailableReason(promotion) === null
+    );
+  }
+
+  // The promotion behind a coupon code, if it can be used right now
+  getCoupon(code) {
+    const promotion = this.findByCode(code);
+    if (!promotion) {
+      throw new ValidationError("Validation failed", [
+        { field: "couponCode", message: `"${this.normalizeCode(code)}" is not a valid coupon code` },
+      ]);
+    }
+    const reason = this.unavailableReason(promotion);
+    if (reason) {
+      throw new ValidationError("Validation failed", [
+        { field: "couponCode", message: `${promotion.code} ${reason}` },
+      ]);
+    }
+    return promotion;
+  }
+
+  // Count a use of each promotion, by an order that was just created
+  recordUse(ids) {
+    this._countUse(ids, 1);
+  }
+
+  // Give back the uses of an order that was cancelled or deleted
+  releaseUse(ids) {
+    this._countUse(ids, -1);
+  }
+
+  _countUse(ids, delta) {
+    for (const id of ids) {
+      // A promotion that has been used cannot be deleted, but stay safe
+      const promotion = this.promotions.find((p) => p.id === id);
+      if (promotion) {
+        promotion.usageCount = Math.max(0, promotion.usageCount + delta);
+      }
+    }
+    if (ids.length > 0) {
+      this._persist();
+    }
+  }
+}
+
+module.exports = new PromotionsService();
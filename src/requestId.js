@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// A caller-supplied X-Request-Id is kept if it looks sane, so requests can
+// be traced across services; otherwise one is generated
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,200}$/;
+
+// Tag each request with an id (req.id), echoed in the X-Request-Id header
+// and in error responses
+function requestId(req, res, next) {
+  const given = req.get('X-Request-Id');
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = { requestId };
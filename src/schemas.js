@@ -0,0 +1,885 @@
+// Declarative schemas for every resource, in the JSON Schema dialect used by
+// OpenAPI 3.0. They drive request validation (see validation.js) and are
+// published as components.schemas in /api/openapi.json.
+//
+// Services keep their own checks for business rules (unique names, stock,
+// status transitions); the schemas describe shape, types and limits.
+
+const { EVENT_TYPES } = require("./events");
+const { MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES } = require("./inventoryLedger");
+const { CURRENCIES } = require("./money");
+
+const PRODUCT_STATUSES = ["active", "inactive", "discontinued"];
+const ORDER_STATUSES = ["pending", "processing", "shipped", "completed", "cancelled"];
+const CUSTOMER_STATUSES = ["active", "inactive"];
+const ADDRESS_TYPES = ["billing", "shipping"];
+const USER_STATUSES = ["active", "disabled"];
+const DISCOUNT_TYPES = ["percentage", "fixed"];
+// Keys of ROLE_PERMISSIONS in usersService.js
+const USER_ROLES = ["admin", "catalog_manager", "order_clerk", "read_only"];
+// How a batch handles a failing operation (see batch.js)
+const BATCH_MODES = ["atomic", "best-effort"];
+const MAX_BATCH_OPERATIONS = 500;
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const id = { type: "integer", minimum: 1 };
+const timestamp = { type: "string", format: "date-time", readOnly: true };
+const notBlank = { pattern: "\\S", "x-message": "must not be blank" };
+
+const currency = {
+  type: "string",
+  enum: Object.keys(CURRENCIES),
+  description: "ISO 4217 code",
+};
+
+// Prices in currencies other than the base one; a currency not listed gets
+// the base price converted at its exchange rate
+const currencyPrices = {
+  type: "object",
+  description: "Price per currency code, e.g. { \"EUR\": 899 }",
+  additionalProperties: { type: "number", minimum: 0 },
+};
+
+// Stock figures derived from the inventory ledger (see inventoryLedger.js)
+const stockLevels = {
+  stock: { type: "integer", readOnly: true, description: "Available to sell: onHand - reserved" },
+  onHand: { type: "integer", readOnly: true, description: "Units in the warehouse" },
+  reserved: { type: "integer", readOnly: true, description: "Units held by pending orders" },
+};
+
+const productFields = {
+  name: { type: "string", maxLength: 200, ...notBlank },
+  price: { type: "number", minimum: 0, description: "In the base currency" },
+  prices: currencyPrices,
+  category: {
+    type: "string",
+    maxLength: 100,
+    pattern: "^\\s*[a-zA-Z0-9\\-_&][a-zA-Z0-9\\s\\-_&]*$",
+    "x-message": "must be letters, digits, spaces, '-', '_' or '&'",
+  },
+  stock: { type: "integer", minimum: 0, maximum: 1000000 },
+  status: { type: "string", enum: PRODUCT_STATUSES },
+  reorderPoint: {
+    type: "integer",
+    minimum: 0,
+    maximum: 1000000,
+    nullable: true,
+    description: "Stock level at which to reorder; null uses LOW_STOCK_THRESHOLD",
+  },
+  reorderQuantity: {
+    type: "integer",
+    minimum: 1,
+    maximum: 1000000,
+    nullable: true,
+    description: "Units to order when restocking",
+  },
+};
+
+const variantFields = {
+  sku: {
+    type: "string",
+    pattern: "^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$",
+    "x-message": "must be 1-64 letters, digits, '.', '_' or '-', starting with a letter or digit",
+  },
+  attributes: {
+    type: "object",
+    minProperties: 1,
+    description: "What sets the variant apart, e.g. { \"size\": \"M\", \"color\": \"Red\" }",
+    additionalProperties: { type: "string", maxLength: 100, ...notBlank },
+  },
+  price: {
+    type: "number",
+    minimum: 0,
+    nullable: true,
+    description: "Overrides the product price; null uses it",
+  },
+  prices: { ...currencyPrices, description: "Override the product's prices per currency" },
+  stock: { type: "integer", minimum: 0, maximum: 1000000 },
+};
+
+const orderItemInput = {
+  type: "object",
+  required: ["productId", "quantity"],
+  properties: {
+    productId: id,
+    variantId: { ...id, description: "Required for products that have variants" },
+    quantity: { type: "integer", minimum: 1 },
+    priceOverride: {
+      type: "number",
+      minimum: 0,
+      nullable: true,
+      description: "Unit price to charge instead of the catalog price, in the order currency",
+    },
+    priceOverrideReason: {
+      type: "string",
+      maxLength: 500,
+      description: "Required with priceOverride",
+    },
+  },
+};
+
+const addressFields = {
+  type: { type: "string", enum: ADDRESS_TYPES, default: "shipping" },
+  line1: { type: "string", maxLength: 200, ...notBlank },
+  line2: { type: "string", maxLength: 200, nullable: true },
+  city: { type: "string", maxLength: 200, ...notBlank },
+  region: { type: "string", maxLength: 200, nullable: true },
+  postalCode: { type: "string", maxLength: 200, nullable: true },
+  country: { type: "string", maxLength: 200, ...notBlank },
+};
+
+const customerFields = {
+  name: { type: "string", maxLength: 100, ...notBlank },
+  email: {
+    type: "string",
+    nullable: true,
+    description: "An empty string or null clears the email",
+    anyOf: [{ format: "email" }, { maxLength: 0 }],
+    "x-message": "must be a valid email address",
+  },
+  addresses: { type: "array", items: ref("AddressInput") },
+  status: { type: "string", enum: CUSTOMER_STATUSES },
+};
+
+const webhookFields = {
+  url: { type: "string", format: "uri", description: "http or https URL" },
+  events: {
+    type: "array",
+    minItems: 1,
+    items: { type: "string", enum: [...EVENT_TYPES, "*"] },
+  },
+  description: { type: "string", maxLength: 200, nullable: true },
+  active: { type: "boolean" },
+  secret: { type: "string", minLength: 16, maxLength: 200 },
+};
+
+const couponCode = {
+  type: "string",
+  pattern: "^\\s*[A-Za-z0-9_-]{3,40}\\s*$",
+  "x-message": "must be 3-40 letters, digits, '_' or '-'",
+};
+
+const promotionFields = {
+  code: {
+    ...couponCode,
+    nullable: true,
+    description: "Coupon code, matched ignoring case; null applies to every qualifying order",
+  },
+  name: { type: "string", maxLength: 100, ...notBlank },
+  description: { type: "string", maxLength: 500, nullable: true },
+  type: { type: "string", enum: DISCOUNT_TYPES },
+  value: {
+    type: "number",
+    minimum: 0.01,
+    maximum: 1000000,
+    description: "Percent off (at most 100) or an amount off in the base currency",
+  },
+  categories: {
+    type: "array",
+    maxItems: 100,
+    description: "Only lines in these categories are discounted",
+    items: { type: "string", maxLength: 100, ...notBlank },
+  },
+  productIds: {
+    type: "array",
+    maxItems: 1000,
+    description: "Only lines for these products are discounted",
+    items: id,
+  },
+  minOrderValue: {
+    type: "number",
+    minimum: 0,
+    nullable: true,
+    description: "Order subtotal needed before discounts, in the base currency",
+  },
+  usageLimit: { type: "integer", minimum: 1, nullable: true, description: "Orders in all" },
+  perCustomerLimit: { type: "integer", minimum: 1, nullable: true },
+  startsAt: { type: "string", format: "date-time", nullable: true },
+  endsAt: { type: "string", format: "date-time", nullable: true },
+  active: { type: "boolean" },
+};
+
+const taxRegion = {
+  type: "string",
+  maxLength: 100,
+  ...notBlank,
+  description: "Matched ignoring case",
+};
+
+const taxRuleFields = {
+  region: taxRegion,
+  category: {
+    type: "string",
+    maxLength: 100,
+    ...notBlank,
+    nullable: true,
+    description: "null sets the region's rate for categories without a rule of their own",
+  },
+  rate: { type: "number", minimum: 0, maximum: 100, description: "Percent" },
+  description: { type: "string", maxLength: 500, nullable: true },
+};
+
+const batchMode = {
+  type: "string",
+  enum: BATCH_MODES,
+  default: "atomic",
+  description: "atomic rolls back every operation on the first failure",
+};
+
+// One create, update or delete in a bulk request. `data` is checked against
+// the resource's create or update schema when the operation runs.
+function batchOperation(resource) {
+  return {
+    type: "object",
+    required: ["op"],
+    properties: {
+      op: { type: "string", enum: ["create", "update", "delete"] },
+      id: { ...id, description: "For update and delete" },
+      version: {
+        type: "integer",
+        minimum: 1,
+        description: "Only apply if the resource is still at this version, as with If-Match",
+      },
+      data: {
+        type: "object",
+        description: `${resource}Create for create, ${resource}Update for update`,
+      },
+    },
+    anyOf: [
+      { properties: { op: { enum: ["create"] } }, required: ["data"] },
+      { properties: { op: { enum: ["update"] } }, required: ["id", "data"] },
+      { properties: { op: { enum: ["delete"] } }, required: ["id"] },
+    ],
+    "x-message": "create needs data, update needs id and data, delete needs id",
+  };
+}
+
+function batchRequest(operationSchema) {
+  return {
+    type: "object",
+    required: ["operations"],
+    properties: {
+      mode: batchMode,
+      operations: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_BATCH_OPERATIONS,
+        items: ref(operationSchema),
+      },
+    },
+  };
+}
+
+const schemas = {
+  Problem: {
+    type: "object",
+    description: "RFC 7807 problem details, sent as application/problem+json",
+    properties: {
+      type: { type: "string", example: "/problems/validation-error" },
+      title: { type: "string", example: "Invalid request" },
+      status: { type: "integer", example: 400 },
+      detail: { type: "string", example: "Validation failed" },
+      instance: { type: "string", example: "/api/orders" },
+      requestId: { type: "string", description: "Also sent as the X-Request-Id header" },
+      errors: {
+        type: "array",
+        description: "Per-field problems, for validation errors",
+        items: ref("FieldError"),
+      },
+      allowedTransitions: {
+        type: "array",
+        description: "For refused order status changes",
+        items: { type: "string", enum: ORDER_STATUSES },
+      },
+      operationIndex: {
+        type: "integer",
+        description: "For a failed atomic batch, the operation that failed",
+      },
+    },
+  },
+  FieldError: {
+    type: "object",
+    properties: {
+      field: { type: "string", example: "items[0].quantity" },
+      message: { type: "string", example: "must be at least 1" },
+    },
+  },
+
+  Product: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      ...productFields,
+      ...stockLevels,
+      variants: { type: "array", items: ref("Variant") },
+      version: { type: "integer", readOnly: true },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  ProductCreate: {
+    type: "object",
+    required: ["name", "price"],
+    properties: {
+      ...productFields,
+      variants: {
+        type: "array",
+        maxItems: 200,
+        description: "Give stock per variant instead of for the product",
+        items: ref("VariantCreate"),
+      },
+    },
+  },
+  ProductUpdate: {
+    type: "object",
+    properties: {
+      ...productFields,
+      stock: { ...productFields.stock, description: "Accepted only unchanged; use stock movements" },
+    },
+  },
+  Variant: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      ...variantFields,
+      ...stockLevels,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  VariantCreate: {
+    type: "object",
+    required: ["sku", "attributes"],
+    properties: variantFields,
+  },
+  VariantUpdate: {
+    type: "object",
+    properties: {
+      ...variantFields,
+      stock: { ...variantFields.stock, description: "Accepted only unchanged; use stock movements" },
+    },
+  },
+  StockMovement: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      productId: id,
+      variantId: { ...id, nullable: true },
+      type: { type: "string", enum: Object.keys(MOVEMENT_TYPES) },
+      quantity: {
+        type: "integer",
+        description: "Change to onHand, or to reserved for reservations",
+      },
+      orderId: { ...id, nullable: true },
+      reason: { type: "string", nullable: true },
+      userId: { oneOf: [{ type: "integer" }, { type: "string", enum: ["system"] }] },
+      timestamp,
+    },
+  },
+  StockAlert: {
+    type: "object",
+    properties: {
+      productId: id,
+      name: { type: "string" },
+      category: { type: "string" },
+      stock: { type: "integer" },
+      onHand: { type: "integer" },
+      reserved: { type: "integer" },
+      reorderPoint: { type: "integer" },
+      threshold: {
+        type: "integer",
+        description: "The reorder point, or the units sold over the lead time when more",
+      },
+      reorderQuantity: { type: "integer", nullable: true },
+      dailySales: { type: "number", description: "Units ordered per day over the sales window" },
+      daysOfCover: {
+        type: "number",
+        nullable: true,
+        description: "Days the available stock lasts at that rate; null when not selling",
+      },
+    },
+  },
+  StockMovementCreate: {
+    type: "object",
+    required: ["type", "quantity", "reason"],
+    properties: {
+      type: { type: "string", enum: MANUAL_MOVEMENT_TYPES },
+      quantity: {
+        type: "integer",
+        minimum: -1000000,
+        maximum: 1000000,
+        description: "Units received, returned or damaged; for adjustments a signed correction",
+      },
+      variantId: { ...id, description: "Required for products that have variants" },
+      reason: { type: "string", maxLength: 500, ...notBlank },
+    },
+  },
+  ProductImportResult: {
+    type: "object",
+    properties: {
+      dryRun: { type: "boolean" },
+      upsert: { type: "boolean" },
+      summary: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          created: { type: "integer" },
+          updated: { type: "integer" },
+          rejected: { type: "integer" },
+        },
+      },
+      rows: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            row: { type: "integer" },
+            action: { type: "string", enum: ["created", "updated", "rejected"] },
+            name: { type: "string", nullable: true },
+            id: { type: "integer", nullable: true },
+            errors: { type: "array", items: ref("FieldError") },
+          },
+        },
+      },
+    },
+  },
+
+  ProductBatchOperation: batchOperation("Product"),
+  ProductBatch: batchRequest("ProductBatchOperation"),
+  ProductReprice: {
+    type: "object",
+    required: ["category", "percent"],
+    properties: {
+      category: { type: "string", maxLength: 100, ...notBlank },
+      percent: {
+        type: "number",
+        minimum: -100,
+        maximum: 1000,
+        description: "Change every price by this percentage, e.g. 10 or -15",
+      },
+      mode: batchMode,
+    },
+  },
+
+  OrderItemInput: orderItemInput,
+  OrderLineUpdate: {
+    type: "object",
+    description:
+      "A line for items on update. With the lineId of a line for the same product, the " +
+      "line keeps its price and tax rate; the other fields of a fetched line are ignored.",
+    required: ["productId", "quantity"],
+    properties: {
+      lineId: { type: "integer", description: "Of the line this replaces" },
+      ...orderItemInput.properties,
+      priceOverride: {
+        nullable: true,
+        description:
+          "A new unit price as for OrderItemInput, or the line's stored override, which keeps it",
+        anyOf: [
+          orderItemInput.properties.priceOverride,
+          {
+            type: "object",
+            properties: {
+              catalogPrice: { type: "number" },
+              reason: { type: "string" },
+            },
+          },
+        ],
+        "x-message": "must be a non-negative number, or the line's stored priceOverride",
+      },
+    },
+  },
+  OrderLine: {
+    type: "object",
+    properties: {
+      lineId: { type: "integer" },
+      productId: { type: "integer" },
+      productName: { type: "string" },
+      variantId: { type: "integer", description: "For products with variants" },
+      sku: { type: "string", description: "For products with variants" },
+      attributes: { type: "object", description: "For products with variants" },
+      quantity: { type: "integer" },
+      unitPrice: { type: "number" },
+      lineTotal: { type: "number", description: "Before discounts" },
+      discount: { type: "number", description: "Taken off lineTotal by promotions" },
+      taxRate: { type: "number", description: "Percent, as when the line was added" },
+      tax: { type: "number", description: "On lineTotal - discount" },
+      priceOverride: {
+        type: "object",
+        properties: {
+          catalogPrice: { type: "number" },
+          reason: { type: "string" },
+        },
+      },
+    },
+  },
+  Order: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      customerId: { type: "integer" },
+      customerName: { type: "string" },
+      items: { type: "array", items: ref("OrderLine") },
+      quantity: { type: "integer", description: "Total units across lines" },
+      subtotal: { type: "number", description: "Sum of line totals, before discounts" },
+      discountTotal: { type: "number" },
+      taxTotal: { type: "number", description: "Sum of line taxes" },
+      total: {
+        type: "number",
+        description:
+          "Grand total: subtotal - discountTotal, plus taxTotal unless pricesIncludeTax",
+      },
+      couponCode: { type: "string", nullable: true },
+      discounts: { type: "array", items: ref("OrderDiscount") },
+      taxRegion: { type: "string", nullable: true, description: "null is not taxed" },
+      currency: { ...currency, description: "Currency of every amount on the order" },
+      exchangeRate: {
+        type: "number",
+        description: "Units of the order currency per unit of the base currency when it was placed",
+      },
+      pricesIncludeTax: { type: "boolean", description: "Whether unit prices include tax" },
+      status: { type: "string", enum: ORDER_STATUSES },
+      version: { type: "integer", readOnly: true },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  OrderDiscount: {
+    type: "object",
+    description: "A promotion applied to the order, with the rules it was applied under",
+    properties: {
+      promotionId: { type: "integer" },
+      code: { type: "string", nullable: true },
+      name: { type: "string" },
+      type: { type: "string", enum: DISCOUNT_TYPES },
+      value: { type: "number" },
+      categories: { type: "array", items: { type: "string" } },
+      productIds: { type: "array", items: { type: "integer" } },
+      minOrderValue: { type: "number", nullable: true },
+      amount: { type: "number" },
+      lines: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            lineId: { type: "integer" },
+            amount: { type: "number" },
+          },
+        },
+      },
+    },
+  },
+  OrderCreate: {
+    type: "object",
+    description:
+      "Give customerId or customerName, and either items or a single productId/quantity",
+    properties: {
+      customerId: id,
+      customerName: { type: "string", maxLength: 100, ...notBlank },
+      items: { type: "array", minItems: 1, items: ref("OrderItemInput") },
+      ...orderItemInput.properties,
+      couponCode,
+      currency: { ...currency, description: "Defaults to the base currency" },
+      taxRegion: {
+        ...taxRegion,
+        description: "Defaults to the region (or else country) of the customer's shipping address",
+      },
+    },
+    allOf: [
+      {
+        anyOf: [{ required: ["customerId"] }, { required: ["customerName"] }],
+        "x-message": "customerId or customerName is required",
+      },
+      {
+        anyOf: [{ required: ["items"] }, { required: ["productId", "quantity"] }],
+        "x-message": "items, or productId and quantity, are required",
+      },
+    ],
+  },
+  OrderUpdate: {
+    type: "object",
+    description:
+      "Line items can only change while the order is pending. An order as returned by GET " +
+      "is accepted: its read-only fields (totals, discounts, currency and the like) are ignored.",
+    properties: {
+      customerId: id,
+      customerName: { type: "string", maxLength: 100, ...notBlank },
+      status: { type: "string", enum: ORDER_STATUSES },
+      items: {
+        type: "array",
+        minItems: 1,
+        description: "Replace all lines; lines of a fetched order can be sent back as they are",
+        items: ref("OrderLineUpdate"),
+      },
+      addItems: { type: "array", items: ref("OrderItemInput") },
+      updateItems: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["lineId", "quantity"],
+          properties: {
+            lineId: { type: "integer" },
+            quantity: { type: "integer", minimum: 1 },
+          },
+        },
+      },
+      removeItems: { type: "array", items: { type: "integer" } },
+      quantity: {
+        type: "integer",
+        minimum: 1,
+        description: "Only for single-line orders; ignored with items, as the order's total",
+      },
+    },
+  },
+  OrderAction: {
+    type: "object",
+    properties: {
+      reason: { type: "string", maxLength: 500, description: "Required to cancel a processing order" },
+    },
+  },
+  OrderBatchOperation: batchOperation("Order"),
+  OrderBatch: batchRequest("OrderBatchOperation"),
+  OrderStatusBatch: {
+    type: "object",
+    required: ["ids", "status"],
+    properties: {
+      ids: { type: "array", minItems: 1, maxItems: MAX_BATCH_OPERATIONS, items: id },
+      status: {
+        type: "string",
+        enum: ORDER_STATUSES.filter((status) => status !== "pending"),
+        description: "Each order moves through the matching lifecycle action",
+      },
+      reason: { type: "string", maxLength: 500 },
+      mode: batchMode,
+    },
+  },
+
+  BatchResult: {
+    type: "object",
+    properties: {
+      mode: { type: "string", enum: BATCH_MODES },
+      summary: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          succeeded: { type: "integer" },
+          failed: { type: "integer" },
+        },
+      },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            index: { type: "integer", description: "Position of the operation in the request" },
+            ok: { type: "boolean" },
+            status: { type: "integer", description: "HTTP status the operation would have had alone" },
+            id: { type: "integer", nullable: true },
+            result: {
+              type: "object",
+              nullable: true,
+              description: "The resource afterwards; null for deletes",
+            },
+            error: ref("Problem"),
+          },
+        },
+      },
+    },
+  },
+
+  AddressInput: {
+    type: "object",
+    required: ["line1", "city", "country"],
+    properties: addressFields,
+  },
+  Customer: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      ...customerFields,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  CustomerCreate: {
+    type: "object",
+    required: ["name"],
+    properties: customerFields,
+  },
+  CustomerUpdate: {
+    type: "object",
+    properties: customerFields,
+  },
+
+  Promotion: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      ...promotionFields,
+      usageCount: { type: "integer", readOnly: true, description: "Orders using it, not cancelled" },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  PromotionCreate: {
+    type: "object",
+    required: ["name", "type", "value"],
+    properties: promotionFields,
+  },
+  PromotionUpdate: {
+    type: "object",
+    properties: promotionFields,
+  },
+
+  TaxRule: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      ...taxRuleFields,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  TaxRuleCreate: {
+    type: "object",
+    required: ["region", "rate"],
+    properties: taxRuleFields,
+  },
+  TaxRuleUpdate: {
+    type: "object",
+    properties: taxRuleFields,
+  },
+
+  ExchangeRate: {
+    type: "object",
+    properties: {
+      currency,
+      rate: { type: "number", description: "Units of the currency per unit of the base currency" },
+      updatedAt: timestamp,
+      updatedBy: { oneOf: [{ type: "integer" }, { type: "string", enum: ["system"] }] },
+    },
+  },
+  ExchangeRateUpdate: {
+    type: "object",
+    required: ["rate"],
+    properties: {
+      rate: {
+        type: "number",
+        minimum: 0.000001,
+        maximum: 1000000,
+        description: "Units of the currency per unit of the base currency",
+      },
+    },
+  },
+
+  LoginRequest: {
+    type: "object",
+    required: ["username", "password"],
+    properties: {
+      username: { type: "string", minLength: 1 },
+      password: { type: "string", format: "password", minLength: 1 },
+    },
+  },
+  Session: {
+    type: "object",
+    properties: {
+      token: { type: "string" },
+      expiresAt: { type: "string", format: "date-time" },
+      user: ref("User"),
+    },
+  },
+  User: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      username: { type: "string" },
+      role: { type: "string", enum: USER_ROLES },
+      status: { type: "string", enum: USER_STATUSES },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  UserCreate: {
+    type: "object",
+    required: ["username", "password"],
+    properties: {
+      username: {
+        type: "string",
+        pattern: "^[a-zA-Z0-9._-]{3,50}$",
+        "x-message": "must be 3-50 characters of letters, digits, '.', '_' or '-'",
+      },
+      password: { type: "string", format: "password", minLength: 8, maxLength: 200 },
+      role: { type: "string", enum: USER_ROLES, default: "read_only" },
+    },
+  },
+  UserUpdate: {
+    type: "object",
+    properties: {
+      role: { type: "string", enum: USER_ROLES },
+      status: { type: "string", enum: USER_STATUSES },
+      password: { type: "string", format: "password", minLength: 8, maxLength: 200 },
+    },
+  },
+
+  Webhook: {
+    type: "object",
+    properties: {
+      id: { ...id, readOnly: true },
+      ...webhookFields,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  WebhookCreate: {
+    type: "object",
+    required: ["url", "events"],
+    properties: webhookFields,
+  },
+  WebhookUpdate: {
+    type: "object",
+    properties: webhookFields,
+  },
+  WebhookDelivery: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      webhookId: { type: "integer" },
+      event: { type: "object" },
+      status: { type: "string", enum: ["pending", "succeeded", "failed"] },
+      attempts: { type: "array", items: { type: "object" } },
+      nextAttemptAt: { type: "string", format: "date-time", nullable: true },
+      redeliveryOf: { type: "integer", nullable: true },
+      error: { type: "string", nullable: true },
+      createdAt: timestamp,
+      completedAt: { type: "string", format: "date-time", nullable: true },
+    },
+  },
+
+  AuditEntry: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      action: { type: "string" },
+      orderId: { type: "integer", description: "For order entries" },
+      productId: { type: "integer", description: "For product entries" },
+      userId: { oneOf: [{ type: "integer" }, { type: "string", enum: ["system"] }] },
+      timestamp: { type: "string", format: "date-time" },
+      details: { type: "object" },
+    },
+  },
+};
+
+module.exports = {
+  PRODUCT_STATUSES,
+  ORDER_STATUSES,
+  CUSTOMER_STATUSES,
+  ADDRESS_TYPES,
+  USER_STATUSES,
+  USER_ROLES,
+  BATCH_MODES,
+  MAX_BATCH_OPERATIONS,
+  schemas,
+};
@@ -1,17 +1,78 @@
 const express = require("express");
 const path = require("path");
+const config = require("./config");
 const productsRoutes = require("./productsRoutes");
 const ordersRoutes = require("./ordersRoutes");
+const customersRoutes = require("./customersRoutes");
+const promotionsRoutes = require("./promotionsRoutes");
+const taxRulesRoutes = require("./taxRulesRoutes");
+const exchangeRatesRoutes = require("./exchangeRatesRoutes");
+const auditRoutes = require("./auditRoutes");
+const authRoutes = require("./authRoutes");
+const usersRoutes = require("./usersRoutes");
+const webhooksRoutes = require("./webhooksRoutes");
+const eventsRoutes = require("./eventsRoutes");
+const { allowQueryToken, authenticate } = require("./auth");
+const { buildOpenApiSpec } = require("./openapi");
+const { requestId } = require("./requestId");
+const { errorHandler, notFound } = require("./errorHandler");
+const { name, version } = require("../package.json");
 
 const app = express();
-const PORT = process.env.PORT || 4000;
+const PORT = config.port;
 
-app.use(express.json());
-app.use(express.static(path.join(__dirname, "..", "public")));
+// Routers under /api; each is a tag in the OpenAPI document. Only the
+// public ones are reachable without a session.
+const API_MOUNTS = [
+  { path: "/api/auth", router: authRoutes, tag: "Auth", public: true },
+  { path: "/api/users", router: usersRoutes, tag: "Users" },
+  { path: "/api/products", router: productsRoutes, tag: "Products" },
+  { path: "/api/orders", router: ordersRoutes, tag: "Orders" },
+  { path: "/api/customers", router: customersRoutes, tag: "Customers" },
+  { path: "/api/promotions", router: promotionsRoutes, tag: "Promotions" },
+  { path: "/api/tax-rules", router: taxRulesRoutes, tag: "Tax rules" },
+  { path: "/api/exchange-rates", router: exchangeRatesRoutes, tag: "Exchange rates" },
+  { path: "/api/audit", router: auditRoutes, tag: "Audit" },
+  { path: "/api/webhooks", router: webhooksRoutes, tag: "Webhooks" },
+  { path: "/api/events", router: eventsRoutes, tag: "Events" },
+];
+
+const openApiSpec = buildOpenApiSpec(API_MOUNTS, { title: `${name} API`, version });
 
-app.use("/api/products", productsRoutes);
-app.use("/api/orders", ordersRoutes);
+// Product imports carry whole catalogs, so their route parses its own
+// bodies with a larger limit (see productsRoutes.js)
+const IMPORT_PATH = /^\/api\/products\/import\/?$/i;
+const parseJson = express.json();
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+app.use(requestId);
+app.use((req, res, next) =>
+  IMPORT_PATH.test(req.path) ? next() : parseJson(req, res, next)
+);
+app.use(express.static(path.join(__dirname, "..", "public")));
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openApiSpec);
 });
+
+for (const mount of API_MOUNTS.filter((mount) => mount.public)) {
+  app.use(mount.path, mount.router);
+}
+app.use("/api/events/stream", allowQueryToken);
+app.use("/api", authenticate);
+
+for (const mount of API_MOUNTS.filter((mount) => !mount.public)) {
+  app.use(mount.path, mount.router);
+}
+
+// Anything unhandled is a 404; every error is answered as problem+json
+app.use(notFound);
+app.use(errorHandler);
+
+// Listen only when run directly; the tests start the app on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,113 @@
+const { events: defaultEvents } = require("./events");
+const defaultProductsService = require("./productsService");
+const defaultOrdersService = require("./ordersService");
+const config = require("./config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Products that are not selling sort after those that are
+function coverOf(alert) {
+  return alert.daysOfCover === null ? Infinity : alert.daysOfCover;
+}
+
+// Events after which a product's stock or sales velocity may have changed
+const WATCHED_EVENTS = [
+  "product.created",
+  "product.updated",
+  "product.deleted",
+  "order.created",
+  "order.updated",
+  "order.status_changed",
+  "order.deleted",
+];
+
+// Watches each product's available stock against its threshold: its
+// reorder point, raised to what it sells over the reorder lead time when
+// that is more. Sales velocity is the units ordered per day over the sales
+// window. Products with variants are watched on their total stock, and
+// discontinued products not at all.
+//
+// Crossing the threshold publishes product.stock_low on the way down and
+// product.stock_replenished on the way back up.
+class StockAlertsService {
+  constructor(
+    productsService = defaultProductsService,
+    ordersService = defaultOrdersService,
+    events = defaultEvents,
+    inventoryConfig = config.inventory
+  ) {
+    this.productsService = productsService;
+    this.ordersService = ordersService;
+    this.events = events;
+    this.config = inventoryConfig;
+    // Ids of products at or below their threshold, as of the last check
+    this.low = new Set(this.getAlerts().map((alert) => alert.productId));
+    events.on("event", (event) => this._handleEvent(event));
+  }
+
+  _handleEvent(event) {
+    if (!WATCHED_EVENTS.includes(event.type)) {
+      return;
+    }
+    const previous = this.low;
+    const assessed = this._assessAll();
+    this.low = new Set(assessed.filter(({ low }) => low).map(({ product }) => product.id));
+    for (const { product, alert, low } of assessed) {
+      if (low && !previous.has(product.id)) {
+        this.events.publish("product.stock_low", { product, alert });
+      } else if (!low && previous.has(product.id)) {
+        this.events.publish("product.stock_replenished", { product, alert });
+      }
+    }
+  }
+
+  // Units ordered per product over the sales window
+  _unitsSold() {
+    const since = new Date(Date.now() - this.config.salesWindowDays * DAY_MS);
+    return this.ordersService.getUnitsSoldByProduct(since);
+  }
+
+  // Every product with its reorder figures and whether it is low
+  _assessAll() {
+    const unitsSold = this._unitsSold();
+    return this.productsService.getAll().map((product) => {
+      const alert = this._assess(product, unitsSold.get(product.id) || 0);
+      const low = product.status !== "discontinued" && alert.stock <= alert.threshold;
+      return { product, alert, low };
+    });
+  }
+
+  _assess(product, unitsSold) {
+    const reorderPoint =
+      product.reorderPoint !== null ? product.reorderPoint : this.config.lowStockThreshold;
+    const dailySales = unitsSold / this.config.salesWindowDays;
+    const threshold = Math.max(reorderPoint, Math.ceil(dailySales * this.config.leadTimeDays));
+    return {
+      productId: product.id,
+      name: product.name,
+      category: product.category,
+      stock: product.stock,
+      onHand: product.onHand,
+      reserved: product.reserved,
+      reorderPoint,
+      threshold,
+      reorderQuantity: product.reorderQuantity,
+      dailySales: Math.round(dailySales * 100) / 100,
+      // How long the available stock lasts at the current rate of sales
+      daysOfCover: dailySales > 0 ? Math.round((product.stock / dailySales) * 10) / 10 : null,
+    };
+  }
+
+  // Products at or below their threshold, those running out soonest first
+  getAlerts() {
+    return this._assessAll()
+      .filter(({ low }) => low)
+      .map(({ alert }) => alert)
+      .sort(
+        (a, b) =>
+          coverOf(a) - coverOf(b) || a.stock - b.stock || a.productId - b.productId
+      );
+  }
+}
+
+module.exports = new StockAlertsService();
@@ -0,0 +1,231 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { StorageError } = require("./errors");
+
+// Behaviour shared by the drivers, which implement _read and _write for
+// snapshots and _readLog and _append for logs. A snapshot is replaced on
+// every save; a log only ever has records added to its end, so writing it
+// costs the same however long it grows.
+// Inside transaction(fn) saves and appends are held back: they are written
+// when fn returns (appends first, saves once per collection) and dropped if
+// it throws. A transaction started inside another one joins it, so nothing
+// is written until the outermost one returns.
+class Storage {
+  constructor() {
+    this.pending = null;
+    this.pendingAppends = null;
+  }
+
+  load(name) {
+    if (this.pending && this.pending.has(name)) {
+      return structuredClone(this.pending.get(name));
+    }
+    return this._read(name);
+  }
+
+  save(name, state) {
+    if (this.pending) {
+      this.pending.set(name, structuredClone(state));
+      return;
+    }
+    this._write(name, state);
+  }
+
+  // Every record of a log, oldest first
+  loadLog(name) {
+    const records = this._readLog(name);
+    if (this.pendingAppends && this.pendingAppends.has(name)) {
+      records.push(...structuredClone(this.pendingAppends.get(name)));
+    }
+    return records;
+  }
+
+  append(name, records) {
+    if (records.length === 0) {
+      return;
+    }
+    if (this.pendingAppends) {
+      const pending = this.pendingAppends.get(name) || [];
+      pending.push(...structuredClone(records));
+      this.pendingAppends.set(name, pending);
+      return;
+    }
+    this._append(name, records);
+  }
+
+  transaction(fn) {
+    if (this.pending) {
+      return fn();
+    }
+    this.pending = new Map();
+    this.pendingAppends = new Map();
+    let result;
+    try {
+      result = fn();
+    } catch (err) {
+      this.pending = null;
+      this.pendingAppends = null;
+      throw err;
+    }
+    const pending = this.pending;
+    const pendingAppends = this.pendingAppends;
+    this.pending = null;
+    this.pendingAppends = null;
+    for (const [name, records] of pendingAppends) {
+      this._append(name, records);
+    }
+    for (const [name, state] of pending) {
+      this._write(name, state);
+    }
+    return result;
+  }
+}
+
+// Keeps collections in process memory; nothing survives a restart
+class MemoryStorage extends Storage {
+  constructor() {
+    super();
+    this.collections = new Map();
+    this.logs = new Map();
+  }
+
+  _read(name) {
+    const state = this.collections.get(name);
+    return state === undefined ? null : structuredClone(state);
+  }
+
+  _write(name, state) {
+    this.collections.set(name, structuredClone(state));
+  }
+
+  _readLog(name) {
+    return structuredClone(this.logs.get(name) || []);
+  }
+
+  _append(name, records) {
+    this.logs.set(name, [...(this.logs.get(name) || []), ...structuredClone(records)]);
+  }
+}
+
+// Persists each collection as <dataDir>/<name>.json. Writes go to a temp file
+// that is fsynced and renamed over the target, so a crash mid-write leaves the
+// previous snapshot intact. Logs are <dataDir>/<name>.jsonl, one record per
+// line, appended and fsynced.
+class FileStorage extends Storage {
+  constructor(dataDir) {
+    super();
+    this.dataDir = dataDir;
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  _filePath(name, extension) {
+    return path.join(this.dataDir, `${name}.${extension}`);
+  }
+
+  _read(name) {
+    const filePath = this._filePath(name, "json");
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return null;
+      }
+      throw new StorageError(`Could not read ${filePath}: ${err.message}`);
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      throw new StorageError(`Corrupt data file ${filePath}: ${err.message}`);
+    }
+  }
+
+  _write(name, state) {
+    const filePath = this._filePath(name, "json");
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      const fd = fs.openSync(tmpPath, "w");
+      try {
+        fs.writeSync(fd, JSON.stringify(state, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      fs.rmSync(tmpPath, { force: true });
+      throw new StorageError(`Could not write ${filePath}: ${err.message}`);
+    }
+  }
+
+  _readLog(name) {
+    const filePath = this._filePath(name, "jsonl");
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return [];
+      }
+      throw new StorageError(`Could not read ${filePath}: ${err.message}`);
+    }
+    // An append cut short leaves a last line without its newline: drop it,
+    // so that the next append starts on a line of its own
+    const end = raw.lastIndexOf("\n") + 1;
+    if (end < raw.length) {
+      try {
+        fs.truncateSync(filePath, Buffer.byteLength(raw.slice(0, end)));
+      } catch (err) {
+        throw new StorageError(`Could not repair ${filePath}: ${err.message}`);
+      }
+    }
+    return raw
+      .slice(0, end)
+      .split("\n")
+      .slice(0, -1)
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          throw new StorageError(`Corrupt log file ${filePath} at line ${index + 1}: ${err.message}`);
+        }
+      });
+  }
+
+  _append(name, records) {
+    const filePath = this._filePath(name, "jsonl");
+    const lines = records.map((record) => `${JSON.stringify(record)}\n`).join("");
+    try {
+      const fd = fs.openSync(filePath, "a");
+      try {
+        fs.writeSync(fd, lines);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (err) {
+      throw new StorageError(`Could not append to ${filePath}: ${err.message}`);
+    }
+  }
+}
+
+function createStorage({ driver, dataDir }) {
+  switch (driver) {
+    case "memory":
+      return new MemoryStorage();
+    case "file":
+      return new FileStorage(dataDir);
+    default:
+      throw new StorageError(
+        `Unknown storage driver "${driver}". Must be one of: memory, file`
+      );
+  }
+}
+
+module.exports = {
+  MemoryStorage,
+  FileStorage,
+  createStorage,
+  storage: createStorage(config.storage),
+};
@@ -0,0 +1,37 @@
+const taxRulesService = require('./taxRulesService');
+const { sendPage } = require('./pagination');
+
+const TaxRulesController = {
+  getAll(req, res) {
+    const { region } = req.query;
+    const rules = taxRulesService.getAll(region || null);
+    sendPage(req, res, rules);
+  },
+
+  getById(req, res) {
+    const { id } = req.params;
+    const rule = taxRulesService.getById(id);
+    res.json(rule);
+  },
+
+  create(req, res) {
+    const { region, category, rate, description } = req.body;
+    const rule = taxRulesService.create({ region, category, rate, description });
+    res.status(201).json(rule);
+  },
+
+  update(req, res) {
+    const { id } = req.params;
+    const updates = req.body;
+    const rule = taxRulesService.update(id, updates);
+    res.json(rule);
+  },
+
+  delete(req, res) {
+    const { id } = req.params;
+    taxRulesService.delete(id);
+    res.status(204).send();
+  },
+};
+
+module.exports = TaxRulesController;
@@ -0,0 +1,15 @@
+const express = require('express');
+const TaxRulesController = require('./taxRulesController');
+const { authorize } = require('./auth');
+const { validateBody } = require('./validation');
+
+const router = express.Router();
+
+router.get('/', authorize('taxes:read'), TaxRulesController.getAll);
+router.get('/:id', authorize('taxes:read'), TaxRulesController.getById);
+router.post('/', authorize('taxes:write'), validateBody('TaxRuleCreate'), TaxRulesController.create);
+router.put('/:id', authorize('taxes:write'), validateBody('TaxRuleUpdate'), TaxRulesController.update);
+router.patch('/:id', authorize('taxes:write'), validateBody('TaxRuleUpdate'), TaxRulesController.update);
+router.delete('/:id', authorize('taxes:delete'), TaxRulesController.delete);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const { storage: defaultStorage } = require("./storage");
+const { assertValid } = require("./validation");
+const { NotFoundError, ValidationError } = require("./errors");
+
+// Custom error classes
+class TaxRuleNotFoundError extends NotFoundError {
+  constructor(id) {
+    super(`Tax rule with id ${id} not found`);
+  }
+}
+
+// Tax rates by region and product category. A rule without a category is
+// the region's rate for every category that has no rule of its own; a
+// region with no rules at all is not taxed. Orders keep the rate each line
+// was taxed at (see OrdersService._applyTax), so changing a rule never
+// changes an existing line.
+class TaxRulesService {
+  constructor(storage = defaultStorage) {
+    this.storage = storage;
+    this._load();
+  }
+
+  // Restore state from storage. There are no tax rules to begin with.
+  _load() {
+    const saved = this.storage.load("taxRules");
+    if (saved) {
+      this.rules = saved.rules;
+      // Never hand out an id that is already taken, even if nextId was lost
+      const maxId = this.rules.reduce((max, r) => Math.max(max, r.id), 0);
+      this.nextId = Math.max(saved.nextId || 1, maxId + 1);
+      return;
+    }
+    this.rules = [];
+    this.nextId = 1;
+    this._persist();
+  }
+
+  // Write the current state to storage
+  _persist() {
+    this.storage.save("taxRules", {
+      rules: this.rules,
+      nextId: this.nextId,
+    });
+  }
+
+  // Regions and categories are matched ignoring case
+  _key(name) {
+    return name === null ? null : name.toLowerCase();
+  }
+
+  // Get all tax rules, optionally only those of one region
+  getAll(region = null) {
+    if (region === null) {
+      return [...this.rules];
+    }
+    const key = this._key(region.trim());
+    return this.rules.filter((rule) => this._key(rule.region) === key);
+  }
+
+  // Get tax rule by ID
+  getById(id) {
+    const ruleId = Number(id);
+    if (Number.isNaN(ruleId)) {
+      throw new ValidationError(`Invalid id: ${id}`);
+    }
+    const rule = this.rules.find((r) => r.id === ruleId);
+    if (!rule) {
+      throw new TaxRuleNotFoundError(ruleId);
+    }
+    return rule;
+  }
+
+  // Create new tax rule with validation
+  create(data) {
+    assertValid("TaxRuleCreate", data);
+    const rule = {
+      id: null,
+      region: data.region.trim(),
+      category: data.category !== undefined && data.category !== null ? data.category.trim() : null,
+      rate: this._roundRate(data.rate),
+      description: data.description !== undefined ? data.description : null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    this._assertUnique(rule);
+    rule.id = this.nextId++;
+
+    this.rules.push(rule);
+    this._persist();
+    return rule;
+  }
+
+  // Update a tax rule. All fields are validated before any is applied.
+  update(id, updates) {
+    const rule = this.getById(id);
+    assertValid("TaxRuleUpdate", updates);
+    const next = { ...rule };
+
+    if (updates.region !== undefined) {
+      next.region = updates.region.trim();
+    }
+    if (updates.category !== undefined) {
+      next.category = updates.category !== null ? updates.category.trim() : null;
+    }
+    if (updates.rate !== undefined) {
+      next.rate = this._roundRate(updates.rate);
+    }
+    if (updates.description !== undefined) {
+      next.description = updates.description;
+    }
+    this._assertUnique(next);
+
+    Object.assign(rule, next);
+    rule.updatedAt = new Date().toISOString();
+    this._persist();
+    return rule;
+  }
+
+  // Delete tax rule (throws error if not found)
+  delete(id) {
+    const rule = this.getById(id);
+    this.rules = this.rules.filter((r) => r.id !== rule.id);
+    this._persist();
+    return { success: true, deletedId: rule.id };
+  }
+
+  // Rates such as 8.875% need more than two decimal places
+  _roundRate(rate) {
+    return Math.round(rate * 10000) / 10000;
+  }
+
+  // One rule per region and category (or region default)
+  _assertUnique(rule) {
+    const duplicate = this._find(rule.region, rule.category);
+    if (duplicate && duplicate.id !== rule.id) {
+      throw new ValidationError(
+        rule.category === null
+          ? `Region "${rule.region}" already has a default tax rule`
+          : `Region "${rule.region}" already has a tax rule for category "${rule.category}"`
+      );
+    }
+  }
+
+  _find(region, category) {
+    const regionKey = this._key(region);
+    const categoryKey = this._key(category);
+    return (
+      this.rules.find(
+        (rule) => this._key(rule.region) === regionKey && this._key(rule.category) === categoryKey
+      ) || null
+    );
+  }
+
+  // The tax rate, in percent, for a category in a region: the category's
+  // own rule, else the region's default rule, else 0. No region is not taxed.
+  rateFor(region, category) {
+    if (region === null) {
+      return 0;
+    }
+    const rule = (category !== null && this._find(region, category)) || this._find(region, null);
+    return rule ? rule.rate : 0;
+  }
+}
+
+module.exports = new TaxRulesService();
@@ -0,0 +1,54 @@
+const usersService = require('./usersService');
+const { sendPage } = require('./pagination');
+
+const UsersController = {
+  login(req, res) {
+    const { username, password } = req.body;
+    const session = usersService.login(username, password);
+    res.json(session);
+  },
+
+  logout(req, res) {
+    usersService.logout(req.token);
+    res.status(204).send();
+  },
+
+  me(req, res) {
+    res.json({
+      ...req.user,
+      permissions: usersService.getPermissions(req.user),
+    });
+  },
+
+  getAll(req, res) {
+    const users = usersService.getAll();
+    sendPage(req, res, users);
+  },
+
+  getById(req, res) {
+    const { id } = req.params;
+    const user = usersService.getById(id);
+    res.json(usersService.toPublic(user));
+  },
+
+  create(req, res) {
+    const { username, password, role } = req.body;
+    const user = usersService.create({ username, password, role });
+    res.status(201).json(user);
+  },
+
+  update(req, res) {
+    const { id } = req.params;
+    const updates = req.body;
+    const user = usersService.update(id, updates);
+    res.json(user);
+  },
+
+  delete(req, res) {
+    const id = Number(req.params.id);
+    usersService.delete(id);
+    res.status(204).send();
+  },
+};
+
+module.exports = UsersController;
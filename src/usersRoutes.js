@@ -0,0 +1,17 @@
+const express = require('express');
+const UsersController = require('./usersController');
+const { authorize } = require('./auth');
+const { validateBody } = require('./validation');
+
+const router = express.Router();
+
+router.use(authorize('users:manage'));
+
+router.get('/', UsersController.getAll);
+router.get('/:id', UsersController.getById);
+router.post('/', validateBody('UserCreate'), UsersController.create);
+router.put('/:id', validateBody('UserUpdate'), UsersController.update);
+router.patch('/:id', validateBody('UserUpdate'), UsersController.update);
+router.delete('/:id', UsersController.delete);
+
+module.exports = router;
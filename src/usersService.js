@@ -0,0 +1,306 @@
+const crypto = require("crypto");
+const { storage: defaultStorage } = require("./storage");
+const config = require("./config");
+const { assertValid } = require("./validation");
+const { AuthenticationError, NotFoundError, ValidationError } = require("./errors");
+
+// Custom error classes
+class UserNotFoundError extends NotFoundError {
+  constructor(id) {
+    super(`User with id ${id} not found`);
+  }
+}
+
+// What each role may do. Permissions are "<resource>:<read|write|delete>";
+// only admins delete or manage users and webhooks, or change tax rules
+// and exchange rates.
+const ROLE_PERMISSIONS = {
+  admin: [
+    "products:read", "products:write", "products:delete",
+    "orders:read", "orders:write", "orders:delete",
+    "customers:read", "customers:write", "customers:delete",
+    "promotions:read", "promotions:write", "promotions:delete",
+    "taxes:read", "taxes:write", "taxes:delete",
+    "currencies:read", "currencies:write", "currencies:delete",
+    "audit:read",
+    "users:manage",
+    "webhooks:manage",
+  ],
+  catalog_manager: [
+    "products:read", "products:write",
+    "orders:read",
+    "customers:read",
+    "promotions:read", "promotions:write",
+    "taxes:read",
+    "currencies:read",
+    "audit:read",
+  ],
+  order_clerk: [
+    "products:read",
+    "orders:read", "orders:write",
+    "customers:read", "customers:write",
+    "promotions:read",
+    "taxes:read",
+    "currencies:read",
+    "audit:read",
+  ],
+  read_only: [
+    "products:read",
+    "orders:read",
+    "customers:read",
+    "promotions:read",
+    "taxes:read",
+    "currencies:read",
+    "audit:read",
+  ],
+};
+
+// scrypt parameters for password hashes stored as "scrypt$<salt>$<hash>"
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked when a login names no known user, so that the answer takes as
+// long as for a wrong password and does not reveal which usernames exist
+const UNKNOWN_USER_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+// Sessions are looked up by a hash of the token so a leaked data file does
+// not leak usable tokens
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+class UsersService {
+  constructor(storage = defaultStorage, authConfig = config.auth) {
+    this.storage = storage;
+    this.authConfig = authConfig;
+    this._load();
+  }
+
+  // Restore state from storage, creating the first admin on first run
+  _load() {
+    const saved = this.storage.load("users");
+    if (saved) {
+      this.users = saved.users;
+      // Never hand out an id that is already taken, even if nextId was lost
+      const maxId = this.users.reduce((max, u) => Math.max(max, u.id), 0);
+      this.nextId = Math.max(saved.nextId || 1, maxId + 1);
+      this.sessions = saved.sessions || [];
+      return;
+    }
+    this.users = [];
+    this.nextId = 1;
+    this.sessions = [];
+    this._seedAdmin();
+  }
+
+  // Write the current state to storage
+  _persist() {
+    this.storage.save("users", {
+      users: this.users,
+      nextId: this.nextId,
+      sessions: this.sessions,
+    });
+  }
+
+  _seedAdmin() {
+    let password = this.authConfig.adminPassword;
+    if (!password) {
+      password = crypto.randomBytes(12).toString("base64url");
+      console.log(
+        `Created admin user "${this.authConfig.adminUsername}" with password: ${password}`
+      );
+    }
+    this.create({
+      username: this.authConfig.adminUsername,
+      password,
+      role: "admin",
+    });
+  }
+
+  // User without the password hash, safe to return from the API
+  toPublic(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  // Permissions granted to a user's role
+  getPermissions(user) {
+    return ROLE_PERMISSIONS[user.role] || [];
+  }
+
+  hasPermission(user, permission) {
+    return this.getPermissions(user).includes(permission);
+  }
+
+  getAll() {
+    return this.users.map((user) => this.toPublic(user));
+  }
+
+  getById(id) {
+    const userId = Number(id);
+    if (Number.isNaN(userId)) {
+      throw new ValidationError(`Invalid id: ${id}`);
+    }
+    const user = this.users.find((u) => u.id === userId);
+    if (!user) {
+      throw new UserNotFoundError(userId);
+    }
+    return user;
+  }
+
+  // Create new user with validation
+  create(data) {
+    assertValid("UserCreate", data);
+    const { username, password } = data;
+    const role = data.role || "read_only";
+
+    const duplicate = this.users.find(
+      (u) => u.username.toLowerCase() === username.toLowerCase()
+    );
+    if (duplicate) {
+      throw new ValidationError(`User "${username}" already exists`);
+    }
+
+    const user = {
+      id: this.nextId++,
+      username,
+      passwordHash: hashPassword(password),
+      role,
+      status: "active",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.users.push(user);
+    this._persist();
+    return this.toPublic(user);
+  }
+
+  // Update role, status or password. Usernames are fixed because audit
+  // entries refer to users by id.
+  update(id, updates) {
+    const user = this.getById(id);
+    assertValid("UserUpdate", updates);
+    const next = { ...user };
+
+    if (updates.username !== undefined && updates.username !== user.username) {
+      throw new ValidationError("Username cannot be changed");
+    }
+    if (updates.role !== undefined) {
+      next.role = updates.role;
+    }
+    if (updates.status !== undefined) {
+      next.status = updates.status;
+    }
+    if (updates.password !== undefined) {
+      next.passwordHash = hashPassword(updates.password);
+    }
+
+    this._assertAdminRemains(user, next);
+    Object.assign(user, next);
+    user.updatedAt = new Date().toISOString();
+
+    // A new password or a disabled account ends existing sessions
+    if (updates.password !== undefined || user.status !== "active") {
+      this.sessions = this.sessions.filter((s) => s.userId !== user.id);
+    }
+    this._persist();
+    return this.toPublic(user);
+  }
+
+  // Delete user (throws error if not found)
+  delete(id) {
+    const user = this.getById(id);
+    this._assertAdminRemains(user, null);
+    this.users = this.users.filter((u) => u.id !== user.id);
+    this.sessions = this.sessions.filter((s) => s.userId !== user.id);
+    this._persist();
+    return { success: true, deletedId: user.id };
+  }
+
+  // Refuse changes that would leave no active admin to manage users
+  _assertAdminRemains(user, next) {
+    const isActiveAdmin = (u) => u && u.role === "admin" && u.status === "active";
+    if (!isActiveAdmin(user) || isActiveAdmin(next)) {
+      return;
+    }
+    const otherAdmins = this.users.filter((u) => u.id !== user.id && isActiveAdmin(u));
+    if (otherAdmins.length === 0) {
+      throw new ValidationError("At least one active admin must remain");
+    }
+  }
+
+  // Check credentials and open a session. Returns the bearer token.
+  login(username, password) {
+    const user = this.users.find(
+      (u) => typeof username === "string" && u.username.toLowerCase() === username.toLowerCase()
+    );
+    if (
+      typeof password !== "string" ||
+      !verifyPassword(password, user ? user.passwordHash : UNKNOWN_USER_HASH) ||
+      !user ||
+      user.status !== "active"
+    ) {
+      throw new AuthenticationError("Invalid username or password");
+    }
+
+    const now = Date.now();
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(
+      now + this.authConfig.sessionTtlHours * 60 * 60 * 1000
+    ).toISOString();
+
+    // Drop expired sessions while we are here
+    this.sessions = this.sessions.filter((s) => new Date(s.expiresAt).getTime() > now);
+    this.sessions.push({
+      tokenHash: hashToken(token),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt,
+    });
+    this._persist();
+
+    return { token, expiresAt, user: this.toPublic(user) };
+  }
+
+  // User for a bearer token; throws AuthenticationError if it is unknown or expired
+  authenticate(token) {
+    if (!token) {
+      throw new AuthenticationError();
+    }
+    const tokenHash = hashToken(token);
+    const session = this.sessions.find((s) => s.tokenHash === tokenHash);
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) {
+      throw new AuthenticationError("Session is invalid or has expired");
+    }
+    const user = this.users.find((u) => u.id === session.userId);
+    if (!user || user.status !== "active") {
+      throw new AuthenticationError("Session is invalid or has expired");
+    }
+    return this.toPublic(user);
+  }
+
+  // End the session for a token
+  logout(token) {
+    const tokenHash = hashToken(token);
+    this.sessions = this.sessions.filter((s) => s.tokenHash !== tokenHash);
+    this._persist();
+  }
+}
+
+module.exports = new UsersService();
@@ -0,0 +1,260 @@
+// Validation against the declarative schemas in schemas.js.
+//
+// Supports the subset of JSON Schema the schemas use: type (with nullable),
+// enum, minLength/maxLength/pattern, format (email, uri, date-time),
+// minimum/maximum, items/minItems/maxItems, required/properties,
+// additionalProperties (as a schema)/minProperties, allOf, anyOf/oneOf and
+// $ref. Properties a schema does not list are ignored unless it gives
+// additionalProperties.
+//
+// Every problem is reported as { field, message }, with the field written
+// as a path such as "items[0].quantity". A schema may carry "x-message" to
+// replace the generic message for its pattern or anyOf.
+
+const { schemas } = require("./schemas");
+const { ValidationError } = require("./errors");
+
+const TYPE_MESSAGES = {
+  string: "must be a string",
+  number: "must be a number",
+  integer: "must be an integer",
+  boolean: "must be true or false",
+  array: "must be an array",
+  object: "must be an object",
+};
+
+const FORMATS = {
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()),
+    message: "must be a valid email address",
+  },
+  uri: {
+    test: (value) => {
+      try {
+        new URL(value);
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+    message: "must be an absolute URL",
+  },
+  "date-time": {
+    test: (value) => !Number.isNaN(Date.parse(value)),
+    message: "must be a date-time",
+  },
+};
+
+function resolve(schema) {
+  if (typeof schema === "string") {
+    return resolve({ $ref: `#/components/schemas/${schema}` });
+  }
+  if (schema.$ref) {
+    const name = schema.$ref.split("/").pop();
+    if (!schemas[name]) {
+      throw new Error(`Unknown schema: ${schema.$ref}`);
+    }
+    return schemas[name];
+  }
+  return schema;
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+// Text from CSV and query strings becomes a number or boolean where the
+// schema asks for one; anything that does not convert is left for the type
+// check to reject
+function coerce(type, value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    return value;
+  }
+  if (type === "number" || type === "integer") {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+// Check `value` against `schema`, pushing problems onto `errors`. Returns
+// the value, converted when coercing.
+function check(schema, value, path, errors, options) {
+  const rule = resolve(schema);
+  const label = path || options.root;
+  const fail = (message) => errors.push({ field: label, message });
+
+  if (value === null) {
+    if (rule.nullable || !rule.type) {
+      return value;
+    }
+    fail(TYPE_MESSAGES[rule.type]);
+    return value;
+  }
+
+  if (rule.type && options.coerce) {
+    value = coerce(rule.type, value);
+  }
+  if (rule.type && !matchesType(rule.type, value)) {
+    fail(TYPE_MESSAGES[rule.type]);
+    return value;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail(`must be one of: ${rule.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail(`must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      fail(`cannot exceed ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      fail(rule["x-message"] || `must match ${rule.pattern}`);
+    }
+    const format = FORMATS[rule.format];
+    if (format && !format.test(value)) {
+      fail(format.message);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rule.minimum !== undefined && value < rule.minimum) {
+      fail(`must be at least ${rule.minimum}`);
+    }
+    if (rule.maximum !== undefined && value > rule.maximum) {
+      fail(`cannot exceed ${rule.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      fail(`must contain at least ${rule.minItems} item${rule.minItems === 1 ? "" : "s"}`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      fail(`cannot contain more than ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      value = value.map((item, index) =>
+        check(rule.items, item, childPath(path, index), errors, options)
+      );
+    }
+  }
+
+  if (matchesType("object", value)) {
+    for (const key of rule.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: childPath(path, key), message: "is required" });
+      }
+    }
+    if (rule.minProperties !== undefined && Object.keys(value).length < rule.minProperties) {
+      const entries = rule.minProperties === 1 ? "entry" : "entries";
+      fail(`must have at least ${rule.minProperties} ${entries}`);
+    }
+    const properties = rule.properties || {};
+    const additional = typeof rule.additionalProperties === "object" ? rule.additionalProperties : null;
+    if (rule.properties || additional) {
+      const result = { ...value };
+      for (const [key, property] of Object.entries(properties)) {
+        if (value[key] !== undefined) {
+          result[key] = check(property, value[key], childPath(path, key), errors, options);
+        }
+      }
+      if (additional) {
+        for (const [key, entry] of Object.entries(value)) {
+          if (!Object.hasOwn(properties, key) && entry !== undefined) {
+            result[key] = check(additional, entry, childPath(path, key), errors, options);
+          }
+        }
+      }
+      value = result;
+    }
+  }
+
+  for (const part of rule.allOf || []) {
+    value = check(part, value, path, errors, options);
+  }
+
+  const alternatives = rule.anyOf || rule.oneOf;
+  if (alternatives) {
+    const attempts = alternatives.map((alternative) => {
+      const found = [];
+      const result = check(alternative, value, path, found, options);
+      return { result, found };
+    });
+    const match = attempts.find((attempt) => attempt.found.length === 0);
+    if (match) {
+      value = match.result;
+    } else if (rule["x-message"]) {
+      fail(rule["x-message"]);
+    } else {
+      errors.push(...attempts[0].found);
+    }
+  }
+
+  return value;
+}
+
+// Validate a value against a schema (or the name of one in schemas.js).
+// Options: coerce converts numeric and boolean text, root names the value
+// itself in error fields (default "body").
+function validate(schema, value, { coerce: shouldCoerce = false, root = "body" } = {}) {
+  const errors = [];
+  const result = check(schema, value, "", errors, { coerce: shouldCoerce, root });
+  return { value: result, errors };
+}
+
+// Validate or throw a ValidationError listing every problem
+function assertValid(schema, value, options) {
+  const { value: result, errors } = validate(schema, value, options);
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
+  return result;
+}
+
+// Route middleware rejecting a request body that does not match the named
+// schema with a ValidationError listing the fields. The schema name is kept
+// on the middleware so the OpenAPI document can describe the route.
+function validateBody(name) {
+  resolve(name);
+  const middleware = (req, res, next) => {
+    const { errors } = validate(name, req.body);
+    next(errors.length > 0 ? new ValidationError("Validation failed", errors) : undefined);
+  };
+  middleware.bodySchema = name;
+  return middleware;
+}
+
+module.exports = {
+  assertValid,
+  validate,
+  validateBody,
+};
@@ -0,0 +1,65 @@
+const webhooksService = require('./webhooksService');
+const { EVENT_TYPES } = require('./events');
+const { BY_ID_DESC, sendPage } = require('./pagination');
+
+const WebhooksController = {
+  getEventTypes(req, res) {
+    res.json(EVENT_TYPES);
+  },
+
+  getAll(req, res) {
+    const webhooks = webhooksService.getAll();
+    sendPage(req, res, webhooks);
+  },
+
+  getById(req, res) {
+    const { id } = req.params;
+    const webhook = webhooksService.getById(id);
+    res.json(webhook);
+  },
+
+  create(req, res) {
+    const { url, events, description, active, secret } = req.body;
+    const webhook = webhooksService.create({ url, events, description, active, secret });
+    res.status(201).json(webhook);
+  },
+
+  update(req, res) {
+    const { id } = req.params;
+    const updates = req.body;
+    const webhook = webhooksService.update(id, updates);
+    res.json(webhook);
+  },
+
+  delete(req, res) {
+    const id = Number(req.params.id);
+    webhooksService.delete(id);
+    res.status(204).send();
+  },
+
+  ping(req, res) {
+    const { id } = req.params;
+    const delivery = webhooksService.ping(id);
+    res.status(202).json(delivery);
+  },
+
+  getDeliveries(req, res) {
+    const { webhookId, status, eventType } = req.query;
+    const deliveries = webhooksService.getDeliveries({ webhookId, status, eventType });
+    sendPage(req, res, deliveries, BY_ID_DESC);
+  },
+
+  getDelivery(req, res) {
+    const { id } = req.params;
+    const delivery = webhooksService.getDelivery(id);
+    res.json(delivery);
+  },
+
+  redeliver(req, res) {
+    const { id } = req.params;
+    const delivery = webhooksService.redeliver(id);
+    res.status(202).json(delivery);
+  },
+};
+
+module.exports = WebhooksController;
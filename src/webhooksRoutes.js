@@ -0,0 +1,22 @@
+const express = require('express');
+const WebhooksController = require('./webhooksController');
+const { authorize } = require('./auth');
+const { validateBody } = require('./validation');
+
+const router = express.Router();
+
+router.use(authorize('webhooks:manage'));
+
+router.get('/events', WebhooksController.getEventTypes);
+router.get('/deliveries', WebhooksController.getDeliveries);
+router.get('/deliveries/:id', WebhooksController.getDelivery);
+router.post('/deliveries/:id/redeliver', WebhooksController.redeliver);
+router.get('/', WebhooksController.getAll);
+router.get('/:id', WebhooksController.getById);
+router.post('/', validateBody('WebhookCreate'), WebhooksController.create);
+router.put('/:id', validateBody('WebhookUpdate'), WebhooksController.update);
+router.patch('/:id', validateBody('WebhookUpdate'), WebhooksController.update);
+router.delete('/:id', WebhooksController.delete);
+router.post('/:id/ping', WebhooksController.ping);
+
+module.exports = router;
@@ -0,0 +1,378 @@
+const crypto = require("crypto");
+const { storage: defaultStorage } = require("./storage");
+const { events: defaultEvents } = require("./events");
+const config = require("./config");
+const { assertValid } = require("./validation");
+const { NotFoundError, ValidationError } = require("./errors");
+
+// Custom error classes
+class WebhookNotFoundError extends NotFoundError {
+  constructor(id) {
+    super(`Webhook with id ${id} not found`);
+  }
+}
+
+class DeliveryNotFoundError extends NotFoundError {
+  constructor(id) {
+    super(`Delivery with id ${id} not found`);
+  }
+}
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+// Deliveries kept in the log; the oldest finished ones are dropped first
+const MAX_DELIVERIES = 1000;
+
+// Signature over "<timestamp>.<body>", sent as "sha256=<hex>"
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+class WebhooksService {
+  constructor(
+    storage = defaultStorage,
+    events = defaultEvents,
+    webhookConfig = config.webhooks
+  ) {
+    this.storage = storage;
+    this.config = webhookConfig;
+    // Retry timers by delivery id
+    this.timers = new Map();
+    this._load();
+    events.on("event", (event) => this._handleEvent(event));
+  }
+
+  // Restore state from storage and resume deliveries cut off by a restart
+  _load() {
+    const saved = this.storage.load("webhooks");
+    if (saved) {
+      this.subscriptions = saved.subscriptions;
+      this.deliveries = saved.deliveries || [];
+      // Never hand out an id that is already taken, even if a counter was lost
+      const maxId = this.subscriptions.reduce((max, s) => Math.max(max, s.id), 0);
+      this.nextId = Math.max(saved.nextId || 1, maxId + 1);
+      const maxDeliveryId = this.deliveries.reduce((max, d) => Math.max(max, d.id), 0);
+      this.nextDeliveryId = Math.max(saved.nextDeliveryId || 1, maxDeliveryId + 1);
+      for (const delivery of this.deliveries) {
+        if (delivery.status === "pending") {
+          this._schedule(delivery);
+        }
+      }
+      return;
+    }
+    this.subscriptions = [];
+    this.deliveries = [];
+    this.nextId = 1;
+    this.nextDeliveryId = 1;
+    this._persist();
+  }
+
+  // Write the current state to storage
+  _persist() {
+    this.storage.save("webhooks", {
+      subscriptions: this.subscriptions,
+      nextId: this.nextId,
+      deliveries: this.deliveries,
+      nextDeliveryId: this.nextDeliveryId,
+    });
+  }
+
+  // Subscription without its signing secret, safe to list
+  toPublic(subscription) {
+    const { secret, ...publicSubscription } = subscription;
+    return publicSubscription;
+  }
+
+  // Deliveries are plain HTTP requests, so only http and https URLs are
+  // accepted. The schema has already checked that the URL parses.
+  _cleanUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw new ValidationError("Validation failed", [
+        { field: "url", message: "must be an http or https URL" },
+      ]);
+    }
+    return parsed.toString();
+  }
+
+  getAll() {
+    return this.subscriptions.map((subscription) => this.toPublic(subscription));
+  }
+
+  _find(id) {
+    const subscriptionId = Number(id);
+    if (Number.isNaN(subscriptionId)) {
+      throw new ValidationError(`Invalid id: ${id}`);
+    }
+    const subscription = this.subscriptions.find((s) => s.id === subscriptionId);
+    if (!subscription) {
+      throw new WebhookNotFoundError(subscriptionId);
+    }
+    return subscription;
+  }
+
+  getById(id) {
+    return this.toPublic(this._find(id));
+  }
+
+  // Create a subscription. The secret (generated unless given) is only
+  // returned here and when it is changed.
+  create(data) {
+    assertValid("WebhookCreate", data);
+    const subscription = {
+      id: null,
+      url: this._cleanUrl(data.url),
+      events: [...new Set(data.events)],
+      description: data.description ? data.description : null,
+      active: data.active !== undefined ? data.active : true,
+      secret: data.secret !== undefined ? data.secret : crypto.randomBytes(24).toString("hex"),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    subscription.id = this.nextId++;
+
+    this.subscriptions.push(subscription);
+    this._persist();
+    return { ...this.toPublic(subscription), secret: subscription.secret };
+  }
+
+  // Update a subscription. All fields are validated before any is applied.
+  update(id, updates) {
+    const subscription = this._find(id);
+    assertValid("WebhookUpdate", updates);
+    const next = { ...subscription };
+
+    if (updates.url !== undefined) {
+      next.url = this._cleanUrl(updates.url);
+    }
+    if (updates.events !== undefined) {
+      next.events = [...new Set(updates.events)];
+    }
+    if (updates.description !== undefined) {
+      next.description = updates.description ? updates.description : null;
+    }
+    if (updates.active !== undefined) {
+      next.active = updates.active;
+    }
+    if (updates.secret !== undefined) {
+      next.secret = updates.secret;
+    }
+
+    Object.assign(subscription, next);
+    subscription.updatedAt = new Date().toISOString();
+    this._persist();
+
+    const result = this.toPublic(subscription);
+    return updates.secret !== undefined ? { ...result, secret: subscription.secret } : result;
+  }
+
+  // Delete a subscription; its pending deliveries are given up
+  delete(id) {
+    const subscription = this._find(id);
+    for (const delivery of this.deliveries) {
+      if (delivery.webhookId === subscription.id && delivery.status === "pending") {
+        this._cancel(delivery, "Webhook was deleted");
+      }
+    }
+    this.subscriptions = this.subscriptions.filter((s) => s.id !== subscription.id);
+    this._persist();
+    return { success: true, deletedId: subscription.id };
+  }
+
+  // Send a "ping" event to one subscription to check the receiver
+  ping(id) {
+    const subscription = this._find(id);
+    const delivery = this._enqueue(subscription, {
+      id: crypto.randomUUID(),
+      type: "ping",
+      createdAt: new Date().toISOString(),
+      data: { webhookId: subscription.id },
+    });
+    this._persist();
+    return delivery;
+  }
+
+  // Deliveries, newest first, filtered by webhookId, status and eventType
+  getDeliveries(filters = {}) {
+    let deliveries = [...this.deliveries];
+    if (filters.webhookId !== undefined && filters.webhookId !== "") {
+      const webhookId = Number(filters.webhookId);
+      if (Number.isNaN(webhookId)) {
+        throw new ValidationError(`Invalid webhookId: ${filters.webhookId}`);
+      }
+      deliveries = deliveries.filter((d) => d.webhookId === webhookId);
+    }
+    if (filters.status) {
+      if (!DELIVERY_STATUSES.includes(filters.status)) {
+        throw new ValidationError(
+          `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(", ")}`
+        );
+      }
+      deliveries = deliveries.filter((d) => d.status === filters.status);
+    }
+    if (filters.eventType) {
+      deliveries = deliveries.filter((d) => d.event.type === filters.eventType);
+    }
+    return deliveries.sort((a, b) => b.id - a.id);
+  }
+
+  getDelivery(id) {
+    const deliveryId = Number(id);
+    if (Number.isNaN(deliveryId)) {
+      throw new ValidationError(`Invalid id: ${id}`);
+    }
+    const delivery = this.deliveries.find((d) => d.id === deliveryId);
+    if (!delivery) {
+      throw new DeliveryNotFoundError(deliveryId);
+    }
+    return delivery;
+  }
+
+  // Send a delivery's event again as a new delivery to the current URL
+  redeliver(id) {
+    const original = this.getDelivery(id);
+    const subscription = this._find(original.webhookId);
+    const delivery = this._enqueue(subscription, original.event, original.id);
+    this._persist();
+    return delivery;
+  }
+
+  // Queue deliveries for every active subscription interested in the event
+  _handleEvent(event) {
+    const subscriptions = this.subscriptions.filter(
+      (s) => s.active && (s.events.includes("*") || s.events.includes(event.type))
+    );
+    if (subscriptions.length === 0) {
+      return;
+    }
+    for (const subscription of subscriptions) {
+      this._enqueue(subscription, event);
+    }
+    this._persist();
+  }
+
+  _enqueue(subscription, event, redeliveryOf = null) {
+    const delivery = {
+      id: this.nextDeliveryId++,
+      webhookId: subscription.id,
+      event,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      redeliveryOf,
+      // Why the delivery was given up without another attempt, if it was
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+    };
+    this.deliveries.push(delivery);
+
+    while (this.deliveries.length > MAX_DELIVERIES) {
+      const index = this.deliveries.findIndex((d) => d.status !== "pending");
+      if (index === -1) {
+        break;
+      }
+      this.deliveries.splice(index, 1);
+    }
+
+    this._schedule(delivery);
+    return delivery;
+  }
+
+  _schedule(delivery) {
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this._attempt(delivery).catch((err) => {
+        console.error(`Webhook delivery ${delivery.id} failed unexpectedly:`, err);
+      });
+    }, delay);
+    // Pending retries should not keep the process alive on shutdown
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  _cancel(delivery, error) {
+    clearTimeout(this.timers.get(delivery.id));
+    this.timers.delete(delivery.id);
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = new Date().toISOString();
+    delivery.error = error;
+  }
+
+  // POST the event to the receiver once; retry with exponential backoff
+  // until it answers 2xx or the attempts run out
+  async _attempt(delivery) {
+    if (delivery.status !== "pending") {
+      return;
+    }
+    const subscription = this.subscriptions.find((s) => s.id === delivery.webhookId);
+    if (!subscription) {
+      this._cancel(delivery, "Webhook was deleted");
+      this._persist();
+      return;
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = {
+      attemptedAt: new Date().toISOString(),
+      url: subscription.url,
+      statusCode: null,
+      error: null,
+      durationMs: 0,
+    };
+    const started = Date.now();
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "mini-app-webhooks",
+          "X-Webhook-Event": delivery.event.type,
+          "X-Webhook-Delivery": String(delivery.id),
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${sign(subscription.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.config.timeoutMs),
+      });
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        attempt.error = `Receiver responded with status ${response.status}`;
+      }
+      // The response body is not used
+      await response.arrayBuffer().catch(() => {});
+    } catch (err) {
+      attempt.error =
+        err.name === "TimeoutError"
+          ? `No response within ${this.config.timeoutMs} ms`
+          : (err.cause && err.cause.message) || err.message;
+    }
+    attempt.durationMs = Date.now() - started;
+
+    // The delivery may have been given up while the request was in flight
+    if (delivery.status !== "pending") {
+      return;
+    }
+    delivery.attempts.push(attempt);
+    if (!attempt.error) {
+      delivery.status = "succeeded";
+      delivery.nextAttemptAt = null;
+      delivery.completedAt = new Date().toISOString();
+    } else if (delivery.attempts.length >= this.config.maxAttempts) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      delivery.completedAt = new Date().toISOString();
+    } else {
+      const delay = this.config.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this._schedule(delivery);
+    }
+    this._persist();
+  }
+}
+
+module.exports = new WebhooksService();
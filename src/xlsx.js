@@ -0,0 +1,253 @@
+// Streaming writer for single-sheet .xlsx workbooks. An .xlsx file is a zip
+// archive of XML parts; the worksheet part is deflated while rows are
+// generated, so large exports never sit in memory as a whole.
+
+const zlib = require("zlib");
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Date and time in the MS-DOS format used by zip headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// General purpose flags: bit 3 = sizes follow the data, bit 11 = UTF-8 names
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_DEFLATE = 8;
+
+// Minimal zip archive writer. `write` sends a Buffer downstream and
+// resolves once it may be called again.
+class ZipWriter {
+  constructor(write) {
+    this.write = write;
+    this.offset = 0;
+    this.entries = [];
+    this.modified = dosDateTime(new Date());
+  }
+
+  async _write(buffer) {
+    this.offset += buffer.length;
+    await this.write(buffer);
+  }
+
+  _localHeader(entry) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed to extract
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(METHOD_DEFLATE, 8);
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.name.length, 26);
+    header.writeUInt16LE(0, 28); // extra field length
+    return Buffer.concat([header, entry.name]);
+  }
+
+  // Add a small entry whose content is known up front
+  async addFile(name, content) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const entry = {
+      name: Buffer.from(name),
+      flags: FLAG_UTF8,
+      offset: this.offset,
+      crc: crc32(data),
+      size: data.length,
+      compressedSize: compressed.length,
+    };
+    this.entries.push(entry);
+    await this._write(this._localHeader(entry));
+    await this._write(compressed);
+  }
+
+  // Add an entry from an (async) iterable of strings, compressing as it goes.
+  // Sizes and checksum are written after the data in a data descriptor.
+  async addStream(name, chunks) {
+    const entry = {
+      name: Buffer.from(name),
+      flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR,
+      offset: this.offset,
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+    };
+    this.entries.push(entry);
+    await this._write(this._localHeader(entry));
+
+    const deflate = zlib.createDeflateRaw();
+    const pump = (async () => {
+      for await (const compressed of deflate) {
+        entry.compressedSize += compressed.length;
+        await this._write(compressed);
+      }
+    })();
+    try {
+      for await (const chunk of chunks) {
+        const data = Buffer.from(chunk);
+        entry.crc = crc32(data, entry.crc);
+        entry.size += data.length;
+        if (!deflate.write(data)) {
+          await new Promise((resolve) => deflate.once("drain", resolve));
+        }
+      }
+      deflate.end();
+    } catch (err) {
+      deflate.destroy(err);
+    }
+    await pump;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this._write(descriptor);
+  }
+
+  // Write the central directory that indexes every entry
+  async finish() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed to extract
+      header.writeUInt16LE(entry.flags, 8);
+      header.writeUInt16LE(METHOD_DEFLATE, 10);
+      header.writeUInt16LE(this.modified.time, 12);
+      header.writeUInt16LE(this.modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      // extra field, comment, disk number and attributes stay zero
+      header.writeUInt32LE(entry.offset, 42);
+      await this._write(Buffer.concat([header, entry.name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this._write(end);
+  }
+}
+
+// Text as XML character data, dropping characters XML cannot represent
+function escapeXml(value) {
+  return String(value)
+    .replace(/[^\x09\x0a\x0d\x20-\ud7ff\ue000-\ufffd\u{10000}-\u{10ffff}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function rowXml(values, rowNumber) {
+  const cells = values
+    .map((value, index) => cellXml(value, `${columnName(index)}${rowNumber}`))
+    .join("");
+  return `<row r="${rowNumber}">${cells}</row>`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const DOC_REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+async function* sheetXml(headers, rows) {
+  yield `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>`;
+  yield rowXml(headers, 1);
+  let rowNumber = 2;
+  for await (const values of rows) {
+    yield rowXml(values, rowNumber++);
+  }
+  yield "</sheetData></worksheet>";
+}
+
+// Write a workbook with one sheet: a header row followed by `rows`, an
+// (async) iterable of cell value arrays. Numbers and booleans keep their
+// type; everything else is written as text.
+async function writeXlsx(write, { sheetName = "Sheet1", headers, rows }) {
+  const zip = new ZipWriter(write);
+
+  await zip.addFile(
+    "[Content_Types].xml",
+    `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      "</Types>"
+  );
+  await zip.addFile(
+    "_rels/.rels",
+    `${XML_HEADER}<Relationships xmlns="${REL_NS}">` +
+      `<Relationship Id="rId1" Type="${DOC_REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      "</Relationships>"
+  );
+  await zip.addFile(
+    "xl/workbook.xml",
+    `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${DOC_REL_NS}"><sheets>` +
+      // Sheet names are limited to 31 characters
+      `<sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/>` +
+      "</sheets></workbook>"
+  );
+  await zip.addFile(
+    "xl/_rels/workbook.xml.rels",
+    `${XML_HEADER}<Relationships xmlns="${REL_NS}">` +
+      `<Relationship Id="rId1" Type="${DOC_REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      "</Relationships>"
+  );
+  await zip.addStream("xl/worksheets/sheet1.xml", sheetXml(headers, rows));
+  await zip.finish();
+}
+
+module.exports = {
+  writeXlsx,
+};
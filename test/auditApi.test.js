@@ -0,0 +1,52 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const AuditLog = require("../src/auditLog");
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("an order's history is served with filters, even after it is deleted", async () => {
+  const { body: order } = await api.request("POST", "/api/orders", {
+    body: { customerName: "Carol White", items: [{ productId: 2, quantity: 1 }] },
+  });
+  await api.request("POST", `/api/orders/${order.id}/process`, { body: { reason: "paid" } });
+  await api.request("DELETE", `/api/orders/${order.id}`);
+
+  const history = await api.request("GET", `/api/orders/${order.id}/history`);
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.map((entry) => entry.action), ["delete", "status_change", "create"]);
+  assert.ok(history.body.every((entry) => entry.userId === 1));
+
+  const changes = await api.request("GET", `/api/orders/${order.id}/history?action=status_change`);
+  assert.equal(changes.body.length, 1);
+  assert.equal(changes.body[0].details.reason, "paid");
+});
+
+test("the audit list is paginated and refuses bad filters", async () => {
+  const first = await api.request("GET", "/api/audit?resource=orders&limit=1");
+  assert.equal(first.status, 200);
+  assert.equal(first.body.length, 1);
+  assert.ok(Number(first.headers.get("x-total-count")) > 1);
+
+  const second = await api.request(
+    "GET",
+    `/api/audit?resource=orders&limit=1&cursor=${first.headers.get("x-next-cursor")}`
+  );
+  assert.ok(second.body[0].id < first.body[0].id);
+
+  assert.equal((await api.request("GET", "/api/audit?resource=users")).status, 400);
+  assert.equal((await api.request("GET", "/api/audit?startDate=soon")).status, 400);
+});
+
+test("the audit log keeps its most recent entries", () => {
+  const log = new AuditLog("orderId");
+  for (let i = 0; i < 10005; i++) {
+    log.record("update", 1, {});
+  }
+  assert.equal(log.entries.length, 10000);
+  assert.equal(log.entries[0].id, 6);
+});
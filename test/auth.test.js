@@ -0,0 +1,103 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { startServer } = require("./helpers");
+const { MemoryStorage } = require("../src/storage");
+const UsersService = require("../src/usersService").constructor;
+
+function createUsers() {
+  return new UsersService(new MemoryStorage(), {
+    sessionTtlHours: 1,
+    adminUsername: "admin",
+    adminPassword: "admin-password",
+  });
+}
+
+test("the first admin is created from the configuration", () => {
+  const users = createUsers();
+  const { token, user } = users.login("ADMIN", "admin-password");
+  assert.equal(user.role, "admin");
+  assert.equal(user.passwordHash, undefined);
+  assert.equal(users.authenticate(token).id, user.id);
+});
+
+test("a failed login does not say which part was wrong", () => {
+  const users = createUsers();
+  users.create({ username: "clerk", password: "clerk-password", role: "order_clerk" });
+  for (const [username, password] of [
+    ["clerk", "wrong-password"],
+    ["nobody", "clerk-password"],
+    ["clerk", undefined],
+  ]) {
+    assert.throws(() => users.login(username, password), {
+      statusCode: 401,
+      message: "Invalid username or password",
+    });
+  }
+});
+
+test("sessions end on logout, a new password, a disabled account or expiry", () => {
+  const users = createUsers();
+  const clerk = users.create({ username: "clerk", password: "clerk-password" });
+  const session = () => users.login("clerk", "clerk-password").token;
+
+  let token = session();
+  users.logout(token);
+  assert.throws(() => users.authenticate(token), { statusCode: 401 });
+
+  token = session();
+  users.update(clerk.id, { password: "new-password" });
+  assert.throws(() => users.authenticate(token), { statusCode: 401 });
+
+  token = users.login("clerk", "new-password").token;
+  users.sessions[users.sessions.length - 1].expiresAt = new Date(Date.now() - 1).toISOString();
+  assert.throws(() => users.authenticate(token), { statusCode: 401 });
+
+  users.update(clerk.id, { status: "disabled" });
+  assert.throws(() => users.login("clerk", "new-password"), { statusCode: 401 });
+});
+
+test("the last active admin cannot be removed or demoted", () => {
+  const users = createUsers();
+  assert.throws(() => users.update(1, { role: "read_only" }), {
+    message: "At least one active admin must remain",
+  });
+  assert.throws(() => users.delete(1), { message: "At least one active admin must remain" });
+  users.create({ username: "second", password: "second-password", role: "admin" });
+  assert.equal(users.delete(1).deletedId, 1);
+});
+
+test("an admin password the account would refuse stops startup", () => {
+  const result = spawnSync(process.execPath, ["-e", 'require("./src/config")'], {
+    cwd: path.join(__dirname, ".."),
+    env: { ...process.env, ADMIN_PASSWORD: "short" },
+    encoding: "utf8",
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /ADMIN_PASSWORD must be 8-200 characters long/);
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("the API needs a session and a role that allows the request", async () => {
+  assert.equal((await api.request("GET", "/api/products", { token: null })).status, 401);
+  assert.equal((await api.request("GET", "/api/products", { token: "made-up" })).status, 401);
+
+  await api.request("POST", "/api/users", {
+    body: { username: "viewer", password: "viewer-password" },
+  });
+  const token = await api.login("viewer", "viewer-password");
+  assert.equal((await api.request("GET", "/api/products", { token })).status, 200);
+  const refused = await api.request("POST", "/api/products", {
+    token,
+    body: { name: "Desk Lamp", price: 24.5 },
+  });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.detail, 'Role "read_only" lacks permission "products:write"');
+  assert.equal((await api.request("GET", "/api/users", { token })).status, 403);
+});
@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+
+// The stock figures of a product
+function stockOf(products, id) {
+  const { stock, onHand, reserved } = products.getById(id);
+  return { stock, onHand, reserved };
+}
+
+// Record the types of the events `events` emits
+function published(events) {
+  const types = [];
+  events.on("event", (event) => types.push(event.type));
+  return types;
+}
+
+const operations = [
+  { op: "create", data: { name: "Desk Lamp", price: 24.5 } },
+  { op: "update", id: 2, data: { price: 44.99 } },
+  { op: "delete", id: 99 },
+];
+
+test("an atomic batch is undone by its first failure", () => {
+  const { products, events, storage } = createServices();
+  const types = published(events);
+
+  assert.throws(() => products.bulk(operations), (err) => {
+    assert.equal(err.statusCode, 404);
+    assert.equal(err.details.operationIndex, 2);
+    assert.match(err.message, /^Operation 2 failed: .*; no changes were made$/);
+    return true;
+  });
+  assert.equal(products.getAll().length, 2);
+  assert.equal(products.getById(2).price, 49.99);
+  assert.equal(storage.load("products").products.length, 2);
+  assert.deepEqual(types, []);
+});
+
+test("a best-effort batch keeps what succeeded and reports each result", () => {
+  const { products, events } = createServices();
+  const types = published(events);
+
+  const { mode, summary, results } = products.bulk(operations, { mode: "best-effort" });
+  assert.equal(mode, "best-effort");
+  assert.deepEqual(summary, { total: 3, succeeded: 2, failed: 1 });
+  assert.deepEqual(
+    results.map(({ index, ok, status }) => ({ index, ok, status })),
+    [
+      { index: 0, ok: true, status: 201 },
+      { index: 1, ok: true, status: 200 },
+      { index: 2, ok: false, status: 404 },
+    ]
+  );
+  assert.equal(results[2].error.type, "/problems/not-found");
+  assert.equal(results[0].result.name, "Desk Lamp");
+  assert.equal(products.getById(2).price, 44.99);
+  assert.deepEqual(types, ["product.created", "product.updated"]);
+});
+
+test("moving orders in bulk rolls stock and statuses back together", () => {
+  const { orders, products } = createServices();
+  const order = orders.create({ customerName: "Carol White", items: [{ productId: 2, quantity: 3 }] });
+  const stock = stockOf(products, 2);
+
+  assert.throws(() => orders.setStatus([order.id, 99], "processing"), {
+    statusCode: 404,
+  });
+  assert.equal(orders.getById(order.id).status, "pending");
+  assert.deepEqual(stockOf(products, 2), stock);
+
+  const { summary } = orders.setStatus([order.id, 99], "processing", { mode: "best-effort" });
+  assert.deepEqual(summary, { total: 2, succeeded: 1, failed: 1 });
+  assert.equal(orders.getById(order.id).status, "processing");
+});
+
+test("a repriced category scales every price in it", () => {
+  const { products } = createServices();
+  products.repriceCategory("Appliances", 10);
+  assert.equal(products.getById(2).price, 54.99);
+  assert.equal(products.getById(1).price, 999.99);
+  assert.throws(() => products.repriceCategory("Garden", 10), { statusCode: 404 });
+});
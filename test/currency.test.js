@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+const { toMinor, fromMinor, roundAmount, roundTo, convertMinor } = require("../src/money");
+
+test("amounts are rounded half up in whole minor units", () => {
+  assert.equal(fromMinor(toMinor(0.1, "USD") + toMinor(0.2, "USD"), "USD"), 0.3);
+  assert.equal(toMinor(1.005, "USD"), 101);
+  assert.equal(roundAmount(1.005, "USD"), 1.01);
+  assert.equal(roundAmount(2.675, "EUR"), 2.68);
+  assert.equal(roundTo(8.87549, 4), 8.8755);
+  assert.equal(toMinor(1e-7, "USD"), 0);
+  assert.throws(() => toMinor(1, "XYZ"), { message: "Unsupported currency: XYZ" });
+});
+
+test("currencies without a minor unit are kept whole", () => {
+  assert.equal(toMinor(1234.5, "JPY"), 1235);
+  assert.equal(fromMinor(1235, "JPY"), 1235);
+  // 999.99 USD at 150.5 yen to the dollar
+  assert.equal(convertMinor(99999, "USD", "JPY", 150.5), 150498);
+  assert.equal(convertMinor(150498, "JPY", "USD", 1 / 150.5), 99999);
+});
+
+test("orders in another currency are priced at the current rate", () => {
+  const { exchangeRates, products, orders } = createServices();
+  assert.throws(
+    () => orders.create({ customerName: "Carol White", currency: "EUR", items: [{ productId: 1, quantity: 1 }] }),
+    { statusCode: 400 }
+  );
+  exchangeRates.set("eur", { rate: 0.9 });
+  products.update(2, { prices: { eur: 44.999 } });
+
+  const order = orders.create({
+    customerName: "Carol White",
+    currency: "EUR",
+    items: [
+      { productId: 1, quantity: 1 },
+      { productId: 2, quantity: 1 },
+    ],
+  });
+  assert.equal(order.exchangeRate, 0.9);
+  // The laptop is converted; the coffee maker has a euro price of its own
+  assert.deepEqual(order.items.map((line) => line.unitPrice), [899.99, 45]);
+  assert.equal(order.total, 944.99);
+
+  // Changing the rate leaves the order as it was placed
+  exchangeRates.set("EUR", { rate: 1.2 });
+  assert.equal(orders.getById(order.id).total, 944.99);
+});
+
+test("reports need a rate for the reporting currency", () => {
+  const { orders, exchangeRates } = createServices({ currency: { reporting: "EUR" } });
+  assert.throws(() => orders.getStats(), { statusCode: 409 });
+
+  exchangeRates.set("EUR", { rate: 0.5 });
+  const usd = createServices().orders.getStats();
+  const eur = orders.getStats();
+  assert.equal(eur.currency, "EUR");
+  assert.equal(eur.totalValue, roundAmount(usd.totalValue / 2, "EUR"));
+  assert.throws(() => exchangeRates.delete("EUR"), { statusCode: 409 });
+});
+
+test("REPORTING_RATE is stored only while the currency has no rate", () => {
+  const reporting = { reporting: "EUR", reportingRate: 0.9 };
+  const { storage, exchangeRates } = createServices({ currency: reporting });
+  assert.equal(exchangeRates.rateOf("EUR"), 0.9);
+
+  exchangeRates.set("EUR", { rate: 0.95 });
+  const restarted = createServices({ storage, currency: reporting });
+  assert.equal(restarted.exchangeRates.rateOf("EUR"), 0.95);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices, startServer } = require("./helpers");
+
+test("orders stored with only a name are given customers", () => {
+  const { customers, orders } = createServices();
+  assert.deepEqual(customers.getAll().map((c) => c.name), ["Alice Johnson", "Bob Smith"]);
+  assert.equal(orders.getById(1).customerId, customers.findByName("alice johnson").id);
+});
+
+test("a customer name matches ignoring case and extra whitespace", () => {
+  const { customers, orders } = createServices();
+  const count = customers.getAll().length;
+  const order = orders.create({ customerName: "  ALICE   johnson ", productId: 2, quantity: 1 });
+  assert.equal(order.customerName, "Alice Johnson");
+  assert.equal(customers.getAll().length, count);
+
+  const created = orders.create({ customerName: "Carol  White", productId: 2, quantity: 1 });
+  assert.equal(customers.getById(created.customerId).name, "Carol White");
+});
+
+test("orders can name their customer by id, which must be active", () => {
+  const { customers, orders } = createServices();
+  const customer = customers.create({ name: "Carol White", email: "Carol@Example.com" });
+  assert.equal(customer.email, "carol@example.com");
+  assert.equal(orders.create({ customerId: customer.id, productId: 2, quantity: 1 }).customerName, "Carol White");
+
+  customers.update(customer.id, { status: "inactive" });
+  assert.throws(() => orders.create({ customerId: customer.id, productId: 2, quantity: 1 }), {
+    message: 'Customer "Carol White" is inactive and cannot place orders',
+  });
+  assert.throws(() => orders.create({ customerId: 99, productId: 2, quantity: 1 }), {
+    message: "Customer with id 99 does not exist",
+  });
+});
+
+test("emails are unique", () => {
+  const { customers } = createServices();
+  customers.create({ name: "Carol White", email: "carol@example.com" });
+  assert.throws(() => customers.create({ name: "Carol Black", email: "CAROL@example.com" }), {
+    statusCode: 400,
+  });
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("a customer with orders cannot be deleted", async () => {
+  const alice = await api.request("DELETE", "/api/customers/1");
+  assert.equal(alice.status, 409);
+  const { body: carol } = await api.request("POST", "/api/customers", { body: { name: "Carol White" } });
+  assert.equal((await api.request("DELETE", `/api/customers/${carol.id}`)).status, 204);
+
+  const history = await api.request("GET", "/api/customers/1/orders");
+  assert.deepEqual(history.body.map((order) => order.id), [1]);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { problemFor } = require("../src/errorHandler");
+const { ValidationError } = require("../src/errors");
+
+test("errors map to problem details without leaking internals", () => {
+  assert.deepEqual(problemFor(new ValidationError("Validation failed", [{ field: "name", message: "is required" }])), {
+    type: "/problems/validation-error",
+    title: "Invalid request",
+    status: 400,
+    detail: "Validation failed",
+    errors: [{ field: "name", message: "is required" }],
+  });
+  const unexpected = problemFor(new TypeError("cannot read properties of undefined"));
+  assert.equal(unexpected.status, 500);
+  assert.equal(unexpected.detail, "An unexpected error occurred");
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("every error is answered as problem+json with the request id", async () => {
+  const missing = await api.request("GET", "/api/nowhere", {
+    headers: { "X-Request-Id": "trace-me-123" },
+  });
+  assert.equal(missing.status, 404);
+  assert.match(missing.headers.get("content-type"), /^application\/problem\+json/);
+  assert.equal(missing.headers.get("x-request-id"), "trace-me-123");
+  assert.deepEqual(missing.body, {
+    type: "/problems/route-not-found",
+    title: "Not found",
+    status: 404,
+    detail: "No route for GET /api/nowhere",
+    instance: "/api/nowhere",
+    requestId: "trace-me-123",
+  });
+});
+
+test("bad JSON, unknown records and missing sessions have their own types", async () => {
+  const malformed = await api.request("POST", "/api/products", {
+    body: "{ not json",
+    headers: { "Content-Type": "application/json" },
+  });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.type, "/problems/malformed-body");
+
+  const unknown = await api.request("GET", "/api/orders/999");
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.detail, "Order with id 999 not found");
+
+  const anonymous = await api.request("GET", "/api/orders", { token: null });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get("www-authenticate"), "Bearer");
+});
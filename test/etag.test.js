@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("a resource is sent with its version as a strong ETag", async () => {
+  const { headers, body } = await api.request("GET", "/api/products/2");
+  assert.equal(headers.get("etag"), `"${body.version}"`);
+
+  const cached = { "If-None-Match": `W/"${body.version}", "0"` };
+  assert.equal((await api.request("GET", "/api/products/2", { headers: cached })).status, 304);
+  await api.request("PATCH", "/api/products/2", { body: { price: 51 } });
+  assert.equal((await api.request("GET", "/api/products/2", { headers: cached })).status, 200);
+});
+
+test("If-Match refuses a write to a resource that has moved on", async () => {
+  const { headers } = await api.request("GET", "/api/products/1");
+  const etag = headers.get("etag");
+
+  const first = await api.request("PATCH", "/api/products/1", {
+    body: { price: 949.99 },
+    headers: { "If-Match": etag },
+  });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.headers.get("etag"), etag);
+
+  const stale = await api.request("PATCH", "/api/products/1", {
+    body: { price: 899.99 },
+    headers: { "If-Match": etag },
+  });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.headers.get("etag"), first.headers.get("etag"));
+  assert.equal((await api.request("GET", "/api/products/1")).body.price, 949.99);
+
+  // Weak tags never match a write
+  const weak = await api.request("DELETE", "/api/products/1", {
+    headers: { "If-Match": `W/${first.headers.get("etag")}` },
+  });
+  assert.equal(weak.status, 412);
+});
+
+test("order actions and bulk operations check the version too", async () => {
+  const { body: order, headers } = await api.request("POST", "/api/orders", {
+    body: { customerName: "Carol White", items: [{ productId: 2, quantity: 1 }] },
+  });
+  await api.request("PATCH", `/api/orders/${order.id}`, {
+    body: { updateItems: [{ lineId: 1, quantity: 2 }] },
+  });
+  const action = await api.request("POST", `/api/orders/${order.id}/process`, {
+    headers: { "If-Match": headers.get("etag") },
+  });
+  assert.equal(action.status, 412);
+
+  const bulk = await api.request("POST", "/api/orders/bulk", {
+    body: { operations: [{ op: "update", id: order.id, version: order.version, data: { status: "processing" } }] },
+  });
+  assert.equal(bulk.status, 412);
+  assert.equal(bulk.body.operationIndex, 0);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { EventBus } = require("../src/events");
+const EventStreamService = require("../src/eventStreamService").constructor;
+
+test("a client can resume after the last event it saw", () => {
+  const events = new EventBus();
+  const stream = new EventStreamService(events, 3);
+  const first = events.publish("order.created", {});
+  events.publish("order.updated", {});
+  const lastSeen = stream.latestId();
+  const missed = events.publish("order.deleted", {});
+
+  assert.deepEqual(stream.since(lastSeen).map((entry) => entry.event.id), [missed.id]);
+  assert.deepEqual(stream.since(stream.latestId()), []);
+  assert.equal(stream.since(`${stream.epoch}-0`).length, 3);
+  assert.equal(stream.since(`${stream.epoch}-0`)[0].event.id, first.id);
+});
+
+test("ids from another run, unknown ids and ids older than the buffer cannot resume", () => {
+  const events = new EventBus();
+  const stream = new EventStreamService(events, 2);
+  for (let i = 0; i < 4; i++) {
+    events.publish("order.created", {});
+  }
+  assert.equal(stream.since(`${stream.epoch}-1`), null);
+  assert.equal(stream.since(`${stream.epoch}-2`).length, 2);
+  assert.equal(stream.since(`${stream.epoch}-9`), null);
+  assert.equal(stream.since("earlier-3"), null);
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+// Read the stream until `done(text)` holds
+async function readUntil(reader, done) {
+  const decoder = new TextDecoder();
+  let text = "";
+  while (!done(text)) {
+    const { value } = await reader.read();
+    text += decoder.decode(value);
+  }
+  return text;
+}
+
+test("changes are pushed to open streams", async () => {
+  const controller = new AbortController();
+  const response = await fetch(`${api.baseUrl}/api/events/stream?access_token=${api.token}`, {
+    signal: controller.signal,
+  });
+  assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+  const reader = response.body.getReader();
+  await readUntil(reader, (text) => text.includes("retry: 3000"));
+
+  await api.request("POST", "/api/products", { body: { name: "Desk Lamp", price: 24.5 } });
+  const text = await readUntil(reader, (received) => received.includes("event: product.created"));
+  const block = text.split("\n\n").find((lines) => lines.includes("event: product.created"));
+  const data = JSON.parse(block.split("data: ")[1]);
+  assert.equal(data.data.product.name, "Desk Lamp");
+  controller.abort();
+
+  const resync = new AbortController();
+  const stale = await fetch(`${api.baseUrl}/api/events/stream?access_token=${api.token}`, {
+    headers: { "Last-Event-ID": "earlier-1" },
+    signal: resync.signal,
+  });
+  assert.match(await readUntil(stale.body.getReader(), (t) => t.includes("event: resync")), /event: resync/);
+  resync.abort();
+});
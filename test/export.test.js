@@ -0,0 +1,49 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("orders export as CSV with the chosen columns", async () => {
+  const { status, headers, body } = await api.request(
+    "GET",
+    "/api/orders/export?status=pending&columns=id,customerName,items,total"
+  );
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /^text\/csv/);
+  assert.match(headers.get("content-disposition"), /^attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"$/);
+  assert.equal(body, "id,customerName,items,total\r\n1,Alice Johnson,2 x Laptop,1999.98\r\n");
+});
+
+test("NDJSON keeps nested values and CSV defuses formulas", async () => {
+  await api.request("POST", "/api/products", {
+    body: { name: "=HYPERLINK(\"x\")", price: 1, category: "Tricks" },
+  });
+  const csv = await api.request("GET", "/api/products/export?category=Tricks&columns=name");
+  assert.equal(csv.body, "name\r\n\"'=HYPERLINK(\"\"x\"\")\"\r\n");
+
+  const ndjson = await api.request("GET", "/api/orders/export?format=ndjson&columns=id,items");
+  const lines = ndjson.body.trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map((line) => line.id), [1, 2]);
+  assert.equal(lines[0].items[0].productName, "Laptop");
+});
+
+test("XLSX downloads are zip files", async () => {
+  const response = await fetch(`${api.baseUrl}/api/products/export?format=xlsx`, {
+    headers: { Authorization: `Bearer ${api.token}` },
+  });
+  const bytes = Buffer.from(await response.arrayBuffer());
+  assert.equal(response.status, 200);
+  assert.equal(bytes.subarray(0, 2).toString(), "PK");
+});
+
+test("bad formats and columns are refused before anything is sent", async () => {
+  assert.equal((await api.request("GET", "/api/orders/export?format=pdf")).status, 400);
+  const unknown = await api.request("GET", "/api/orders/export?columns=id,colour");
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.detail, /^Unknown columns: colour/);
+});
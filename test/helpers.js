@@ -0,0 +1,106 @@
+// Shared setup for the tests. Services are built over storage of their own,
+// so every test starts from the seed data and nothing touches ./data.
+process.env.NODE_ENV = "test";
+process.env.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "test-admin-password";
+
+const config = require("../src/config");
+const { MemoryStorage } = require("../src/storage");
+const { EventBus } = require("../src/events");
+
+// The services export singletons; their classes are reached through them
+const ExchangeRatesService = require("../src/exchangeRatesService").constructor;
+const ProductsService = require("../src/productsService").constructor;
+const CustomersService = require("../src/customersService").constructor;
+const PromotionsService = require("../src/promotionsService").constructor;
+const TaxRulesService = require("../src/taxRulesService").constructor;
+const OrdersService = require("../src/ordersService").constructor;
+
+// A fresh set of services sharing `storage`. `currency` and `tax` override
+// parts of the configuration.
+function createServices({
+  storage = new MemoryStorage(),
+  events = new EventBus(),
+  currency = {},
+  tax = {},
+} = {}) {
+  const currencyConfig = { ...config.currency, reportingRate: null, ...currency };
+  const taxConfig = { ...config.tax, ...tax };
+  const exchangeRates = new ExchangeRatesService(
+    storage,
+    currencyConfig.base,
+    currencyConfig.reporting,
+    currencyConfig.reportingRate
+  );
+  const products = new ProductsService(storage, events, exchangeRates);
+  const customers = new CustomersService(storage);
+  const promotions = new PromotionsService(storage, currencyConfig.base);
+  const taxRules = new TaxRulesService(storage);
+  const orders = new OrdersService(
+    storage,
+    products,
+    customers,
+    events,
+    promotions,
+    taxRules,
+    taxConfig,
+    exchangeRates,
+    currencyConfig
+  );
+  return { storage, events, exchangeRates, products, customers, promotions, taxRules, orders };
+}
+
+// Start the app on a free port and sign in as the seeded admin. `request`
+// sends JSON and resolves to { status, headers, body }.
+async function startServer() {
+  const app = require("../src/server");
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, headers = {}, token } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && typeof body !== "string"
+          ? { "Content-Type": "application/json" }
+          : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // Not JSON (CSV, NDJSON, ...): keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  async function login(username, password) {
+    const { body } = await request("POST", "/api/auth/login", { body: { username, password } });
+    return body.token;
+  }
+
+  const token = await login(config.auth.adminUsername, config.auth.adminPassword);
+  return {
+    baseUrl,
+    token,
+    login,
+    // Requests are sent as the admin unless another token is given
+    request: (method, path, options = {}) => request(method, path, { token, ...options }),
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+}
+
+module.exports = {
+  createServices,
+  startServer,
+};
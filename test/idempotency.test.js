@@ -0,0 +1,73 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { MemoryStorage } = require("../src/storage");
+const IdempotencyService = require("../src/idempotencyService").constructor;
+
+test("fingerprints ignore key order, and a key is claimed once", () => {
+  const service = new IdempotencyService(new MemoryStorage(), { ttlHours: 1 });
+  const fingerprint = service.fingerprint("POST", "/api/orders", { a: 1, b: [{ c: 2, d: 3 }] });
+  assert.equal(fingerprint, service.fingerprint("POST", "/api/orders", { b: [{ d: 3, c: 2 }], a: 1 }));
+
+  assert.equal(service.begin(1, "key-1", fingerprint), null);
+  assert.throws(() => service.begin(1, "key-1", fingerprint), { statusCode: 409 });
+  assert.throws(() => service.begin(1, "key-1", "other"), { statusCode: 422 });
+  // Keys belong to the user that sent them
+  assert.equal(service.begin(2, "key-1", fingerprint), null);
+
+  service.complete(1, "key-1", { statusCode: 201, headers: {}, body: { id: 3 } });
+  assert.deepEqual(service.begin(1, "key-1", fingerprint).response.body, { id: 3 });
+});
+
+test("a request cut off by a restart frees its key", () => {
+  const storage = new MemoryStorage();
+  const service = new IdempotencyService(storage, { ttlHours: 1 });
+  service.begin(1, "key-1", "abc");
+  const restarted = new IdempotencyService(storage, { ttlHours: 1 });
+  assert.equal(restarted.begin(1, "key-1", "abc"), null);
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+const order = { customerName: "Carol White", items: [{ productId: 2, quantity: 1 }] };
+
+test("a retried create is answered from the stored response", async () => {
+  const headers = { "Idempotency-Key": "retry-create-1" };
+  const first = await api.request("POST", "/api/orders", { body: order, headers });
+  const retry = await api.request("POST", "/api/orders", { body: order, headers });
+  assert.equal(first.status, 201);
+  assert.equal(retry.status, 201);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.equal(retry.headers.get("etag"), first.headers.get("etag"));
+
+  const { body: all } = await api.request("GET", "/api/orders?customerName=Carol");
+  assert.equal(all.length, 1);
+
+  const reused = await api.request("POST", "/api/orders", {
+    body: { ...order, items: [{ productId: 2, quantity: 2 }] },
+    headers,
+  });
+  assert.equal(reused.status, 422);
+  assert.equal(reused.body.type, "/problems/idempotency-key-reused");
+});
+
+test("refused requests are replayed as problems too, and keys must be printable", async () => {
+  const headers = { "Idempotency-Key": "retry-refused-1" };
+  const invalid = { customerName: "Carol White", items: [{ productId: 2, quantity: 0 }] };
+  const first = await api.request("POST", "/api/orders", { body: invalid, headers });
+  const retry = await api.request("POST", "/api/orders", { body: invalid, headers });
+  assert.equal(first.status, 400);
+  assert.equal(retry.status, 400);
+  assert.match(retry.headers.get("content-type"), /^application\/problem\+json/);
+
+  const spaced = await api.request("POST", "/api/orders", {
+    body: order,
+    headers: { "Idempotency-Key": "has spaces" },
+  });
+  assert.equal(spaced.status, 400);
+});
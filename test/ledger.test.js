@@ -0,0 +1,102 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+const { InventoryLedger, stockKey, parseStockKey } = require("../src/inventoryLedger");
+
+test("balances are summed from the movements", () => {
+  const ledger = new InventoryLedger();
+  ledger.record({ productId: 1, type: "receipt", quantity: 10 });
+  ledger.record({ productId: 1, type: "damage", quantity: -2 });
+  ledger.record({ productId: 1, type: "reservation", quantity: 3, orderId: 7 });
+  ledger.record({ productId: 1, type: "adjustment", quantity: -1 });
+  ledger.record({ productId: 1, variantId: 2, type: "receipt", quantity: 5 });
+
+  assert.deepEqual(ledger.balance(1), { onHand: 7, reserved: 3 });
+  assert.deepEqual(ledger.balance(1, 2), { onHand: 5, reserved: 0 });
+  assert.deepEqual(ledger.balance(4), { onHand: 0, reserved: 0 });
+  // Reloading from the entries arrives at the same balances
+  assert.deepEqual(new InventoryLedger({ entries: ledger.entries }).balances, ledger.balances);
+  assert.deepEqual(parseStockKey(stockKey(1, 2)), { productId: 1, variantId: 2 });
+});
+
+test("a movement must suit its type and the stock there is", () => {
+  const ledger = new InventoryLedger();
+  ledger.record({ productId: 1, type: "receipt", quantity: 4 });
+  ledger.record({ productId: 1, type: "reservation", quantity: 3, orderId: 7 });
+
+  assert.throws(() => ledger.record({ productId: 1, type: "receipt", quantity: -1 }), {
+    message: "A receipt movement must add stock",
+  });
+  assert.throws(() => ledger.record({ productId: 1, type: "sale", quantity: 1 }), { statusCode: 400 });
+  assert.throws(() => ledger.record({ productId: 1, type: "receipt", quantity: 1.5 }), { statusCode: 400 });
+  assert.throws(() => ledger.record({ productId: 1, type: "theft", quantity: -1 }), { statusCode: 400 });
+  assert.throws(() => ledger.record({ productId: 1, type: "sale", quantity: -2 }), {
+    message: "Cannot take 2 units: only 1 are available",
+  });
+  assert.throws(() => ledger.record({ productId: 1, type: "reservation", quantity: -4, orderId: 7 }), {
+    message: "Cannot release 4 units: only 3 are reserved",
+  });
+  assert.equal(ledger.entries.length, 2);
+});
+
+test("reservations are listed per order until released in full", () => {
+  const ledger = new InventoryLedger();
+  ledger.record({ productId: 1, type: "receipt", quantity: 10 });
+  ledger.record({ productId: 1, type: "reservation", quantity: 3, orderId: 7 });
+  ledger.record({ productId: 1, type: "reservation", quantity: 2, orderId: 8 });
+  ledger.record({ productId: 1, type: "reservation", quantity: -2, orderId: 8 });
+  ledger.record({ productId: 1, type: "reservation", quantity: -1, orderId: 7 });
+
+  assert.deepEqual(ledger.reservationsByOrder(), new Map([[7, new Map([["1", 2]])]]));
+  assert.deepEqual(ledger.reservingOrders(), new Set([7, 8]));
+});
+
+test("orders reserve, sell and give back stock through the ledger", () => {
+  const { orders, products } = createServices();
+  const stockOf = () => {
+    const { stock, onHand, reserved } = products.getById(2);
+    return { stock, onHand, reserved };
+  };
+  const order = orders.create({ customerName: "Carol White", items: [{ productId: 2, quantity: 3 }] });
+  assert.deepEqual(stockOf(), { stock: 27, onHand: 30, reserved: 3 });
+  orders.transition(order.id, "process");
+  assert.deepEqual(stockOf(), { stock: 27, onHand: 27, reserved: 0 });
+  orders.transition(order.id, "cancel");
+  assert.deepEqual(stockOf(), { stock: 30, onHand: 30, reserved: 0 });
+  assert.deepEqual(products.checkDataIntegrity().issues, []);
+});
+
+test("an order that fails part way leaves no stock or customer behind", () => {
+  const services = createServices();
+  const { orders, products, customers } = services;
+  const customerCount = customers.getAll().length;
+  customers.create = () => {
+    throw new Error("disk full");
+  };
+
+  assert.throws(
+    () => orders.create({ customerName: "Erin Novak", items: [{ productId: 2, quantity: 3 }] }),
+    { message: "disk full" }
+  );
+  assert.equal(products.getById(2).reserved, 0);
+  assert.equal(orders.getAll().length, 2);
+  assert.equal(customers.getAll().length, customerCount);
+  // Nothing was written either
+  assert.equal(createServices({ storage: services.storage }).products.getById(2).reserved, 0);
+});
+
+test("reservations held by orders that are no longer pending are released on load", () => {
+  const { storage, orders } = createServices();
+  const order = orders.create({ customerName: "Carol White", items: [{ productId: 2, quantity: 3 }] });
+  // The order was cancelled, but its release never reached the ledger
+  const saved = storage.load("orders");
+  saved.orders.find((o) => o.id === order.id).status = "cancelled";
+  storage.save("orders", saved);
+
+  const { products } = createServices({ storage });
+  assert.equal(products.getById(2).reserved, 0);
+  assert.equal(products.getById(2).stock, 30);
+  const [release] = products.getMovements(2, { type: "reservation" });
+  assert.equal(release.quantity, -3);
+  assert.equal(release.orderId, order.id);
+});
@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+
+function twoLineOrder(orders) {
+  return orders.create({
+    customerName: "Carol White",
+    items: [
+      { productId: 1, quantity: 1 },
+      { productId: 2, quantity: 2 },
+    ],
+  });
+}
+
+test("an order totals its lines", () => {
+  const { orders } = createServices();
+  const order = twoLineOrder(orders);
+  assert.deepEqual(order.items.map((line) => line.lineId), [1, 2]);
+  assert.deepEqual(order.items.map((line) => line.lineTotal), [999.99, 99.98]);
+  assert.equal(order.quantity, 3);
+  assert.equal(order.total, 1099.97);
+});
+
+test("a product appears on at most one line", () => {
+  const { orders } = createServices();
+  assert.throws(
+    () =>
+      orders.create({
+        customerName: "Carol White",
+        items: [
+          { productId: 2, quantity: 1 },
+          { productId: 2, quantity: 1 },
+        ],
+      }),
+    { statusCode: 400 }
+  );
+});
+
+test("lines are added, changed and removed by line id", () => {
+  const { products, orders } = createServices();
+  const order = twoLineOrder(orders);
+  const stock = products.getById(2).stock;
+
+  orders.update(order.id, { updateItems: [{ lineId: 2, quantity: 5 }] });
+  assert.equal(products.getById(2).stock, stock - 3);
+
+  orders.update(order.id, { removeItems: [1] });
+  const updated = orders.update(order.id, {
+    addItems: [{ productId: 1, quantity: 1 }],
+  });
+  // Line ids are never reused within an order
+  assert.deepEqual(updated.items.map((line) => [line.lineId, line.quantity]), [[2, 5], [3, 1]]);
+  assert.throws(() => orders.update(order.id, { removeItems: [2, 3] }), {
+    message: "An order needs at least one line item",
+  });
+  assert.throws(() => orders.update(order.id, { removeItems: [9] }), {
+    message: `Order ${order.id} has no line 9`,
+  });
+});
+
+test("an order sent back as fetched keeps its prices and line ids", () => {
+  const { products, orders } = createServices();
+  const order = orders.create({
+    customerName: "Carol White",
+    items: [
+      { productId: 1, quantity: 1, priceOverride: 900, priceOverrideReason: "Display model" },
+      { productId: 2, quantity: 2 },
+    ],
+  });
+  products.update(2, { price: 59.99 });
+  const fetched = structuredClone(order);
+
+  const unchanged = orders.update(order.id, structuredClone(fetched));
+  assert.deepEqual(unchanged.items, fetched.items);
+  assert.equal(unchanged.total, fetched.total);
+
+  // A changed quantity keeps the line's price
+  fetched.items[1].quantity = 3;
+  const changed = orders.update(order.id, fetched);
+  assert.deepEqual(changed.items.map((line) => [line.lineId, line.unitPrice]), [[1, 900], [2, 49.99]]);
+
+  // An unchanged order can be sent back after it has left pending
+  const processing = orders.transition(order.id, "process");
+  assert.equal(orders.update(order.id, structuredClone(processing)).total, processing.total);
+  const edited = structuredClone(processing);
+  edited.items[1].quantity = 4;
+  assert.throws(() => orders.update(order.id, edited), {
+    message: "Line items can only be changed while an order is pending (currently processing)",
+  });
+});
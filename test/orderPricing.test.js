@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+
+test("a line is priced from the catalog and keeps its price afterwards", () => {
+  const { products, orders } = createServices();
+  const order = orders.create({ customerName: "Carol White", productId: 2, quantity: 2 });
+  assert.equal(order.items[0].unitPrice, 49.99);
+  assert.equal(order.total, 99.98);
+
+  products.update(2, { price: 59.99 });
+  assert.equal(orders.getById(order.id).items[0].unitPrice, 49.99);
+  assert.equal(orders.create({ customerName: "Carol White", productId: 2, quantity: 1 }).total, 59.99);
+});
+
+test("ordering takes stock, and a shortfall changes nothing", () => {
+  const { products, orders } = createServices();
+  const stock = products.getById(1).stock;
+  orders.create({ customerName: "Carol White", productId: 1, quantity: 3 });
+  assert.equal(products.getById(1).stock, stock - 3);
+
+  const count = orders.getAll().length;
+  assert.throws(
+    () => orders.create({ customerName: "Carol White", productId: 1, quantity: stock }),
+    (err) => err.statusCode === 409 && err.type === "insufficient-stock"
+  );
+  assert.equal(products.getById(1).stock, stock - 3);
+  assert.equal(orders.getAll().length, count);
+});
+
+test("only active products that exist can be ordered", () => {
+  const { products, orders } = createServices();
+  products.update(2, { status: "discontinued" });
+  assert.throws(
+    () => orders.create({ customerName: "Carol White", productId: 2, quantity: 1 }),
+    { statusCode: 400, message: /discontinued and cannot be ordered/ }
+  );
+  assert.throws(
+    () => orders.create({ customerName: "Carol White", productId: 99, quantity: 1 }),
+    { statusCode: 400, message: "Product with id 99 does not exist" }
+  );
+});
+
+test("a price override needs a reason and is recorded against the catalog price", () => {
+  const { orders } = createServices();
+  assert.throws(
+    () => orders.create({ customerName: "Carol White", productId: 2, quantity: 1, priceOverride: 40 }),
+    { message: "priceOverrideReason is required when priceOverride is given" }
+  );
+  const order = orders.create({
+    customerName: "Carol White",
+    productId: 2,
+    quantity: 1,
+    priceOverride: 40,
+    priceOverrideReason: "Damaged box",
+  });
+  assert.equal(order.items[0].unitPrice, 40);
+  assert.deepEqual(order.items[0].priceOverride, { catalogPrice: 49.99, reason: "Damaged box" });
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices, startServer } = require("./helpers");
+
+function seededOrders() {
+  const { orders } = createServices();
+  orders.create({ customerName: "Carol White", productId: 2, quantity: 3 });
+  orders.create({ customerName: "Dan Carlson", items: [{ productId: 1, quantity: 1 }, { productId: 2, quantity: 1 }] });
+  return orders;
+}
+
+const ids = (orders) => orders.map((order) => order.id);
+
+test("filters combine", () => {
+  const orders = seededOrders();
+  assert.deepEqual(ids(orders.advancedQuery({ status: "pending,completed" })), [1, 2, 3, 4]);
+  assert.deepEqual(ids(orders.advancedQuery({ status: ["pending"], customerName: "CARL" })), [4]);
+  assert.deepEqual(ids(orders.advancedQuery({ productId: "2", minQuantity: "2" })), [3, 4]);
+  assert.deepEqual(ids(orders.advancedQuery({ minTotal: "100", maxTotal: "1100" })), [3, 4]);
+  assert.deepEqual(ids(orders.advancedQuery({ customers: "bob smith" })), [2]);
+});
+
+test("sorting keeps equal orders in id order", () => {
+  const orders = seededOrders();
+  const sorted = orders.advancedQuery({ sortBy: "quantity", sortOrder: "asc" });
+  assert.deepEqual(sorted.map((order) => [order.quantity, order.id]), [[1, 2], [2, 1], [2, 4], [3, 3]]);
+});
+
+test("invalid filter values are refused instead of ignored", () => {
+  const orders = seededOrders();
+  for (const filters of [
+    { status: "lost" },
+    { minTotal: "lots" },
+    { startDate: "yesterday" },
+    { sortBy: "colour" },
+    { sortOrder: "sideways", sortBy: "total" },
+  ]) {
+    assert.throws(() => orders.advancedQuery(filters), { statusCode: 400 }, JSON.stringify(filters));
+  }
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("GET /api/orders takes the query filters", async () => {
+  const { status, body } = await api.request("GET", "/api/orders?status=completed");
+  assert.equal(status, 200);
+  assert.deepEqual(ids(body), [2]);
+  assert.equal((await api.request("GET", "/api/orders?maxQuantity=-")).status, 400);
+});
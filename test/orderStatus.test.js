@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+
+test("an order moves through its lifecycle by action", () => {
+  const { orders } = createServices();
+  const order = orders.create({ customerName: "Carol White", productId: 2, quantity: 1 });
+  assert.deepEqual(orders.getAllowedTransitions(order.id), ["processing", "cancelled"]);
+
+  for (const [action, status] of [
+    ["process", "processing"],
+    ["ship", "shipped"],
+    ["complete", "completed"],
+  ]) {
+    assert.equal(orders.transition(order.id, action, { reason: "on schedule" }).status, status);
+  }
+  const entry = orders
+    .getAuditLog(order.id)
+    .find((e) => e.action === "status_change" && e.details.to === "shipped");
+  assert.deepEqual(
+    { ...entry.details },
+    { from: "processing", to: "shipped", action: "ship", reason: "on schedule" }
+  );
+});
+
+test("a refused move names the reason and the allowed moves", () => {
+  const { orders } = createServices();
+  const order = orders.create({ customerName: "Carol White", productId: 2, quantity: 1 });
+  assert.throws(
+    () => orders.transition(order.id, "ship"),
+    (err) =>
+      err.statusCode === 409 &&
+      err.type === "invalid-transition" &&
+      /must be processed before it ships/.test(err.message) &&
+      err.details.allowedTransitions.join() === "processing,cancelled"
+  );
+  orders.transition(order.id, "cancel");
+  assert.throws(() => orders.update(order.id, { status: "pending" }), /cannot be reopened/);
+  assert.throws(() => orders.transition(order.id, "cancel"), /already cancelled/);
+  assert.throws(() => orders.transition(order.id, "reopen"), { statusCode: 400 });
+});
+
+test("stock follows the order: reserved, sold, then given back", () => {
+  const { products, orders } = createServices();
+  const before = { ...products.getById(2) };
+  const order = orders.create({ customerName: "Carol White", productId: 2, quantity: 4 });
+  let product = products.getById(2);
+  assert.deepEqual([product.onHand, product.reserved, product.stock], [before.onHand, before.reserved + 4, before.stock - 4]);
+
+  orders.transition(order.id, "process");
+  product = products.getById(2);
+  assert.deepEqual([product.onHand, product.reserved, product.stock], [before.onHand - 4, before.reserved, before.stock - 4]);
+
+  orders.transition(order.id, "cancel");
+  product = products.getById(2);
+  assert.deepEqual([product.onHand, product.reserved, product.stock], [before.onHand, before.reserved, before.stock]);
+});
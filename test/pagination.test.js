@@ -0,0 +1,70 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { NEWEST_FIRST, paginate } = require("../src/pagination");
+
+const items = [1, 2, 3, 4, 5].map((id) => ({ id }));
+const ids = (page) => page.items.map((item) => item.id);
+
+test("cursor pages walk the whole list", () => {
+  const first = paginate(items, { limit: "2" });
+  assert.deepEqual([ids(first), first.total], [[1, 2], 5]);
+  const second = paginate(items, { limit: "2", cursor: first.nextCursor });
+  const third = paginate(items, { limit: "2", cursor: second.nextCursor });
+  assert.deepEqual([ids(second), ids(third)], [[3, 4], [5]]);
+  assert.equal(third.nextCursor, null);
+});
+
+test("a cursor still works when the last item of its page is gone", () => {
+  const first = paginate(items, { limit: "2" });
+  const remaining = items.filter((item) => item.id !== 2);
+  assert.deepEqual(ids(paginate(remaining, { limit: "2", cursor: first.nextCursor })), [3, 4]);
+});
+
+test("cursors follow the list's own order", () => {
+  // Already sorted newest first, as paginate expects
+  const entries = [
+    { id: 3, timestamp: "2026-01-02T00:00:00.000Z" },
+    { id: 2, timestamp: "2026-01-02T00:00:00.000Z" },
+    { id: 1, timestamp: "2026-01-01T00:00:00.000Z" },
+  ];
+  const first = paginate(entries, { limit: "1" }, NEWEST_FIRST);
+  assert.deepEqual(ids(paginate(entries, { cursor: first.nextCursor }, NEWEST_FIRST)), [2, 1]);
+  assert.throws(() => paginate(items, { cursor: first.nextCursor }), {
+    message: "Cursor does not belong to this list or sort order",
+  });
+});
+
+test("offset paging and bad paging parameters", () => {
+  const page = paginate(items, { limit: "2", offset: "2" });
+  assert.deepEqual([ids(page), page.prevOffset, page.nextOffset], [[3, 4], 0, 4]);
+  for (const query of [
+    { limit: "0" },
+    { limit: "501" },
+    { offset: "-1" },
+    { cursor: "nonsense" },
+    { cursor: page.nextCursor, offset: "1" },
+  ]) {
+    assert.throws(() => paginate(items, query), { statusCode: 400 }, JSON.stringify(query));
+  }
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("list endpoints send page metadata as headers", async () => {
+  const { body, headers } = await api.request("GET", "/api/products?limit=1");
+  assert.equal(body.length, 1);
+  assert.equal(headers.get("x-total-count"), "2");
+  const cursor = headers.get("x-next-cursor");
+  assert.equal(
+    headers.get("link"),
+    `</api/products?limit=1>; rel="first", </api/products?limit=1&cursor=${cursor}>; rel="next"`
+  );
+  const next = await api.request("GET", `/api/products?limit=1&cursor=${cursor}`);
+  assert.deepEqual(next.body.map((product) => product.id), [2]);
+  assert.equal(next.headers.get("x-next-cursor"), null);
+});
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+
+test("product changes are audited field by field", () => {
+  const { products } = createServices();
+  products.update(2, { price: 54.99, category: "Kitchen" }, 7);
+  const [entry] = products.getAllAuditLogs({ productId: 2, action: "update" });
+  assert.equal(entry.userId, 7);
+  assert.deepEqual(entry.details.changes.price, { from: 49.99, to: 54.99 });
+  assert.deepEqual(entry.details.changes.category, { from: "Appliances", to: "Kitchen" });
+  assert.equal(entry.details.changes.name, undefined);
+});
+
+test("price history outlives the audit log and a restart", () => {
+  const services = createServices();
+  services.products.update(2, { price: 54.99 });
+  services.products.update(2, { category: "Kitchen" });
+  services.products.update(2, { price: 44.99 });
+  assert.deepEqual(
+    services.products.getPriceHistory(2).map((change) => [change.from, change.to]),
+    [[null, 49.99], [49.99, 54.99], [54.99, 44.99]]
+  );
+
+  // Drop every audit entry, as trimming eventually does
+  const saved = services.storage.load("products");
+  services.storage.save("products", { ...saved, auditLog: [] });
+  const { products } = createServices({ storage: services.storage });
+  assert.deepEqual(
+    products.getPriceHistory(2).map((change) => change.to),
+    [49.99, 54.99, 44.99]
+  );
+});
+
+test("stock history follows the inventory ledger", () => {
+  const { products, orders } = createServices();
+  products.recordMovement(2, { type: "receipt", quantity: 5, reason: "Delivery" });
+  const order = orders.create({ customerName: "Carol White", productId: 2, quantity: 2 });
+
+  const history = products.getStockHistory(2);
+  const movements = products.getMovements(2).reverse();
+  assert.equal(history.length, movements.length);
+  assert.deepEqual(history.slice(-2).map((h) => [h.action, h.to - h.from, h.orderId]), [
+    ["receipt", 5, null],
+    ["reservation", -2, order.id],
+  ]);
+  // Each change starts where the last one ended, at the product's stock
+  history.slice(1).forEach((h, i) => assert.equal(h.from, history[i].to));
+  assert.equal(history[history.length - 1].to, products.getById(2).stock);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices, startServer } = require("./helpers");
+const { parseCsv } = require("../src/csv");
+
+test("CSV cells are parsed with quotes, blanks and CRLF line endings", () => {
+  const rows = parseCsv('\uFEFFname,price,category\r\n"Desk, oak",120,\r\n"Lamp ""Nova""",24.50,Lighting\r\n');
+  assert.deepEqual(rows, [
+    { name: "Desk, oak", price: "120", category: "" },
+    { name: 'Lamp "Nova"', price: "24.50", category: "Lighting" },
+  ]);
+  assert.throws(() => parseCsv('name\n"unterminated'), { statusCode: 400 });
+});
+
+test("valid rows are written and invalid ones reported", () => {
+  const { products } = createServices();
+  const result = products.importProducts([
+    { name: "Desk Lamp", price: "24.50", category: "Lighting", stock: "40" },
+    { name: "Laptop", price: "10" },
+    { name: "desk lamp", price: "30" },
+    { name: "Chair", price: "-1" },
+  ]);
+  assert.deepEqual(result.summary, { total: 4, created: 1, updated: 0, rejected: 3 });
+  assert.deepEqual(result.rows.map((row) => row.action), ["created", "rejected", "rejected", "rejected"]);
+  assert.deepEqual(result.rows[2].errors[0], {
+    field: "name",
+    message: 'Product with name "desk lamp" already appears in row 1',
+  });
+  assert.equal(result.rows[3].errors[0].field, "price");
+  assert.equal(products.findByName("Desk Lamp").stock, 40);
+});
+
+test("a dry run writes nothing and upserts update by name", () => {
+  const { products } = createServices();
+  const rows = [{ name: "LAPTOP", price: "899.99" }];
+  const dryRun = products.importProducts(rows, { dryRun: true, upsert: true });
+  assert.deepEqual(dryRun.rows[0], { row: 1, action: "updated", name: "LAPTOP", id: 1, errors: [] });
+  assert.equal(products.getById(1).price, 999.99);
+
+  products.importProducts(rows, { upsert: true });
+  assert.equal(products.getById(1).price, 899.99);
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("JSON imports may be larger than other request bodies", async () => {
+  const rows = Array.from({ length: 1500 }, (_, i) => ({
+    name: `Imported product ${i}`,
+    price: 10,
+    description: "x".repeat(60),
+  }));
+  const body = JSON.stringify(rows);
+  assert.ok(body.length > 100 * 1024);
+
+  const imported = await api.request("POST", "/api/products/import?dryRun=true", {
+    body,
+    headers: { "Content-Type": "application/json" },
+  });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.summary.created, 1500);
+
+  const tooLarge = await api.request("POST", "/api/products", {
+    body,
+    headers: { "Content-Type": "application/json" },
+  });
+  assert.equal(tooLarge.status, 413);
+});
+
+test("CSV imports are read from text/csv bodies", async () => {
+  const imported = await api.request("POST", "/api/products/import", {
+    body: "name,price,stock\nDesk Fan,30,4\n",
+    headers: { "Content-Type": "text/csv" },
+  });
+  assert.deepEqual(imported.body.summary, { total: 1, created: 1, updated: 0, rejected: 0 });
+});
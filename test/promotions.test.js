@@ -0,0 +1,103 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices, startServer } = require("./helpers");
+
+test("a discount is spread over the lines to the cent", () => {
+  const { orders, promotions } = createServices();
+  promotions.create({ name: "Ten off everything", type: "percentage", value: 10 });
+  const order = orders.create({
+    customerName: "Carol White",
+    items: [
+      { productId: 1, quantity: 1 },
+      { productId: 2, quantity: 1 },
+    ],
+  });
+  const [discount] = order.discounts;
+  assert.equal(discount.amount, 105);
+  assert.deepEqual(discount.lines, [
+    { lineId: 1, amount: 100 },
+    { lineId: 2, amount: 5 },
+  ]);
+  assert.deepEqual(order.items.map((line) => line.discount), [100, 5]);
+  assert.equal(order.discountTotal, 105);
+});
+
+test("promotions apply one after another to what is left", () => {
+  const { orders, promotions } = createServices();
+  promotions.create({ name: "Ten off everything", type: "percentage", value: 10 });
+  promotions.create({ code: "kitchen10", name: "Kitchen", type: "fixed", value: 10, categories: ["appliances"] });
+  const order = orders.create({
+    customerName: "Carol White",
+    couponCode: "Kitchen10",
+    items: [
+      { productId: 1, quantity: 1 },
+      { productId: 2, quantity: 2 },
+    ],
+  });
+  assert.equal(order.couponCode, "KITCHEN10");
+  assert.deepEqual(
+    order.discounts.map(({ name, amount }) => ({ name, amount })),
+    [
+      { name: "Ten off everything", amount: 110 },
+      { name: "Kitchen", amount: 10 },
+    ]
+  );
+  // The laptop line is outside the coupon's scope
+  assert.deepEqual(order.items.map((line) => line.discount), [100, 20]);
+  assert.equal(promotions.findByCode("kitchen10").usageCount, 1);
+});
+
+test("a coupon that takes nothing off is refused", () => {
+  const { orders, promotions } = createServices();
+  promotions.create({ code: "BIG50", name: "Big spender", type: "fixed", value: 50, minOrderValue: 500 });
+  const coupon = (couponCode, items) => () =>
+    orders.create({ customerName: "Carol White", couponCode, items });
+
+  assert.throws(coupon("BIG50", [{ productId: 2, quantity: 1 }]), (err) => {
+    assert.equal(err.statusCode, 400);
+    assert.deepEqual(err.errors, [{ field: "couponCode", message: "BIG50 needs an order of at least 500 USD" }]);
+    return true;
+  });
+  assert.throws(coupon("NOPE", [{ productId: 2, quantity: 1 }]), { statusCode: 400 });
+  assert.equal(coupon("big50", [{ productId: 1, quantity: 1 }])().discountTotal, 50);
+});
+
+test("promotions are checked and a used one cannot be deleted", () => {
+  const { orders, promotions } = createServices();
+  assert.throws(() => promotions.create({ name: "Too much", type: "percentage", value: 120 }), {
+    statusCode: 400,
+  });
+  const promotion = promotions.create({ code: "save5", name: "Five off", type: "fixed", value: 4.999 });
+  assert.equal(promotion.value, 5);
+  assert.throws(() => promotions.create({ code: "SAVE5", name: "Again", type: "fixed", value: 5 }), {
+    message: 'Promotion with code "SAVE5" already exists',
+  });
+
+  orders.create({ customerName: "Carol White", couponCode: "SAVE5", items: [{ productId: 2, quantity: 1 }] });
+  assert.throws(() => promotions.delete(promotion.id), { statusCode: 409 });
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("catalog managers edit promotions but cannot delete them", async () => {
+  await api.request("POST", "/api/users", {
+    body: { username: "merchandiser", password: "catalog-password", role: "catalog_manager" },
+  });
+  const token = await api.login("merchandiser", "catalog-password");
+  const created = await api.request("POST", "/api/promotions", {
+    token,
+    body: { name: "Spring sale", type: "percentage", value: 15 },
+  });
+  assert.equal(created.status, 201);
+  const edited = await api.request("PATCH", `/api/promotions/${created.body.id}`, {
+    token,
+    body: { value: 20 },
+  });
+  assert.equal(edited.status, 200);
+  const removed = await api.request("DELETE", `/api/promotions/${created.body.id}`, { token });
+  assert.equal(removed.status, 403);
+});
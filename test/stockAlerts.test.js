@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+const StockAlertsService = require("../src/stockAlertsService").constructor;
+
+// Services watched by alerts that look at ten days of sales and expect a
+// reorder to take ten days, so a product's threshold is at least the units
+// it sold in that time
+function watched() {
+  const services = createServices();
+  const alerts = new StockAlertsService(services.products, services.orders, services.events, {
+    lowStockThreshold: 5,
+    salesWindowDays: 10,
+    leadTimeDays: 10,
+  });
+  const published = [];
+  services.events.on("event", (event) => {
+    if (event.type.startsWith("product.stock_")) {
+      published.push({ type: event.type, productId: event.data.product.id });
+    }
+  });
+  return { ...services, alerts, published };
+}
+
+test("a product is low at or below its reorder point", () => {
+  const { alerts, products, published } = watched();
+  assert.deepEqual(alerts.getAlerts(), []);
+
+  products.update(1, { reorderPoint: 20, reorderQuantity: 10 });
+  const [alert] = alerts.getAlerts();
+  assert.equal(alert.productId, 1);
+  assert.equal(alert.reorderPoint, 20);
+  assert.equal(alert.threshold, 20);
+  assert.equal(alert.reorderQuantity, 10);
+  assert.deepEqual(published, [{ type: "product.stock_low", productId: 1 }]);
+
+  products.postMovement(1, { type: "receipt", quantity: 10 });
+  assert.deepEqual(alerts.getAlerts(), []);
+  assert.deepEqual(published.at(-1), { type: "product.stock_replenished", productId: 1 });
+});
+
+test("fast sales raise the threshold above the reorder point", () => {
+  const { alerts, orders, published } = watched();
+  orders.create({ customerName: "Carol White", items: [{ productId: 2, quantity: 15 }] });
+
+  const [alert] = alerts.getAlerts();
+  assert.equal(alert.productId, 2);
+  assert.equal(alert.reorderPoint, 5);
+  assert.equal(alert.threshold, 16);
+  assert.equal(alert.dailySales, 1.6);
+  assert.equal(alert.daysOfCover, 9.4);
+  assert.deepEqual(published, [{ type: "product.stock_low", productId: 2 }]);
+});
+
+test("discontinued products raise no alerts", () => {
+  const { alerts, products, published } = watched();
+  products.update(1, { status: "discontinued", reorderPoint: 20 });
+  assert.deepEqual(alerts.getAlerts(), []);
+  assert.deepEqual(published, []);
+});
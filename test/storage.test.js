@@ -0,0 +1,101 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createServices } = require("./helpers");
+const { FileStorage, MemoryStorage } = require("../src/storage");
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+}
+
+test("memory storage hands out copies", () => {
+  const storage = new MemoryStorage();
+  const state = { items: [1] };
+  storage.save("things", state);
+  state.items.push(2);
+  const loaded = storage.load("things");
+  loaded.items.push(3);
+  assert.deepEqual(storage.load("things"), { items: [1] });
+  assert.equal(storage.load("missing"), null);
+});
+
+test("file storage keeps snapshots and logs across instances", (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const storage = new FileStorage(dir);
+  storage.save("things", { nextId: 3 });
+  storage.append("events", [{ id: 1 }, { id: 2 }]);
+  storage.append("events", [{ id: 3 }]);
+
+  const reopened = new FileStorage(dir);
+  assert.deepEqual(reopened.load("things"), { nextId: 3 });
+  assert.deepEqual(reopened.loadLog("events").map((e) => e.id), [1, 2, 3]);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["events.jsonl", "things.json"]);
+});
+
+test("a torn last log line is dropped and later appends start on a new line", (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const storage = new FileStorage(dir);
+  storage.append("events", [{ id: 1 }]);
+  fs.appendFileSync(path.join(dir, "events.jsonl"), '{"id":2,"na');
+
+  assert.deepEqual(storage.loadLog("events"), [{ id: 1 }]);
+  storage.append("events", [{ id: 2 }]);
+  assert.deepEqual(new FileStorage(dir).loadLog("events"), [{ id: 1 }, { id: 2 }]);
+});
+
+test("a transaction writes nothing when it throws", () => {
+  const storage = new MemoryStorage();
+  storage.save("things", { n: 1 });
+
+  assert.throws(
+    () =>
+      storage.transaction(() => {
+        storage.save("things", { n: 2 });
+        storage.append("events", [{ id: 1 }]);
+        // Reads inside the transaction see its own writes
+        assert.deepEqual(storage.load("things"), { n: 2 });
+        assert.equal(storage.loadLog("events").length, 1);
+        throw new Error("boom");
+      }),
+    /boom/
+  );
+  assert.deepEqual(storage.load("things"), { n: 1 });
+  assert.deepEqual(storage.loadLog("events"), []);
+});
+
+test("a nested transaction joins the outer one", () => {
+  const storage = new MemoryStorage();
+  storage.transaction(() => {
+    storage.transaction(() => storage.save("things", { n: 1 }));
+    // Still held back until the outer transaction returns
+    assert.equal(storage._read("things"), null);
+  });
+  assert.deepEqual(storage.load("things"), { n: 1 });
+});
+
+test("products and orders survive a restart with the file driver", (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const first = createServices({ storage: new FileStorage(dir) });
+  const product = first.products.create({ name: "Desk Lamp", price: 24.5, category: "Lighting", stock: 10 });
+  const order = first.orders.create({
+    customerName: "Carol White",
+    items: [{ productId: product.id, quantity: 3 }],
+  });
+  const removed = first.products.create({ name: "Gone", price: 1, stock: 0 });
+  first.products.delete(removed.id);
+
+  const second = createServices({ storage: new FileStorage(dir) });
+  assert.equal(second.products.getById(product.id).stock, 7);
+  assert.equal(second.orders.getById(order.id).items[0].quantity, 3);
+  // Ids are never handed out twice, even after the newest record is deleted
+  const next = second.products.create({ name: "Desk Fan", price: 30, stock: 1 });
+  assert.ok(next.id > removed.id);
+});
@@ -0,0 +1,85 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+
+// New York taxes most things at 8.875% and appliances at 4%
+function newYork(services) {
+  services.taxRules.create({ region: "NY", rate: 8.875 });
+  services.taxRules.create({ region: "NY", category: "Appliances", rate: 4 });
+  return services;
+}
+
+const items = [
+  { productId: 1, quantity: 1 },
+  { productId: 2, quantity: 2 },
+];
+
+test("each line is taxed at its category's rate, else the region's", () => {
+  const { taxRules, orders } = newYork(createServices());
+  assert.equal(taxRules.rateFor("ny", "appliances"), 4);
+  assert.equal(taxRules.rateFor("NY", "Garden"), 8.875);
+  assert.equal(taxRules.rateFor("NJ", "Garden"), 0);
+  assert.equal(taxRules.rateFor(null, "Garden"), 0);
+
+  const order = orders.create({ customerName: "Carol White", taxRegion: "ny", items });
+  assert.deepEqual(
+    order.items.map(({ taxRate, tax }) => ({ taxRate, tax })),
+    [
+      { taxRate: 8.875, tax: 88.75 },
+      { taxRate: 4, tax: 4 },
+    ]
+  );
+  assert.equal(order.subtotal, 1099.97);
+  assert.equal(order.taxTotal, 92.75);
+  assert.equal(order.total, 1192.72);
+});
+
+test("the region comes from the customer's shipping address", () => {
+  const { taxRules, customers, orders } = createServices();
+  taxRules.create({ region: "CA", rate: 7.25 });
+  const customer = customers.create({
+    name: "Dan Carlson",
+    addresses: [
+      { type: "billing", line1: "1 Main St", city: "Reno", region: "NV", country: "US" },
+      { type: "shipping", line1: "2 Pine St", city: "Fresno", region: "CA", country: "US" },
+    ],
+  });
+  const order = orders.create({ customerId: customer.id, items: [{ productId: 2, quantity: 1 }] });
+  assert.equal(order.taxRegion, "CA");
+  assert.equal(order.taxTotal, 3.62);
+
+  // No address and no default region: not taxed
+  assert.equal(orders.create({ customerName: "Erin Novak", items }).taxTotal, 0);
+});
+
+test("prices that include tax are not raised by it", () => {
+  const services = createServices({ tax: { pricesIncludeTax: true } });
+  services.taxRules.create({ region: "DE", rate: 19 });
+  const order = services.orders.create({
+    customerName: "Carol White",
+    taxRegion: "DE",
+    items: [{ productId: 2, quantity: 1 }],
+  });
+  assert.equal(order.pricesIncludeTax, true);
+  assert.equal(order.taxTotal, 7.98);
+  assert.equal(order.total, 49.99);
+});
+
+test("a line keeps the rate it was first taxed at", () => {
+  const { taxRules, orders } = newYork(createServices());
+  const order = orders.create({ customerName: "Carol White", taxRegion: "NY", items });
+  taxRules.update(2, { rate: 6 });
+
+  const updated = orders.update(order.id, { updateItems: [{ lineId: 2, quantity: 1 }] });
+  assert.equal(updated.items[1].taxRate, 4);
+  assert.equal(updated.items[1].tax, 2);
+});
+
+test("rules are unique per region and category, ignoring case", () => {
+  const { taxRules } = newYork(createServices());
+  assert.throws(() => taxRules.create({ region: "ny", category: "APPLIANCES", rate: 5 }), {
+    message: 'Region "ny" already has a tax rule for category "APPLIANCES"',
+  });
+  assert.throws(() => taxRules.create({ region: "Ny", rate: 5 }), { statusCode: 400 });
+  assert.equal(taxRules.create({ region: "NJ", rate: 6.62549 }).rate, 6.6255);
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { validate } = require("../src/validation");
+
+test("every problem is reported with the path of its field", () => {
+  const { errors } = validate("OrderCreate", {
+    customerName: " ",
+    items: [{ productId: "one", quantity: 0 }],
+    currency: 5,
+  });
+  const fields = errors.map((error) => error.field);
+  assert.ok(fields.includes("customerName"));
+  assert.ok(fields.includes("items[0].productId"));
+  assert.ok(fields.includes("items[0].quantity"));
+  assert.ok(fields.includes("currency"));
+});
+
+test("fields a schema does not list are ignored", () => {
+  const { value, errors } = validate("ProductCreate", { name: "Desk Lamp", price: 24.5, id: 9, colour: "red" });
+  assert.deepEqual(errors, []);
+  assert.equal(value.colour, "red");
+});
+
+test("text is converted to numbers and booleans only when asked", () => {
+  assert.equal(validate("ProductCreate", { name: "Desk Lamp", price: "24.5" }).errors.length, 1);
+  const { value, errors } = validate("ProductCreate", { name: "Desk Lamp", price: "24.5" }, { coerce: true, root: "row" });
+  assert.deepEqual(errors, []);
+  assert.equal(value.price, 24.5);
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("the OpenAPI document describes the routes and their schemas", async () => {
+  const { status, body: spec } = await api.request("GET", "/api/openapi.json", { token: null });
+  assert.equal(status, 200);
+  assert.match(spec.openapi, /^3\./);
+  const create = spec.paths["/api/orders"].post;
+  assert.equal(create.requestBody.content["application/json"].schema.$ref, "#/components/schemas/OrderCreate");
+  assert.ok(spec.components.schemas.OrderCreate);
+});
+
+test("a resource fetched with GET can be sent back with PUT", async () => {
+  const { body: order } = await api.request("POST", "/api/orders", {
+    body: {
+      customerName: "Carol White",
+      items: [
+        { productId: 1, quantity: 1, priceOverride: 900, priceOverrideReason: "Display model" },
+        { productId: 2, quantity: 2 },
+      ],
+    },
+  });
+  const { body: customer } = await api.request("POST", "/api/customers", {
+    body: { name: "Dan Carlson", email: "dan@example.com" },
+  });
+  for (const path of ["/api/products/1", `/api/orders/${order.id}`, `/api/customers/${customer.id}`]) {
+    const { body: fetched } = await api.request("GET", path);
+    const sent = await api.request("PUT", path, { body: fetched });
+    assert.equal(sent.status, 200, `${path}: ${JSON.stringify(sent.body)}`);
+  }
+  const { body: saved } = await api.request("GET", `/api/orders/${order.id}`);
+  assert.deepEqual(saved.items, order.items);
+});
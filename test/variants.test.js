@@ -0,0 +1,99 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createServices } = require("./helpers");
+
+// A T-shirt sold in two sizes; the large one costs more
+function tShirt(products) {
+  return products.create({
+    name: "T-Shirt",
+    price: 20,
+    category: "Clothing",
+    variants: [
+      { sku: "TS-M", attributes: { size: "M" }, stock: 10 },
+      { sku: "TS-L", attributes: { size: "L" }, price: 22.5, stock: 4 },
+    ],
+  });
+}
+
+test("a product's stock is the sum of its variants'", () => {
+  const { products } = createServices();
+  const product = tShirt(products);
+  assert.equal(product.stock, 14);
+  assert.deepEqual(
+    product.variants.map(({ sku, stock }) => ({ sku, stock })),
+    [
+      { sku: "TS-M", stock: 10 },
+      { sku: "TS-L", stock: 4 },
+    ]
+  );
+  assert.equal(products.findBySku("ts-l").variant.id, 2);
+});
+
+test("an order line takes the variant's price and stock", () => {
+  const { products, orders } = createServices();
+  const product = tShirt(products);
+  const order = orders.create({
+    customerName: "Carol White",
+    items: [
+      { productId: product.id, variantId: 1, quantity: 2 },
+      { productId: product.id, variantId: 2, quantity: 1 },
+    ],
+  });
+  assert.deepEqual(
+    order.items.map(({ sku, unitPrice }) => ({ sku, unitPrice })),
+    [
+      { sku: "TS-M", unitPrice: 20 },
+      { sku: "TS-L", unitPrice: 22.5 },
+    ]
+  );
+  assert.equal(products.getVariant(product.id, 1).stock, 8);
+  assert.equal(products.getById(product.id).stock, 11);
+
+  assert.throws(
+    () => orders.create({ customerName: "Carol White", items: [{ productId: product.id, quantity: 1 }] }),
+    { statusCode: 400 }
+  );
+  assert.throws(
+    () =>
+      orders.create({
+        customerName: "Carol White",
+        items: [{ productId: product.id, variantId: 2, quantity: 4 }],
+      }),
+    { statusCode: 409 }
+  );
+});
+
+test("SKUs are unique across the catalog and attributes within a product", () => {
+  const { products } = createServices();
+  const product = tShirt(products);
+  const hoodie = products.create({ name: "Hoodie", price: 35, category: "Clothing" });
+  assert.throws(() => products.addVariant(hoodie.id, { sku: "ts-m", attributes: { size: "M" } }), {
+    statusCode: 400,
+    message: 'SKU "ts-m" is already used by product "T-Shirt"',
+  });
+  assert.throws(() => products.addVariant(product.id, { sku: "TS-M2", attributes: { size: "M" } }), {
+    statusCode: 400,
+  });
+  // A product holding stock of its own cannot take variants
+  assert.throws(() => products.addVariant(1, { sku: "LT-1", attributes: { ram: "16GB" } }), {
+    statusCode: 409,
+  });
+});
+
+test("a variant is deleted only once no pending order holds it", () => {
+  const { products, orders } = createServices();
+  const product = tShirt(products);
+  const order = orders.create({
+    customerName: "Carol White",
+    items: [{ productId: product.id, variantId: 2, quantity: 1 }],
+  });
+  assert.throws(() => products.deleteVariant(product.id, 2), { statusCode: 409 });
+
+  orders.transition(order.id, "cancel");
+  products.deleteVariant(product.id, 2);
+  assert.equal(products.getById(product.id).stock, 10);
+  const [writeOff] = products.getMovements(product.id, { type: "adjustment" });
+  assert.equal(writeOff.variantId, 2);
+  assert.equal(writeOff.quantity, -4);
+  assert.equal(writeOff.reason, "Variant TS-L deleted");
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+require("./helpers");
+const { MemoryStorage } = require("../src/storage");
+const { EventBus } = require("../src/events");
+const WebhooksService = require("../src/webhooksService").constructor;
+
+// A receiver that records every request and answers with the next status
+// from `statuses` (200 once they run out)
+let receiver;
+let received;
+let statuses;
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+});
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+function createWebhooks() {
+  received = [];
+  statuses = [];
+  const events = new EventBus();
+  const webhooks = new WebhooksService(new MemoryStorage(), events, {
+    maxAttempts: 3,
+    retryBaseMs: 20,
+    timeoutMs: 1000,
+  });
+  const subscription = webhooks.create({
+    url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+    events: ["order.created"],
+    secret: "receiver-secret-0123",
+  });
+  return { events, webhooks, subscription };
+}
+
+// Resolve once the delivery has stopped being pending
+async function settled(webhooks, id) {
+  for (let i = 0; i < 200; i++) {
+    const delivery = webhooks.getDelivery(id);
+    if (delivery.status !== "pending") {
+      return delivery;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Delivery ${id} is still pending`);
+}
+
+test("events are delivered signed to the subscriptions that want them", async () => {
+  const { events, webhooks, subscription } = createWebhooks();
+  assert.equal(webhooks.getById(subscription.id).secret, undefined);
+  events.publish("product.created", { product: { id: 1 } });
+  const event = events.publish("order.created", { order: { id: 7 } });
+
+  const delivery = await settled(webhooks, 1);
+  assert.equal(delivery.status, "succeeded");
+  assert.equal(webhooks.getDeliveries().length, 1);
+
+  const [{ headers, body }] = received;
+  assert.deepEqual(JSON.parse(body), event);
+  assert.equal(headers["x-webhook-event"], "order.created");
+  const expected = crypto
+    .createHmac("sha256", "receiver-secret-0123")
+    .update(`${headers["x-webhook-timestamp"]}.${body}`)
+    .digest("hex");
+  assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+});
+
+test("failed attempts are retried until the receiver accepts or attempts run out", async () => {
+  const { events, webhooks } = createWebhooks();
+  statuses = [500, 503];
+  events.publish("order.created", { order: { id: 7 } });
+  const delivered = await settled(webhooks, 1);
+  assert.equal(delivered.status, "succeeded");
+  assert.deepEqual(delivered.attempts.map((a) => a.statusCode), [500, 503, 200]);
+
+  statuses = [500, 500, 500];
+  events.publish("order.created", { order: { id: 8 } });
+  const failed = await settled(webhooks, 2);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts.length, 3);
+  assert.equal(failed.attempts[0].error, "Receiver responded with status 500");
+
+  // A redelivery is a new delivery of the same event
+  const again = webhooks.redeliver(2);
+  assert.equal((await settled(webhooks, again.id)).status, "succeeded");
+  assert.deepEqual(again.event, failed.event);
+});
+
+test("deleting a subscription gives up its pending deliveries", async () => {
+  const { events, webhooks, subscription } = createWebhooks();
+  statuses = [500];
+  events.publish("order.created", { order: { id: 7 } });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  webhooks.delete(subscription.id);
+  const delivery = webhooks.getDelivery(1);
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.error, "Webhook was deleted");
+});